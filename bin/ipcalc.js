@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+// ============================================================================
+// IPv4 CALCULATOR — command line
+// ----------------------------------------------------------------------------
+//   ipcalc 192.168.1.10/26
+//   ipcalc 192.168.1.10 255.255.255.192 --json
+// ============================================================================
+
+'use strict';
+
+const path = require('path');
+const {
+    IPCalcError,
+    calculate,
+    getBitPart,
+    formatSections,
+} = require(path.join(__dirname, '..', 'lib', 'ipcalc.js'));
+
+// Exit codes scripts can branch on
+const EXIT_OK            = 0;
+const EXIT_INVALID_INPUT = 1;   // IP / mask rejected by the validators
+const EXIT_USAGE         = 2;   // bad command line
+
+const USAGE = `Usage: ipcalc <ip>/<prefix|mask> [options]
+       ipcalc <ip> <mask|/prefix> [options]
+
+The address may be dotted decimal, hex (0xC0A80101), an integer or binary;
+the mask may be a prefix length, a mask or a wildcard mask in the same forms.
+
+Options:
+  --json       Print the full result object as JSON
+  --csv        Print a CSV header line and one result line
+  --quiet, -q  Print nothing; only set the exit code
+  --parent <p> Count subnets in parent prefix <p> instead of the class
+  --no-color   Disable colors in the binary view
+  --help, -h   Show this help
+
+Exit codes:
+  0  valid input, result printed
+  1  invalid IP address or subnet mask
+  2  usage error`;
+
+// Fields written by --csv, in column order
+const CSV_FIELDS = [
+    'ipAddress', 'subnetMask', 'cidr', 'wildcardMask',
+    'networkAddress', 'broadcastAddress', 'firstUsable', 'lastUsable',
+    'availableHosts', 'ipClass', 'ipType',
+    'hostNumber', 'subnetNumber', 'totalSubnets', 'parentCidr',
+];
+
+// ANSI colors matching the page's bit-network / bit-subnet / bit-host classes
+const ANSI = {
+    network : '\x1b[31m',
+    subnet  : '\x1b[33m',
+    host    : '\x1b[32m',
+    title   : '\x1b[36m',
+    reset   : '\x1b[0m',
+};
+
+// ============================================================================
+// ARGUMENTS
+// ============================================================================
+
+/**
+ * Splits argv into options and the IP / mask pair.
+ * @param {string[]} argv  - process.argv without node and script
+ * @returns {{format: string, color: boolean, help: boolean, ip: string, mask: string, parent: string}}
+ * @throws {Error}  on unknown options or wrong argument count
+ */
+function parseArgs(argv) {
+    const opts = { format: 'text', color: true, help: false, ip: '', mask: '', parent: '' };
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--json':     opts.format = 'json';  break;
+            case '--csv':      opts.format = 'csv';   break;
+            case '--quiet':
+            case '-q':         opts.format = 'quiet'; break;
+            case '--no-color': opts.color  = false;   break;
+            case '--parent':
+                if (i + 1 >= argv.length) throw new Error('--parent needs a prefix');
+                opts.parent = argv[++i];
+                break;
+            case '--help':
+            case '-h':         opts.help   = true;    break;
+            default:
+                // "/26" is a mask, not an option
+                if (arg.startsWith('-')) throw new Error(`Unknown option: ${arg}`);
+                positional.push(arg);
+        }
+    }
+    if (opts.help) return opts;
+
+    if (positional.length === 1) {
+        const slash = positional[0].indexOf('/');
+        if (slash === -1) throw new Error('Missing subnet mask');
+        // The engine reads "24", "255.255.255.0", "0.0.0.255", "0xFFFFFF00", ...
+        opts.ip   = positional[0].slice(0, slash);
+        opts.mask = positional[0].slice(slash + 1);
+    } else if (positional.length === 2) {
+        [opts.ip, opts.mask] = positional;
+    } else {
+        throw new Error('Expected one <ip>/<prefix> or an <ip> <mask> pair');
+    }
+    return opts;
+}
+
+// ============================================================================
+// OUTPUT
+// ============================================================================
+
+/**
+ * Returns the colored binary string of an address.
+ * @param {number[]} bytes
+ * @param {number}   cidr
+ * @param {number}   parentCidr
+ * @param {boolean}  color
+ * @returns {string}
+ */
+function renderBinary(bytes, cidr, parentCidr, color) {
+    return bytes.map((byte, i) => {
+        let out = '';
+        for (let bit = 7; bit >= 0; bit--) {
+            const value = (byte >> bit) & 1;
+            out += color
+                ? ANSI[getBitPart(i * 8 + (7 - bit), cidr, parentCidr)] + value + ANSI.reset
+                : value;
+        }
+        return out;
+    }).join('.');
+}
+
+/**
+ * Text report: the same sections as the result panel, binary view last.
+ * @param {object}  c      - calculate() result
+ * @param {boolean} color
+ * @returns {string}
+ */
+function formatText(c, color) {
+    const title = text => color ? `${ANSI.title}▶ ${text}${ANSI.reset}` : `▶ ${text}`;
+    const lines = [];
+
+    for (const section of formatSections(c)) {
+        lines.push(title(section.title));
+        for (const [label, value] of section.rows) {
+            lines.push(`  ${(label + ':').padEnd(17)} ${value}`);
+        }
+        lines.push('');
+    }
+
+    lines.push(title('BINARY VIEW'));
+    if (color) {
+        lines.push(`  ${ANSI.network}Network${ANSI.reset}  ${ANSI.subnet}Subnet${ANSI.reset}  ${ANSI.host}Host${ANSI.reset}`);
+    }
+    for (const [label, bytes] of [
+        ['IP',   c.ipBytes],
+        ['Mask', c.maskBytes],
+        ['Wild', c.wildcardBytes],
+        ['Net',  c.networkBytes],
+    ]) {
+        lines.push(`  ${label.padEnd(5)}: ${renderBinary(bytes, c.cidr, c.parentCidr, color)}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Quotes a CSV cell when needed.
+ * @param {*} value
+ * @returns {string}
+ */
+function csvCell(value) {
+    const str = String(value);
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * CSV report: header line plus one data line.
+ * @param {object} c  - calculate() result
+ * @returns {string}
+ */
+function formatCsv(c) {
+    return [
+        CSV_FIELDS.join(','),
+        CSV_FIELDS.map(f => csvCell(c[f])).join(','),
+    ].join('\n');
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+/**
+ * Runs the CLI and returns its exit code.
+ * @param {string[]} argv
+ * @param {{stdout: object, stderr: object}} io
+ * @returns {number}
+ */
+function main(argv, io = process) {
+    let opts;
+    try {
+        opts = parseArgs(argv);
+    } catch (err) {
+        io.stderr.write(`ipcalc: ${err.message}\n\n${USAGE}\n`);
+        return EXIT_USAGE;
+    }
+    if (opts.help) {
+        io.stdout.write(USAGE + '\n');
+        return EXIT_OK;
+    }
+
+    let calc;
+    try {
+        calc = calculate(opts.ip, opts.mask, opts.parent);
+    } catch (err) {
+        if (!(err instanceof IPCalcError)) throw err;
+        if (opts.format === 'json') {
+            io.stdout.write(JSON.stringify({ error: { code: err.code, message: err.message } }, null, 2) + '\n');
+        } else if (opts.format !== 'quiet') {
+            io.stderr.write(`ipcalc: ERROR: ${err.message}\n`);
+        }
+        return EXIT_INVALID_INPUT;
+    }
+
+    const color = opts.color && !process.env.NO_COLOR && Boolean(io.stdout.isTTY);
+    switch (opts.format) {
+        case 'json':  io.stdout.write(JSON.stringify(calc, null, 2) + '\n'); break;
+        case 'csv':   io.stdout.write(formatCsv(calc) + '\n');               break;
+        case 'quiet':                                                         break;
+        default:      io.stdout.write(formatText(calc, color) + '\n');
+    }
+    return EXIT_OK;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main, parseArgs, formatText, formatCsv };
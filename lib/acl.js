@@ -0,0 +1,318 @@
+// ============================================================================
+// ACL BUILDER
+// ----------------------------------------------------------------------------
+// One permit / deny rule between a source and a destination, written out as
+// Cisco extended ACL lines (with wildcard masks), iptables, nftables and pf
+// rules, and AWS security-group JSON. Ranges are split into CIDR blocks.
+// Browser: `IPCalc.acl`; Node: `require('./lib/acl')`.
+// ============================================================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./ipcalc.js'));
+    } else {
+        root.IPCalc.acl = factory(root.IPCalc);
+    }
+})(typeof self !== 'undefined' ? self : this, function (IPCalc) {
+    'use strict';
+
+    const {
+        IPCalcError,
+        EmptyInputError,
+        parseAddress,
+        parseNetwork,
+        bytesToInt,
+        intToIp,
+        cidrToInt,
+        rangeToCidrs,
+    } = IPCalc;
+
+    const ACL_PROTOCOLS = ['tcp', 'udp', 'icmp', 'ip'];
+
+    // Most rules one build may expand to (sources x destinations x ports)
+    const ACL_MAX_RULES = 500;
+
+    // ACL name and chains used in the output
+    const ACL_TARGETS = {
+        cisco    : 'IPCALC-ACL',
+        iptables : 'FORWARD',
+        nftables : 'inet filter forward',
+    };
+
+    // ========================================================================
+    // ERRORS
+    // ========================================================================
+
+    /** A protocol, port list or rule set the builder cannot write. */
+    class InvalidAclError extends IPCalcError {
+        constructor(message = 'Invalid ACL rule!') {
+            super(message, 'INVALID_ACL');
+        }
+    }
+
+    // ========================================================================
+    // PARSING
+    // ========================================================================
+
+    /**
+     * Parses a source or destination: "any", or a comma-separated list of
+     * networks, single addresses and ranges ("10.0.0.5 - 10.0.0.20").
+     * @param {string} text
+     * @param {string} name  - 'Source' or 'Destination', for messages
+     * @returns {{any: boolean, blocks: {network: string, cidr: number, wildcard: string,
+     *            subnetMask: string}[], warnings: string[]}}
+     *          `blocks` is empty for "any"
+     * @throws {IPCalcError}
+     */
+    function parseEndpoint(text, name) {
+        const items = String(text).split(',').map(s => s.trim()).filter(Boolean);
+        if (items.length === 0) throw new EmptyInputError(`Please enter a ${name.toLowerCase()}!`);
+        if (items.some(s => s.toLowerCase() === 'any')) {
+            if (items.length > 1) throw new InvalidAclError(`${name}: "any" cannot be combined with other entries!`);
+            return { any: true, blocks: [], warnings: [] };
+        }
+
+        const blocks = [], warnings = [];
+        for (const item of items) {
+            const range = item.match(/^(\S+)\s*-\s*(\S+)$/);
+            if (range) {
+                const startInt = bytesToInt(parseAddress(range[1]));
+                const endInt   = bytesToInt(parseAddress(range[2]));
+                if (startInt > endInt) throw new InvalidAclError(`${name}: ${item} starts after it ends!`);
+                const cidrs = rangeToCidrs(startInt, endInt);
+                if (cidrs.length > 1) warnings.push(`${name}: ${item} is not one block, split into ${cidrs.length} CIDR blocks`);
+                cidrs.forEach(b => blocks.push(describeBlock(b.networkInt, b.cidr)));
+                continue;
+            }
+            const net = parseNetwork(item, 32);
+            if (net.ipInt !== net.networkInt) {
+                warnings.push(`${name}: ${item} has host bits set, treated as ${intToIp(net.networkInt)}/${net.cidr}`);
+            }
+            blocks.push(describeBlock(net.networkInt, net.cidr));
+        }
+        return { any: false, blocks, warnings };
+    }
+
+    /**
+     * @param {number} networkInt
+     * @param {number} cidr
+     * @returns {{network: string, cidr: number, wildcard: string, subnetMask: string}}
+     */
+    function describeBlock(networkInt, cidr) {
+        return {
+            network    : intToIp(networkInt),
+            cidr,
+            wildcard   : intToIp(~cidrToInt(cidr) >>> 0),
+            subnetMask : intToIp(cidrToInt(cidr)),
+        };
+    }
+
+    /**
+     * Parses a destination port list: "443", "80, 443", "1000-2000".
+     * Blank or "any" is every port.
+     * @param {string} text
+     * @param {string} protocol
+     * @returns {{from: number, to: number}[]}  empty for every port
+     * @throws {InvalidAclError}
+     */
+    function parsePorts(text, protocol) {
+        const value = String(text).trim();
+        if (value === '' || value.toLowerCase() === 'any') return [];
+        if (protocol !== 'tcp' && protocol !== 'udp') {
+            throw new InvalidAclError(`Ports only apply to tcp and udp, not ${protocol}!`);
+        }
+
+        return value.split(',').map(s => s.trim()).filter(Boolean).map(item => {
+            const match = item.match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+            if (!match) throw new InvalidAclError(`Invalid port: ${item}!`);
+            const from = Number(match[1]);
+            const to   = match[2] === undefined ? from : Number(match[2]);
+            if (from < 1 || to > 65535 || from > to) throw new InvalidAclError(`Invalid port range: ${item}!`);
+            return { from, to };
+        });
+    }
+
+    // ========================================================================
+    // FORMATS
+    // ========================================================================
+
+    /**
+     * Every source / destination / port combination, for the formats that
+     * need one line each.
+     * @param {object} rule
+     * @returns {{src: object|null, dst: object|null, port: object|null}[]}  null = any
+     */
+    function expandRule(rule) {
+        const srcs  = rule.source.any ? [null] : rule.source.blocks;
+        const dsts  = rule.destination.any ? [null] : rule.destination.blocks;
+        const ports = rule.ports.length ? rule.ports : [null];
+        const lines = [];
+        for (const src of srcs) for (const dst of dsts) for (const port of ports) lines.push({ src, dst, port });
+        return lines;
+    }
+
+    /** @returns {string}  "10.0.0.0/24" */
+    function cidrText(block) {
+        return `${block.network}/${block.cidr}`;
+    }
+
+    /** @returns {string}  "{ a, b }" for several items (nftables set, pf list), the item alone for one */
+    function braceList(items) {
+        return items.length === 1 ? items[0] : `{ ${items.join(', ')} }`;
+    }
+
+    /**
+     * Cisco IOS named extended ACL, one line per combination.
+     * @param {object} rule
+     * @returns {string}
+     */
+    function ciscoAcl(rule) {
+        const address = b => !b || b.cidr === 0 ? 'any'
+                           : b.cidr === 32 ? `host ${b.network}`
+                           : `${b.network} ${b.wildcard}`;
+        const port = p => !p ? '' : p.from === p.to ? ` eq ${p.from}` : ` range ${p.from} ${p.to}`;
+        return [
+            `ip access-list extended ${ACL_TARGETS.cisco}`,
+            ...expandRule(rule).map(l => ` ${rule.action} ${rule.protocol} ${address(l.src)} ${address(l.dst)}${port(l.port)}`),
+        ].join('\n');
+    }
+
+    /**
+     * iptables commands, one per combination.
+     * @param {object} rule
+     * @returns {string}
+     */
+    function iptablesAcl(rule) {
+        const target = rule.action === 'permit' ? 'ACCEPT' : 'DROP';
+        return expandRule(rule).map(l => [
+            `iptables -A ${ACL_TARGETS.iptables}`,
+            rule.protocol === 'ip' ? '' : ` -p ${rule.protocol}`,
+            l.src ? ` -s ${cidrText(l.src)}` : '',
+            l.dst ? ` -d ${cidrText(l.dst)}` : '',
+            !l.port ? '' : l.port.from === l.port.to ? ` --dport ${l.port.from}` : ` --dport ${l.port.from}:${l.port.to}`,
+            ` -j ${target}`,
+        ].join('')).join('\n');
+    }
+
+    /**
+     * One nftables rule, using anonymous sets for lists.
+     * @param {object} rule
+     * @returns {string}
+     */
+    function nftablesAcl(rule) {
+        const ports = rule.ports.map(p => p.from === p.to ? String(p.from) : `${p.from}-${p.to}`);
+        const parts = [`add rule ${ACL_TARGETS.nftables}`];
+        if (!rule.source.any)      parts.push(`ip saddr ${braceList(rule.source.blocks.map(cidrText))}`);
+        if (!rule.destination.any) parts.push(`ip daddr ${braceList(rule.destination.blocks.map(cidrText))}`);
+        if (ports.length)               parts.push(`${rule.protocol} dport ${braceList(ports)}`);
+        else if (rule.protocol !== 'ip') parts.push(`ip protocol ${rule.protocol}`);
+        parts.push(rule.action === 'permit' ? 'accept' : 'drop');
+        return parts.join(' ');
+    }
+
+    /**
+     * One pf rule, using lists for several blocks or ports.
+     * @param {object} rule
+     * @returns {string}
+     */
+    function pfAcl(rule) {
+        const address = e => e.any ? 'any' : braceList(e.blocks.map(cidrText));
+        const ports   = rule.ports.map(p => p.from === p.to ? String(p.from) : `${p.from}:${p.to}`);
+        return [
+            rule.action === 'permit' ? 'pass quick' : 'block quick',
+            rule.protocol === 'ip' ? '' : ` proto ${rule.protocol}`,
+            ` from ${address(rule.source)} to ${address(rule.destination)}`,
+            ports.length ? ` port ${braceList(ports)}` : '',
+        ].join('');
+    }
+
+    /**
+     * AWS security-group ingress permissions (the IpPermissions list of
+     * authorize-security-group-ingress). Security groups only allow traffic
+     * and apply to their own instances, so the destination is not part of
+     * the rule; a deny rule has no security-group form.
+     * @param {object} rule
+     * @returns {string|null}  null for a deny rule
+     */
+    function awsAcl(rule) {
+        if (rule.action !== 'permit') return null;
+        const ipRanges = rule.source.any
+            ? [{ CidrIp: '0.0.0.0/0' }]
+            : rule.source.blocks.map(b => ({ CidrIp: cidrText(b) }));
+        const permission = (fromPort, toPort) => ({
+            IpProtocol : rule.protocol === 'ip' ? '-1' : rule.protocol,
+            ...(rule.protocol === 'ip' ? {} : { FromPort: fromPort, ToPort: toPort }),
+            IpRanges   : ipRanges,
+        });
+
+        const permissions = rule.ports.length ? rule.ports.map(p => permission(p.from, p.to))
+                          : rule.protocol === 'icmp' ? [permission(-1, -1)]
+                          : [permission(0, 65535)];
+        return JSON.stringify(permissions, null, 2);
+    }
+
+    // Formats in display order: title, generator and a note for the reader
+    const ACL_FORMATS = {
+        cisco    : { title: 'Cisco IOS', generate: ciscoAcl,    note: 'wildcard masks; the ACL still has to be applied to an interface' },
+        iptables : { title: 'iptables',  generate: iptablesAcl, note: '' },
+        nftables : { title: 'nftables',  generate: nftablesAcl, note: '' },
+        pf       : { title: 'pf',        generate: pfAcl,       note: '' },
+        aws      : { title: 'AWS SG',    generate: awsAcl,      note: 'ingress only; the destination is the instances holding the group' },
+    };
+
+    // ========================================================================
+    // BUILDER
+    // ========================================================================
+
+    /**
+     * Builds the rule in every format.
+     * @param {{source: string, destination: string, protocol?: string,
+     *          ports?: string, action?: 'permit'|'deny'}} input
+     * @returns {{source: object, destination: object, protocol: string,
+     *            ports: object[], action: string, ruleCount: number,
+     *            warnings: string[], snippets: {key: string, title: string,
+     *            text: string|null, note: string}[]}}
+     *          `ruleCount` is the number of one-line rules (Cisco, iptables);
+     *          `text` is null where a format cannot express the rule
+     * @throws {IPCalcError}
+     */
+    function buildAcl(input) {
+        const protocol = String(input.protocol || 'tcp').toLowerCase();
+        if (!ACL_PROTOCOLS.includes(protocol)) throw new InvalidAclError(`Unknown protocol: ${protocol}!`);
+        const action = input.action === 'deny' ? 'deny' : 'permit';
+
+        const rule = {
+            source      : parseEndpoint(input.source, 'Source'),
+            destination : parseEndpoint(input.destination, 'Destination'),
+            protocol,
+            ports       : parsePorts(input.ports || '', protocol),
+            action,
+        };
+        rule.ruleCount = expandRule(rule).length;
+        if (rule.ruleCount > ACL_MAX_RULES) {
+            throw new InvalidAclError(`This rule expands to ${rule.ruleCount} lines; the limit is ${ACL_MAX_RULES}!`);
+        }
+        rule.warnings = [...rule.source.warnings, ...rule.destination.warnings];
+
+        rule.snippets = Object.entries(ACL_FORMATS).map(([key, f]) => ({
+            key,
+            title : f.title,
+            text  : f.generate(rule),
+            note  : key === 'aws' && action === 'deny'
+                ? 'security groups cannot deny traffic; use a network ACL'
+                : f.note,
+        }));
+        return rule;
+    }
+
+    return {
+        InvalidAclError,
+        ACL_PROTOCOLS,
+        ACL_MAX_RULES,
+        ACL_TARGETS,
+        ACL_FORMATS,
+        parseEndpoint,
+        parsePorts,
+        buildAcl,
+    };
+});
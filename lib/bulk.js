@@ -0,0 +1,233 @@
+// ============================================================================
+// BULK CALCULATION
+// ----------------------------------------------------------------------------
+// Runs the calculator over many pasted or uploaded address/mask lines.
+// A bad line is reported on its own row instead of stopping the batch.
+// Browser: `IPCalc.bulk`; Node: `require('./lib/bulk')`.
+// ============================================================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./ipcalc.js'));
+    } else {
+        root.IPCalc.bulk = factory(root.IPCalc);
+    }
+})(typeof self !== 'undefined' ? self : this, function (IPCalc) {
+    'use strict';
+
+    const {
+        IPCalcError,
+        EmptyInputError,
+        InvalidIPError,
+        InvalidMaskError,
+        parse,
+        parseAddressNotation,
+        performNetworkCalculations,
+        bytesToInt,
+        hostOffsets,
+    } = IPCalc;
+
+    // First cell of a spreadsheet header: a column name such as "IP",
+    // "Address" or "Network", with no address in it
+    const HEADER_CELL = /^(?=.*(?:ip|addr|host|net|cidr|prefix))[a-z][a-z0-9 _.-]*$/i;
+
+    // Sort keys for sortBulkRows(): value read from a valid row
+    const SORT_KEYS = {
+        line      : row => row.line,
+        input     : row => row.input,
+        network   : row => row.calc.networkInt * 64 + row.calc.cidr,
+        broadcast : row => row.calc.broadcastInt,
+        usable    : row => row.calc.firstUsableInt,
+        hosts     : row => row.calc.availableHosts,
+        class     : row => row.calc.ipClass,
+        type      : row => row.calc.ipType,
+    };
+
+    // ========================================================================
+    // PARSING
+    // ========================================================================
+
+    /**
+     * Splits a CSV line on commas, semicolons and tabs outside double
+     * quotes. Quotes are removed and a doubled quote inside them is kept
+     * as one.
+     * @param {string} line
+     * @returns {string[]}  trimmed cells
+     */
+    function splitCsvCells(line) {
+        const cells = [];
+        let cell = '', quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+            if (ch === '"' && quoted && line[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = !quoted;
+            } else if (!quoted && /[,;\t]/.test(ch)) {
+                cells.push(cell.trim());
+                cell = '';
+            } else {
+                cell += ch;
+            }
+        }
+        cells.push(cell.trim());
+        return cells;
+    }
+
+    /**
+     * Splits one line into its address and mask cells. Accepts CSV
+     * (comma, semicolon or tab, optionally quoted), "ip mask" and "ip/mask".
+     * Cells after the second are ignored, so spreadsheet exports with extra
+     * columns still work.
+     * @param {string} line
+     * @returns {{ip: string, mask: string}}
+     */
+    function splitBulkLine(line) {
+        const cells = splitCsvCells(line);
+        if (cells.length > 1) return { ip: cells[0], mask: cells[1] };
+        // No delimiter: "10.0.0.5 255.255.255.0" or "10.0.0.5/24", both of
+        // which parse() reads from the address field alone
+        return { ip: cells[0], mask: '' };
+    }
+
+    /**
+     * Tells whether a line is a spreadsheet header ("ip,mask"): its first
+     * cell is a column name. Any other line, however broken, is calculated
+     * so it shows up as an error row.
+     * @param {string} line
+     * @returns {boolean}
+     */
+    function isHeaderLine(line) {
+        return HEADER_CELL.test(splitBulkLine(line).ip);
+    }
+
+    /**
+     * The error for a line parse() found empty: the mask is missing, unless
+     * the address is missing or is itself not an address.
+     * @param {string} ip  - address cell
+     * @returns {IPCalcError}
+     */
+    function missingFieldError(ip) {
+        if (ip.trim() === '') return new InvalidIPError('Missing IP address!');
+        try {
+            parseAddressNotation(ip);
+        } catch (err) {
+            if (!(err instanceof IPCalcError)) throw err;
+            return err;
+        }
+        return new InvalidMaskError('Missing subnet mask!');
+    }
+
+    // ========================================================================
+    // CALCULATION
+    // ========================================================================
+
+    /**
+     * Calculates every line. Blank lines and '#' comments are skipped, and so
+     * is a header as the first entry.
+     * @param {string} text
+     * @returns {{rows: object[], valid: number, invalid: number}}
+     *          rows: {line, input, calc} for valid lines (calc is a
+     *          performNetworkCalculations() result plus ipAddress, subnetMask,
+     *          networkInt, broadcastInt, firstUsableInt; a /32 has no
+     *          first usable address, so it sorts by its network) and
+     *          {line, input, error: {code, message}} for invalid ones
+     * @throws {EmptyInputError}  when there is no line to calculate
+     */
+    function calculateBulk(text) {
+        const rows = [];
+        String(text).split(/\r?\n/).forEach((raw, i) => {
+            const input = raw.replace(/#.*/, '').trim();
+            if (input === '') return;
+            if (rows.length === 0 && isHeaderLine(input)) return;
+
+            const { ip, mask } = splitBulkLine(input);
+            try {
+                const p = parse(ip, mask);
+                const c = performNetworkCalculations(p.ipBytes, p.maskBytes);
+                rows.push({ line: i + 1, input, calc: {
+                    ipAddress      : p.ipAddress,
+                    subnetMask     : p.subnetMask,
+                    ...c,
+                    networkInt     : bytesToInt(c.networkBytes),
+                    broadcastInt   : bytesToInt(c.broadcastBytes),
+                    firstUsableInt : bytesToInt(c.networkBytes) + hostOffsets(p.cidr).first,
+                }});
+            } catch (err) {
+                if (!(err instanceof IPCalcError)) throw err;
+                // parse() reports a missing mask or address as an empty form
+                const error = err instanceof EmptyInputError ? missingFieldError(ip) : err;
+                rows.push({ line: i + 1, input, error: { code: error.code, message: error.message } });
+            }
+        });
+        if (rows.length === 0) throw new EmptyInputError('Please enter at least one address and mask!');
+
+        const invalid = rows.filter(r => r.error).length;
+        return { rows, valid: rows.length - invalid, invalid };
+    }
+
+    // ========================================================================
+    // SORT / FILTER
+    // ========================================================================
+
+    /**
+     * Returns the rows sorted by a column. Invalid rows keep their line
+     * order and go last unless sorting by line or input.
+     * @param {object[]} rows
+     * @param {string}   key        - one of SORT_KEYS
+     * @param {boolean}  [descending=false]
+     * @returns {object[]}  a new array
+     */
+    function sortBulkRows(rows, key, descending = false) {
+        const read = SORT_KEYS[key] || SORT_KEYS.line;
+        const anyRow = key === 'line' || key === 'input';
+        const dir = descending ? -1 : 1;
+
+        return rows.slice().sort((a, b) => {
+            if (!anyRow && Boolean(a.error) !== Boolean(b.error)) return a.error ? 1 : -1;
+            if (!anyRow && a.error) return a.line - b.line;
+            const va = read(a), vb = read(b);
+            const cmp = typeof va === 'string' ? va.localeCompare(vb) : va - vb;
+            return (cmp || a.line - b.line) * dir;
+        });
+    }
+
+    /**
+     * Text a filter query is matched against: every shown cell of the row.
+     * @param {object} row
+     * @returns {string}
+     */
+    function bulkRowText(row) {
+        if (row.error) return `${row.input} invalid ${row.error.message}`;
+        const c = row.calc;
+        return [
+            row.input, `${c.networkAddress}/${c.cidr}`, c.broadcastAddress,
+            c.firstUsable, c.lastUsable, c.availableHosts, c.ipClass, c.ipType,
+        ].join(' ');
+    }
+
+    /**
+     * Keeps the rows whose cells contain every word of the query
+     * (case-insensitive). "invalid" matches the flagged rows.
+     * @param {object[]} rows
+     * @param {string}   query
+     * @returns {object[]}
+     */
+    function filterBulkRows(rows, query) {
+        const words = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+        if (words.length === 0) return rows;
+        return rows.filter(row => {
+            const text = bulkRowText(row).toLowerCase();
+            return words.every(w => text.includes(w));
+        });
+    }
+
+    return {
+        SORT_KEYS,
+        splitBulkLine,
+        calculateBulk,
+        sortBulkRows,
+        filterBulkRows,
+    };
+});
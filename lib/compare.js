@@ -0,0 +1,132 @@
+// ============================================================================
+// COMPARE
+// ----------------------------------------------------------------------------
+// Relationship between two entries, each an address or a network:
+// containment, equality, overlap, adjacency, common prefix and cover.
+// Browser: `IPCalc.compare`; Node: `require('./lib/compare')`.
+// ============================================================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./ipcalc.js'), require('./summarize.js'));
+    } else {
+        root.IPCalc.compare = factory(root.IPCalc, root.IPCalc.summarize);
+    }
+})(typeof self !== 'undefined' ? self : this, function (IPCalc, summarize) {
+    'use strict';
+
+    const {
+        parseNetwork,
+        intToBytes,
+        intToIp,
+        bytesToInt,
+        cidrToMask,
+        convertToBytes,
+        calculateNetworkAddress,
+        calculateBroadcastAddress,
+    } = IPCalc;
+
+    // ========================================================================
+    // PARSING
+    // ========================================================================
+
+    /**
+     * Parses one side of the comparison. A bare address is a /32.
+     * @param {string} text  - "10.1.4.77", "10.1.0.0/21", "10.1.0.0 255.255.248.0"
+     * @returns {{text: string, isAddress: boolean, cidr: number, ipInt: number,
+     *            networkInt: number, broadcastInt: number, size: number,
+     *            network: string, broadcast: string}}
+     * @throws {IPCalcError}
+     */
+    function parseEntry(text) {
+        const net       = parseNetwork(text, 32);
+        const ipBytes   = intToBytes(net.ipInt);
+        const maskBytes = convertToBytes(cidrToMask(net.cidr));
+
+        const networkBytes   = calculateNetworkAddress(ipBytes, maskBytes);
+        const broadcastBytes = calculateBroadcastAddress(networkBytes, maskBytes);
+
+        return {
+            text         : String(text).trim(),
+            isAddress    : !/[\s/]/.test(String(text).trim()),
+            cidr         : net.cidr,
+            ipInt        : net.ipInt,
+            networkInt   : bytesToInt(networkBytes),
+            broadcastInt : bytesToInt(broadcastBytes),
+            size         : net.size,
+            network      : intToIp(bytesToInt(networkBytes)),
+            broadcast    : intToIp(bytesToInt(broadcastBytes)),
+        };
+    }
+
+    // ========================================================================
+    // COMPARISON
+    // ========================================================================
+
+    /**
+     * Compares two parsed entries.
+     * CIDR blocks are either nested or disjoint, so `overlap` implies that one
+     * contains the other.
+     * @param {object} a  - parseEntry() result
+     * @param {object} b  - parseEntry() result
+     * @returns {object}
+     */
+    function compareEntries(a, b) {
+        const equal     = a.networkInt === b.networkInt && a.cidr === b.cidr;
+        const aContains = a.networkInt <= b.networkInt && b.broadcastInt <= a.broadcastInt;
+        const bContains = b.networkInt <= a.networkInt && a.broadcastInt <= b.broadcastInt;
+        const overlap   = a.networkInt <= b.broadcastInt && b.networkInt <= a.broadcastInt;
+        const adjacent  = a.broadcastInt + 1 === b.networkInt || b.broadcastInt + 1 === a.networkInt;
+
+        // Two equal-size neighbours merge when their union is itself aligned
+        const low       = Math.min(a.networkInt, b.networkInt);
+        const mergedLen = a.cidr - 1;
+        const mergeable = adjacent && a.cidr === b.cidr && a.cidr > 0 &&
+                          low % Math.pow(2, 32 - mergedLen) === 0;
+
+        // First bit where the two (network) addresses differ
+        const diff         = (a.networkInt ^ b.networkInt) >>> 0;
+        const firstDiffBit = diff === 0 ? null : Math.clz32(diff);
+        const commonPrefix = Math.min(firstDiffBit === null ? 32 : firstDiffBit, a.cidr, b.cidr);
+
+        let relationship;
+        if (equal)          relationship = 'equal';
+        else if (aContains) relationship = 'a-contains-b';
+        else if (bContains) relationship = 'b-contains-a';
+        else if (adjacent)  relationship = 'adjacent';
+        else                relationship = 'disjoint';
+
+        return {
+            a,
+            b,
+            relationship,
+            equal,
+            aContainsB   : aContains && !equal,
+            bContainsA   : bContains && !equal,
+            overlap,
+            adjacent,
+            mergeable,
+            merged       : mergeable ? `${intToIp(low)}/${mergedLen}` : null,
+            commonPrefix,
+            firstDiffBit,
+            cover        : summarize.supernet([a, b]),
+        };
+    }
+
+    /**
+     * Parses and compares two entries in one go.
+     * @param {string} textA
+     * @param {string} textB
+     * @returns {object}  compareEntries() result
+     * @throws {IPCalcError}
+     */
+    function compare(textA, textB) {
+        return compareEntries(parseEntry(textA), parseEntry(textB));
+    }
+
+    return {
+        parseEntry,
+        compareEntries,
+        compare,
+    };
+});
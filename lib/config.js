@@ -0,0 +1,258 @@
+// ============================================================================
+// DEVICE CONFIGURATION SNIPPETS
+// ----------------------------------------------------------------------------
+// Ready-to-paste router, host and DHCP server configuration for a
+// calculate() result. The router takes the first or last usable address as
+// the gateway; a number of addresses can be kept out of the DHCP pool.
+// Browser: `IPCalc.config`; Node: `require('./lib/config')`.
+// ============================================================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./ipcalc.js'));
+    } else {
+        root.IPCalc.config = factory(root.IPCalc);
+    }
+})(typeof self !== 'undefined' ? self : this, function (IPCalc) {
+    'use strict';
+
+    const {
+        IPCalcError,
+        convertToBytes,
+        bytesToInt,
+        intToIp,
+    } = IPCalc;
+
+    // Interface names used in the snippets
+    const CONFIG_INTERFACES = {
+        cisco   : 'GigabitEthernet0/0',
+        juniper : 'ge-0/0/0',
+        linux   : 'eth0',
+    };
+
+    // ========================================================================
+    // ERRORS
+    // ========================================================================
+
+    /** The network or the options leave no room for a gateway and a pool. */
+    class InvalidConfigError extends IPCalcError {
+        constructor(message = 'No configuration possible for this network!') {
+            super(message, 'INVALID_CONFIG');
+        }
+    }
+
+    // ========================================================================
+    // ADDRESSING
+    // ========================================================================
+
+    /**
+     * Picks the gateway, a host address and the DHCP pool.
+     * The gateway is the first or last usable address. Reserved addresses
+     * follow the gateway when it is first, or start the range when it is
+     * last; the pool is what is left. The host is a static address, so it
+     * is the first reserved one; with none reserved there is no static host
+     * and the host snippets use DHCP.
+     * @param {object} c  - calculate() result
+     * @param {{gateway?: 'first'|'last', reserved?: number|string}} [options]
+     * @returns {{gateway: string, host: string|null, poolStart: string, poolEnd: string,
+     *            poolSize: number, reserved: number}}
+     * @throws {InvalidConfigError}
+     */
+    function planAddressing(c, options = {}) {
+        if (c.cidr > 30) throw new InvalidConfigError(`A /${c.cidr} has no room for a gateway and a DHCP pool!`);
+        const reservedText = String(options.reserved === undefined ? '' : options.reserved).trim();
+        if (!/^\d*$/.test(reservedText)) throw new InvalidConfigError('Reserved addresses must be a whole number!');
+        const reserved  = Number(reservedText);
+        const gwFirst   = options.gateway !== 'last';
+        const firstInt  = bytesToInt(convertToBytes(c.firstUsable));
+        const lastInt   = bytesToInt(convertToBytes(c.lastUsable));
+        const gateway   = gwFirst ? firstInt : lastInt;
+        const host      = gwFirst ? firstInt + 1 : firstInt;
+        const poolStart = host + reserved;
+        const poolEnd   = gwFirst ? lastInt : lastInt - 1;
+        if (poolStart > poolEnd) {
+            throw new InvalidConfigError(`Reserving ${reserved} address${reserved === 1 ? '' : 'es'} leaves no DHCP pool in a /${c.cidr}!`);
+        }
+
+        return {
+            gateway   : intToIp(gateway),
+            host      : reserved > 0 ? intToIp(host) : null,
+            poolStart : intToIp(poolStart),
+            poolEnd   : intToIp(poolEnd),
+            poolSize  : poolEnd - poolStart + 1,
+            reserved,
+        };
+    }
+
+    // ========================================================================
+    // SNIPPETS
+    // ========================================================================
+
+    /**
+     * Cisco IOS: the gateway on the router interface, and a static route
+     * to the subnet for a neighbouring router. Its next hop is this
+     * router's address on the link between them, which the subnet does
+     * not tell, so it is left as a placeholder.
+     * @param {object} c  - calculate() result
+     * @param {object} a  - planAddressing() result
+     * @returns {string}
+     */
+    function ciscoConfig(c, a) {
+        return [
+            `interface ${CONFIG_INTERFACES.cisco}`,
+            ` ip address ${a.gateway} ${c.subnetMask}`,
+            ' no shutdown',
+            '!',
+            '! on a neighbouring router, <next-hop> being this router on the link between them:',
+            `ip route ${c.networkAddress} ${c.subnetMask} <next-hop>`,
+        ].join('\n');
+    }
+
+    /**
+     * Juniper Junos set commands: interface address and, as for Cisco, a
+     * static route with a placeholder next hop.
+     * @param {object} c
+     * @param {object} a
+     * @returns {string}
+     */
+    function juniperConfig(c, a) {
+        return [
+            `set interfaces ${CONFIG_INTERFACES.juniper} unit 0 family inet address ${a.gateway}/${c.cidr}`,
+            '# on a neighbouring router, <next-hop> being this router on the link between them:',
+            `set routing-options static route ${c.networkAddress}/${c.cidr} next-hop <next-hop>`,
+        ].join('\n');
+    }
+
+    /**
+     * Linux iproute2: a host on the subnet with its default route, or a
+     * DHCP client when no address is reserved for a static host.
+     * @param {object} c
+     * @param {object} a
+     * @returns {string}
+     */
+    function linuxConfig(c, a) {
+        if (!a.host) {
+            return [
+                `ip link set ${CONFIG_INTERFACES.linux} up`,
+                `dhclient ${CONFIG_INTERFACES.linux}`,
+            ].join('\n');
+        }
+        return [
+            `ip addr add ${a.host}/${c.cidr} brd ${c.broadcastAddress} dev ${CONFIG_INTERFACES.linux}`,
+            `ip link set ${CONFIG_INTERFACES.linux} up`,
+            `ip route add default via ${a.gateway}`,
+        ].join('\n');
+    }
+
+    /**
+     * Ubuntu netplan YAML for the same host.
+     * @param {object} c
+     * @param {object} a
+     * @returns {string}
+     */
+    function netplanConfig(c, a) {
+        if (!a.host) {
+            return [
+                'network:',
+                '  version: 2',
+                '  ethernets:',
+                `    ${CONFIG_INTERFACES.linux}:`,
+                '      dhcp4: true',
+            ].join('\n');
+        }
+        return [
+            'network:',
+            '  version: 2',
+            '  ethernets:',
+            `    ${CONFIG_INTERFACES.linux}:`,
+            '      addresses:',
+            `        - ${a.host}/${c.cidr}`,
+            '      routes:',
+            '        - to: default',
+            `          via: ${a.gateway}`,
+        ].join('\n');
+    }
+
+    /**
+     * ISC dhcpd subnet declaration.
+     * @param {object} c
+     * @param {object} a
+     * @returns {string}
+     */
+    function dhcpdConfig(c, a) {
+        return [
+            `subnet ${c.networkAddress} netmask ${c.subnetMask} {`,
+            `  range ${a.poolStart} ${a.poolEnd};`,
+            `  option routers ${a.gateway};`,
+            `  option subnet-mask ${c.subnetMask};`,
+            `  option broadcast-address ${c.broadcastAddress};`,
+            '}',
+        ].join('\n');
+    }
+
+    /**
+     * dnsmasq DHCP range and router option.
+     * @param {object} c
+     * @param {object} a
+     * @returns {string}
+     */
+    function dnsmasqConfig(c, a) {
+        return [
+            `dhcp-range=${a.poolStart},${a.poolEnd},${c.subnetMask},12h`,
+            `dhcp-option=option:router,${a.gateway}`,
+        ].join('\n');
+    }
+
+    /**
+     * Kea DHCPv4 subnet, for the "subnet4" list of kea-dhcp4.conf.
+     * @param {object} c
+     * @param {object} a
+     * @returns {string}
+     */
+    function keaConfig(c, a) {
+        return JSON.stringify({
+            'id'          : 1,
+            'subnet'      : `${c.networkAddress}/${c.cidr}`,
+            'pools'       : [{ 'pool': `${a.poolStart} - ${a.poolEnd}` }],
+            'option-data' : [{ 'name': 'routers', 'data': a.gateway }],
+        }, null, 2);
+    }
+
+    // Snippets in display order: title and generator
+    const CONFIG_SNIPPETS = {
+        cisco   : { title: 'Cisco IOS',     generate: ciscoConfig },
+        juniper : { title: 'Juniper Junos', generate: juniperConfig },
+        linux   : { title: 'Linux ip',      generate: linuxConfig },
+        netplan : { title: 'Netplan',       generate: netplanConfig },
+        dhcpd   : { title: 'ISC dhcpd',     generate: dhcpdConfig },
+        dnsmasq : { title: 'dnsmasq',       generate: dnsmasqConfig },
+        kea     : { title: 'Kea DHCPv4',    generate: keaConfig },
+    };
+
+    /**
+     * Every snippet for a result.
+     * @param {object} c  - calculate() result
+     * @param {{gateway?: 'first'|'last', reserved?: number|string}} [options]
+     * @returns {{addressing: object, snippets: {key: string, title: string, text: string}[]}}
+     * @throws {InvalidConfigError}
+     */
+    function generateConfigs(c, options) {
+        const addressing = planAddressing(c, options);
+        return {
+            addressing,
+            snippets : Object.entries(CONFIG_SNIPPETS).map(([key, s]) => ({
+                key,
+                title : s.title,
+                text  : s.generate(c, addressing),
+            })),
+        };
+    }
+
+    return {
+        InvalidConfigError,
+        CONFIG_INTERFACES,
+        CONFIG_SNIPPETS,
+        planAddressing,
+        generateConfigs,
+    };
+});
@@ -0,0 +1,113 @@
+// ============================================================================
+// ADDRESS EXCLUSION
+// ----------------------------------------------------------------------------
+// Subtracts networks and single addresses from a base network and lists the
+// space left over as the minimal set of CIDR blocks.
+// Browser: `IPCalc.exclude`; Node: `require('./lib/exclude')`.
+// ============================================================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./ipcalc.js'), require('./summarize.js'));
+    } else {
+        root.IPCalc.exclude = factory(root.IPCalc, root.IPCalc.summarize);
+    }
+})(typeof self !== 'undefined' ? self : this, function (IPCalc, summarize) {
+    'use strict';
+
+    const {
+        parseNetwork,
+        cidrToMask,
+        convertToBytes,
+        bytesToInt,
+        intToBytes,
+        intToIp,
+        calculateNetworkAddress,
+        calculateBroadcastAddress,
+        rangeToCidrs,
+    } = IPCalc;
+    const { parseNetworkList, mergeRanges } = summarize;
+
+    // ========================================================================
+    // HELPERS
+    // ========================================================================
+
+    /**
+     * First and last address of the network holding an address.
+     * @param {number} ipInt
+     * @param {number} cidr
+     * @returns {{networkInt: number, broadcastInt: number}}
+     */
+    function networkBounds(ipInt, cidr) {
+        const maskBytes      = convertToBytes(cidrToMask(cidr));
+        const networkBytes   = calculateNetworkAddress(intToBytes(ipInt), maskBytes);
+        const broadcastBytes = calculateBroadcastAddress(networkBytes, maskBytes);
+        return { networkInt: bytesToInt(networkBytes), broadcastInt: bytesToInt(broadcastBytes) };
+    }
+
+    // ========================================================================
+    // EXCLUSION
+    // ========================================================================
+
+    /**
+     * Removes a list of networks from a base network.
+     * Entries are clipped to the base; entries outside it are reported and
+     * otherwise ignored.
+     * @param {string} baseText  - "10.0.0.0/16" or "10.0.0.0 255.255.0.0"
+     * @param {string} listText  - one network or address per line (commas
+     *                             also separate), as parseNetworkList() reads
+     * @returns {{base: {network: string, broadcast: string, cidr: number, size: number},
+     *            exclusions: object[], excluded: number, free: number, blocks: object[]}}
+     *          `exclusions` are the parsed entries plus `status`
+     *          ('inside' | 'overlap' | 'outside'); `blocks` are the
+     *          rangeToCidrs() blocks left over, lowest first
+     * @throws {IPCalcError}
+     */
+    function excludeNetworks(baseText, listText) {
+        const parsed = parseNetwork(baseText);
+        const base   = { ...networkBounds(parsed.ipInt, parsed.cidr), cidr: parsed.cidr };
+
+        const exclusions = parseNetworkList(listText, 32).map(entry => {
+            const bounds = networkBounds(entry.ipInt, entry.cidr);
+            const status = bounds.broadcastInt < base.networkInt || bounds.networkInt > base.broadcastInt ? 'outside'
+                         : bounds.networkInt >= base.networkInt && bounds.broadcastInt <= base.broadcastInt ? 'inside'
+                         : 'overlap';
+            return { ...entry, ...bounds, network: intToIp(bounds.networkInt), status };
+        });
+
+        // Parts of the base covered by an exclusion, merged and in order
+        const taken = mergeRanges(exclusions
+            .filter(e => e.status !== 'outside')
+            .map(e => ({
+                networkInt   : Math.max(e.networkInt, base.networkInt),
+                broadcastInt : Math.min(e.broadcastInt, base.broadcastInt),
+            })));
+
+        const blocks = [];
+        let cursor = base.networkInt;
+        for (const range of taken) {
+            if (range.startInt > cursor) blocks.push(...rangeToCidrs(cursor, range.startInt - 1));
+            cursor = range.endInt + 1;
+        }
+        if (cursor <= base.broadcastInt) blocks.push(...rangeToCidrs(cursor, base.broadcastInt));
+
+        const size     = base.broadcastInt - base.networkInt + 1;
+        const excluded = taken.reduce((sum, r) => sum + r.endInt - r.startInt + 1, 0);
+        return {
+            base : {
+                network   : intToIp(base.networkInt),
+                broadcast : intToIp(base.broadcastInt),
+                cidr      : base.cidr,
+                size,
+            },
+            exclusions,
+            excluded,
+            free : size - excluded,
+            blocks,
+        };
+    }
+
+    return {
+        excludeNetworks,
+    };
+});
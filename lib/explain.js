@@ -0,0 +1,245 @@
+// ============================================================================
+// STEP-BY-STEP EXPLANATION
+// ----------------------------------------------------------------------------
+// Breaks a calculate() result into the derivations a student would write
+// out: mask from prefix, IP AND mask, network OR NOT mask, the host count
+// formula, and reading the subnet and host numbers from their bit fields.
+// Each step lists the binary rows to show and the bits to highlight.
+// Browser: `IPCalc.explain`; Node: `require('./lib/explain')`.
+// ============================================================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./ipcalc.js'));
+    } else {
+        root.IPCalc.explain = factory(root.IPCalc);
+    }
+})(typeof self !== 'undefined' ? self : this, function (IPCalc) {
+    'use strict';
+
+    const { formatBinary, bytesToDotted } = IPCalc;
+
+    // ========================================================================
+    // HELPERS
+    // ========================================================================
+
+    /**
+     * The bits in [from, to) of an address as a string of 0s and 1s.
+     * @param {number[]} bytes
+     * @param {number}   from
+     * @param {number}   to
+     * @returns {string}
+     */
+    function bitString(bytes, from, to) {
+        return formatBinary(bytes, '').slice(from, to);
+    }
+
+    /**
+     * "1 bit", "6 bits".
+     * @param {number} n
+     * @param {string} word  - singular
+     * @returns {string}
+     */
+    function plural(n, word) {
+        return `${n} ${word}${n === 1 ? '' : 's'}`;
+    }
+
+    /**
+     * One binary row of a step.
+     * @param {string}   label
+     * @param {number[]} bytes
+     * @param {string}   [op='']    - operator written before the row: AND, OR, NOT, =
+     * @param {number[]} [mark]     - [from, to) bit range to highlight
+     * @returns {{label: string, op: string, bytes: number[], dotted: string, mark: number[]|null}}
+     */
+    function row(label, bytes, op = '', mark = null) {
+        return { label, op, bytes, dotted: bytesToDotted(bytes), mark };
+    }
+
+    // ========================================================================
+    // STEPS
+    // ========================================================================
+
+    /**
+     * Step 1: the prefix length written out as a mask.
+     * @param {object} c  - calculate() result
+     * @returns {object}  step
+     */
+    function explainMask(c) {
+        return {
+            title   : 'SUBNET MASK FROM PREFIX',
+            formula : `/${c.cidr} = ${plural(c.cidr, 'one-bit')}, then ${plural(32 - c.cidr, 'zero-bit')}`,
+            rows    : [row('Mask', c.maskBytes, '', [0, c.cidr])],
+            notes   : [
+                `Each group of 8 bits is one decimal byte: ${c.maskBytes.map(b => `${b.toString(2).padStart(8, '0')} = ${b}`).join(', ')}.`,
+                `The ones cover the network part, the zeros the host part, so the mask is ${bytesToDotted(c.maskBytes)}.`,
+            ],
+        };
+    }
+
+    /**
+     * Step 2: network address = IP AND mask.
+     * @param {object} c  - calculate() result
+     * @returns {object}  step
+     */
+    function explainNetwork(c) {
+        const hostBits = [c.cidr, 32];
+        return {
+            title   : 'NETWORK ADDRESS = IP AND MASK',
+            formula : `${c.ipAddress} AND ${bytesToDotted(c.maskBytes)} = ${c.networkAddress}`,
+            rows    : [
+                row('IP',   c.ipBytes,      '',    hostBits),
+                row('Mask', c.maskBytes,    'AND', hostBits),
+                row('Net',  c.networkBytes, '=',   hostBits),
+            ],
+            notes   : [
+                'AND gives 1 only where both bits are 1.',
+                'Under the mask\'s ones the IP bits are copied; under its zeros (highlighted) they become 0.',
+                c.cidr === 32
+                    ? 'A /32 has no host bits, so the network is the address itself.'
+                    : `Clearing the ${plural(32 - c.cidr, 'host bit')} gives the first address of the block: ${c.networkAddress}.`,
+            ],
+        };
+    }
+
+    /**
+     * Step 3: broadcast address = network OR NOT mask.
+     * @param {object} c  - calculate() result
+     * @returns {object}  step
+     */
+    function explainBroadcast(c) {
+        const hostBits = [c.cidr, 32];
+        return {
+            title   : 'BROADCAST = NETWORK OR (NOT MASK)',
+            formula : `${c.networkAddress} OR ${c.wildcardMask} = ${c.broadcastAddress}`,
+            rows    : [
+                row('Mask',  c.maskBytes,      '',    hostBits),
+                row('Wild',  c.wildcardBytes,  'NOT', hostBits),
+                row('Net',   c.networkBytes,   '',    hostBits),
+                row('Wild',  c.wildcardBytes,  'OR',  hostBits),
+                row('Bcast', c.broadcastBytes, '=',   hostBits),
+            ],
+            notes   : [
+                `NOT flips every mask bit: ${bytesToDotted(c.maskBytes)} becomes the wildcard ${c.wildcardMask}.`,
+                'OR gives 1 where either bit is 1, so every host bit of the network is set.',
+                c.cidr === 32
+                    ? 'A /32 has no host bits, so the broadcast is the address itself.'
+                    : `Setting the ${plural(32 - c.cidr, 'host bit')} gives the last address of the block: ${c.broadcastAddress}.`,
+            ],
+        };
+    }
+
+    /**
+     * Step 4: usable hosts = 2^(32-n) - 2, and the usable range.
+     * @param {object} c  - calculate() result
+     * @returns {object}  step
+     */
+    function explainHosts(c) {
+        const hostBits = 32 - c.cidr;
+        const total    = Math.pow(2, hostBits);
+        const notes    = [`2^${hostBits} = ${total} ${total === 1 ? 'address' : 'addresses'} in the block (${plural(hostBits, 'host bit')}).`];
+        let formula;
+
+        if (c.cidr === 32) {
+            formula = '/32: 2^0 = 1 address, 0 usable hosts';
+            notes.push('A /32 is a single address (host route, loopback): no network, broadcast or host range.');
+        } else if (c.cidr === 31) {
+            formula = '/31: 2^1 = 2 addresses, both usable';
+            notes.push('A /31 point-to-point link has no network or broadcast address, so both addresses are usable (RFC 3021).');
+        } else {
+            formula = `2^(32-${c.cidr}) - 2 = ${total} - 2 = ${c.availableHosts}`;
+            notes.push(
+                'The all-zeros host part is the network address and the all-ones host part is the broadcast, so 2 are subtracted.',
+                `First usable = network + 1 = ${c.firstUsable}; last usable = broadcast - 1 = ${c.lastUsable}.`);
+        }
+
+        return {
+            title : 'USABLE HOSTS = 2^(32-n) - 2',
+            formula,
+            rows  : [
+                row('Net',   c.networkBytes,   '', [c.cidr, 32]),
+                row('Bcast', c.broadcastBytes, '', [c.cidr, 32]),
+            ],
+            notes,
+        };
+    }
+
+    /**
+     * Step 5: subnet number read from the subnet bits.
+     * @param {object} c  - calculate() result
+     * @returns {object}  step
+     */
+    function explainSubnetNumber(c) {
+        if (c.cidr <= c.parentCidr) {
+            return {
+                title   : 'SUBNET NUMBER FROM THE SUBNET BITS',
+                formula : `/${c.cidr} is not longer than the /${c.parentCidr} parent: no subnet bits`,
+                rows    : [row('IP', c.ipBytes)],
+                notes   : [
+                    'Subnet bits are the bits between the parent prefix and the mask.',
+                    'There are none here, so the network is not subnetted and the subnet number is 0.',
+                ],
+            };
+        }
+
+        const bits  = bitString(c.ipBytes, c.parentCidr, c.cidr);
+        const value = c.subnetNumber - 1;
+        return {
+            title   : 'SUBNET NUMBER FROM THE SUBNET BITS',
+            formula : `bits ${c.parentCidr + 1}-${c.cidr}: ${bits} = ${value}, +1 = subnet ${c.subnetNumber} of ${c.totalSubnets}`,
+            rows    : [row('IP', c.ipBytes, '', [c.parentCidr, c.cidr])],
+            notes   : [
+                `The highlighted bits lie between the /${c.parentCidr} parent and the /${c.cidr} mask: the subnet part.`,
+                `Read as a binary number, ${bits} = ${value}. Counting from 1 makes this subnet #${c.subnetNumber}.`,
+                `2^${c.cidr - c.parentCidr} = ${plural(c.totalSubnets, 'subnet')} in the parent (${plural(c.cidr - c.parentCidr, 'subnet bit')}).`,
+            ],
+        };
+    }
+
+    /**
+     * Step 6: host number read from the host bits.
+     * @param {object} c  - calculate() result
+     * @returns {object}  step
+     */
+    function explainHostNumber(c) {
+        if (c.cidr === 32) {
+            return {
+                title   : 'HOST NUMBER FROM THE HOST BITS',
+                formula : '/32: no host bits, host number 0',
+                rows    : [row('IP', c.ipBytes)],
+                notes   : ['Every bit belongs to the network part, so there is no host number.'],
+            };
+        }
+
+        const bits = bitString(c.ipBytes, c.cidr, 32);
+        return {
+            title   : 'HOST NUMBER FROM THE HOST BITS',
+            formula : `bits ${c.cidr + 1}-32: ${bits} = ${c.hostNumber}`,
+            rows    : [row('IP', c.ipBytes, '', [c.cidr, 32])],
+            notes   : [
+                `The highlighted bits after the /${c.cidr} mask are the host part.`,
+                `Read as a binary number, ${bits} = ${c.hostNumber}: the address is ${c.hostNumber} past the network address.`,
+            ],
+        };
+    }
+
+    /**
+     * Every step of the calculation, in order.
+     * @param {object} c  - calculate() result
+     * @returns {{title: string, formula: string, rows: object[], notes: string[]}[]}
+     */
+    function explainCalculation(c) {
+        return [
+            explainMask(c),
+            explainNetwork(c),
+            explainBroadcast(c),
+            explainHosts(c),
+            explainSubnetNumber(c),
+            explainHostNumber(c),
+        ];
+    }
+
+    return {
+        explainCalculation,
+    };
+});
@@ -0,0 +1,248 @@
+// ============================================================================
+// EXPORT
+// ----------------------------------------------------------------------------
+// A calculate() result as JSON, CSV, Markdown or a plain-text report, each
+// with the subnet list and the binary view. The output depends only on the
+// result (no dates, no locale formatting), so exports can be diffed.
+// Browser: `IPCalc.export`; Node: `require('./lib/export')`.
+// ============================================================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./ipcalc.js'));
+    } else {
+        root.IPCalc.export = factory(root.IPCalc);
+    }
+})(typeof self !== 'undefined' ? self : this, function (IPCalc) {
+    'use strict';
+
+    const {
+        getBitPart,
+        formatBinary,
+        formatSections,
+        listSubnets,
+    } = IPCalc;
+
+    // Subnet lists longer than this are cut to the block of this many rows
+    // holding the current subnet
+    const EXPORT_SUBNET_LIMIT = 256;
+
+    // One letter per bit for the "Part" line of the binary view
+    const BIT_PART_LETTERS = { network: 'N', subnet: 'S', host: 'H' };
+
+    // ========================================================================
+    // SHARED PARTS
+    // ========================================================================
+
+    /**
+     * The subnet rows included in an export.
+     * @param {object} c  - calculate() result
+     * @returns {{total: number, first: number, truncated: boolean, note: string|null,
+     *            rows: {number: number, network: string, broadcast: string, current: boolean}[]}}
+     *          `note` says which subnets a truncated list holds, for every format to print
+     */
+    function exportSubnets(c) {
+        const truncated = c.totalSubnets > EXPORT_SUBNET_LIMIT;
+        const offset    = truncated
+            ? Math.floor(Math.max(c.subnetNumber - 1, 0) / EXPORT_SUBNET_LIMIT) * EXPORT_SUBNET_LIMIT
+            : 0;
+        const rows = listSubnets(c.networkBytes, c.cidr, {
+            parentCidr : c.parentCidr,
+            offset,
+            count      : EXPORT_SUBNET_LIMIT,
+        }).map(row => ({ ...row, current: row.number === Math.max(c.subnetNumber, 1) }));
+        const note = !truncated ? null
+            : `Subnets ${offset + 1}-${offset + rows.length} of ${c.totalSubnets}: exports list the block of ${EXPORT_SUBNET_LIMIT} holding the current subnet.`;
+
+        return { total: c.totalSubnets, first: offset + 1, truncated, note, rows };
+    }
+
+    /**
+     * The binary view as text lines: IP, mask, wildcard and network, plus a
+     * "Part" line marking each bit N(etwork), S(ubnet) or H(ost).
+     * @param {object} c  - calculate() result
+     * @returns {[string, string][]}  [label, bits]
+     */
+    function exportBinary(c) {
+        const parts = [0, 1, 2, 3].map(byte => {
+            let out = '';
+            for (let bit = 0; bit < 8; bit++) {
+                out += BIT_PART_LETTERS[getBitPart(byte * 8 + bit, c.cidr, c.parentCidr)];
+            }
+            return out;
+        }).join('.');
+
+        return [
+            ['IP',   formatBinary(c.ipBytes)],
+            ['Mask', formatBinary(c.maskBytes)],
+            ['Wild', formatBinary(c.wildcardBytes)],
+            ['Net',  formatBinary(c.networkBytes)],
+            ['Part', parts],
+        ];
+    }
+
+    /**
+     * Copy of a value with object keys sorted, so JSON output does not
+     * depend on the order properties were added in.
+     * @param {*} value
+     * @returns {*}
+     */
+    function sortKeys(value) {
+        if (Array.isArray(value)) return value.map(sortKeys);
+        if (value === null || typeof value !== 'object') return value;
+        const sorted = {};
+        for (const key of Object.keys(value).sort()) sorted[key] = sortKeys(value[key]);
+        return sorted;
+    }
+
+    /**
+     * Suggested file name for an export, e.g. "ipcalc-192.168.1.10-26.md".
+     * @param {object} c          - calculate() result
+     * @param {string} extension
+     * @returns {string}
+     */
+    function exportFileName(c, extension) {
+        return `ipcalc-${c.ipAddress}-${c.cidr}.${extension}`;
+    }
+
+    // ========================================================================
+    // FORMATS
+    // ========================================================================
+
+    /**
+     * JSON: the whole result object plus the binary view and subnet list.
+     * @param {object} c  - calculate() result
+     * @returns {string}
+     */
+    function exportJson(c) {
+        const binary = {};
+        for (const [label, bits] of exportBinary(c)) binary[label.toLowerCase()] = bits;
+
+        return JSON.stringify(sortKeys({
+            result  : c,
+            binary,
+            subnets : exportSubnets(c),
+        }), null, 2) + '\n';
+    }
+
+    /**
+     * Quotes a CSV cell when needed.
+     * @param {*} value
+     * @returns {string}
+     */
+    function csvCell(value) {
+        const str = String(value);
+        return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    }
+
+    /**
+     * CSV with one "section,field,value" line per shown value, the binary
+     * view and one line per subnet.
+     * @param {object} c  - calculate() result
+     * @returns {string}
+     */
+    function exportCsv(c) {
+        const lines = [['section', 'field', 'value']];
+        for (const section of formatSections(c)) {
+            for (const [label, value] of section.rows) lines.push([section.title, label, value]);
+        }
+        for (const [label, bits] of exportBinary(c)) lines.push(['BINARY VIEW', label, bits]);
+        const subnets = exportSubnets(c);
+        if (subnets.truncated) lines.push(['SUBNET LIST', 'Note', subnets.note]);
+        for (const row of subnets.rows) {
+            lines.push(['SUBNET LIST', `#${row.number}`, `${row.network}/${c.cidr} - ${row.broadcast}${row.current ? ' (current)' : ''}`]);
+        }
+        return lines.map(line => line.map(csvCell).join(',')).join('\n') + '\n';
+    }
+
+    /**
+     * Escapes a Markdown table cell.
+     * @param {*} value
+     * @returns {string}
+     */
+    function mdCell(value) {
+        return String(value).replace(/\|/g, '\\|');
+    }
+
+    /**
+     * Markdown: one table per section, the binary view as a code block and
+     * the subnet list as a table with the current subnet in bold.
+     * @param {object} c  - calculate() result
+     * @returns {string}
+     */
+    function exportMarkdown(c) {
+        const lines = [`## ${c.ipAddress}/${c.cidr}`, ''];
+
+        for (const section of formatSections(c)) {
+            lines.push(`### ${section.title}`, '', '| Field | Value |', '| --- | --- |');
+            for (const [label, value] of section.rows) lines.push(`| ${mdCell(label)} | ${mdCell(value)} |`);
+            lines.push('');
+        }
+
+        lines.push('### BINARY VIEW', '', '```');
+        for (const [label, bits] of exportBinary(c)) lines.push(`${label.padEnd(4)} : ${bits}`);
+        lines.push('```', '');
+
+        const subnets = exportSubnets(c);
+        lines.push(`### SUBNET LIST (/${c.cidr} in /${c.parentCidr})`, '');
+        if (subnets.truncated) lines.push(subnets.note, '');
+        lines.push('| # | Network | Broadcast |', '| --- | --- | --- |');
+        for (const row of subnets.rows) {
+            const b = row.current ? '**' : '';
+            lines.push(`| ${b}${row.number}${b} | ${b}${row.network}/${c.cidr}${b} | ${b}${row.broadcast}${b} |`);
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Plain ASCII report in the page's terminal style.
+     * @param {object} c  - calculate() result
+     * @returns {string}
+     */
+    function exportReport(c) {
+        const rule  = '='.repeat(60);
+        const title = text => [`[ ${text} ]`, '-'.repeat(text.length + 4)];
+        const lines = [rule, `  IP CALCULATOR :: ${c.ipAddress}/${c.cidr}`, rule, ''];
+
+        for (const section of formatSections(c)) {
+            lines.push(...title(section.title));
+            for (const [label, value] of section.rows) lines.push(`  ${(label + ':').padEnd(17)} ${value}`);
+            lines.push('');
+        }
+
+        lines.push(...title('BINARY VIEW'), '  N = network  S = subnet  H = host');
+        for (const [label, bits] of exportBinary(c)) lines.push(`  ${label.padEnd(5)}: ${bits}`);
+        lines.push('');
+
+        const subnets = exportSubnets(c);
+        lines.push(...title(`SUBNET LIST /${c.cidr} IN /${c.parentCidr}`));
+        if (subnets.truncated) lines.push(`  ${subnets.note}`);
+        const width = String(subnets.first + subnets.rows.length - 1).length + 1;
+        for (const row of subnets.rows) {
+            const network = `${row.network}/${c.cidr}`.padEnd(19);
+            lines.push(`${row.current ? '>' : ' '} ${('#' + row.number).padStart(width)}  ${network}-> ${row.broadcast}`);
+        }
+        lines.push('', rule);
+        return lines.map(line => line.replace(/\s+$/, '')).join('\n') + '\n';
+    }
+
+    // Export formats: file extension, MIME type and formatter
+    const EXPORT_FORMATS = {
+        json     : { extension: 'json', mime: 'application/json', format: exportJson },
+        csv      : { extension: 'csv',  mime: 'text/csv',         format: exportCsv },
+        markdown : { extension: 'md',   mime: 'text/markdown',    format: exportMarkdown },
+        report   : { extension: 'txt',  mime: 'text/plain',       format: exportReport },
+    };
+
+    return {
+        EXPORT_SUBNET_LIMIT,
+        EXPORT_FORMATS,
+        exportSubnets,
+        exportBinary,
+        exportFileName,
+        exportJson,
+        exportCsv,
+        exportMarkdown,
+        exportReport,
+    };
+});
@@ -0,0 +1,254 @@
+// ============================================================================
+// HOST ENUMERATION
+// ----------------------------------------------------------------------------
+// Lists the host addresses of a calculate() result page by page, converts
+// between an address and its host number (the offset calculateHostNumber()
+// reports) and picks random free addresses. Host addresses are the usable
+// range of the result, by the engine's hostOffsets() rule: a /30 or shorter
+// skips its network and broadcast address, a /31 point-to-point link
+// (RFC 3021) uses both addresses and a /32 has no hosts.
+// Browser: `IPCalc.hosts`; Node: `require('./lib/hosts')`.
+// ============================================================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./ipcalc.js'), require('./summarize.js'));
+    } else {
+        root.IPCalc.hosts = factory(root.IPCalc, root.IPCalc.summarize);
+    }
+})(typeof self !== 'undefined' ? self : this, function (IPCalc, summarize) {
+    'use strict';
+
+    const {
+        IPCalcError,
+        parseAddress,
+        bytesToInt,
+        intToIp,
+        calculateHostNumber,
+        hostOffsets,
+    } = IPCalc;
+    const { parseNetworkList, mergeRanges } = summarize;
+
+    const HOST_PAGE_SIZE  = 16;
+    const HOST_PICK_MAX   = 1000;
+    const HOST_EXPORT_MAX = 65536;   // a /16 worth of lines
+
+    // ========================================================================
+    // ERRORS
+    // ========================================================================
+
+    /** A host number or address that is not a host of the network. */
+    class InvalidHostError extends IPCalcError {
+        constructor(message = 'Not a host of this network!') {
+            super(message, 'INVALID_HOST');
+        }
+    }
+
+    /** A random pick count that is not a number, too large, or unfillable. */
+    class InvalidPickError extends IPCalcError {
+        constructor(message = 'Invalid number of addresses to pick!') {
+            super(message, 'INVALID_PICK');
+        }
+    }
+
+    // ========================================================================
+    // HOST NUMBERS
+    // ========================================================================
+
+    /**
+     * Host numbers that are host addresses of a network.
+     * @param {object} c  - calculate() result
+     * @returns {{first: number, last: number, count: number}}  count 0 for a /32
+     */
+    function hostBounds(c) {
+        return hostOffsets(c.cidr);
+    }
+
+    /**
+     * Address with a host number: the inverse of calculateHostNumber().
+     * @param {object} c      - calculate() result
+     * @param {number} index  - host number
+     * @returns {string}
+     * @throws {InvalidHostError}
+     */
+    function hostAt(c, index) {
+        const { first, last, count } = hostBounds(c);
+        if (count === 0) throw new InvalidHostError(`A /${c.cidr} has no host addresses!`);
+        if (!Number.isInteger(index) || index < first || index > last) {
+            throw new InvalidHostError(`Host numbers in ${c.networkAddress}/${c.cidr} run from ${first} to ${last.toLocaleString()}!`);
+        }
+        return intToIp(bytesToInt(c.networkBytes) + index);
+    }
+
+    /**
+     * Host number of an address in the network.
+     * @param {object}   c        - calculate() result
+     * @param {number[]} ipBytes
+     * @returns {number}
+     * @throws {InvalidHostError}
+     */
+    function hostIndexOf(c, ipBytes) {
+        const { first, last } = hostBounds(c);
+        const ipInt = bytesToInt(ipBytes);
+        const index = ipInt - bytesToInt(c.networkBytes);
+        if (index < 0 || index > bytesToInt(c.broadcastBytes) - bytesToInt(c.networkBytes)) {
+            throw new InvalidHostError(`${intToIp(ipInt)} is not in ${c.networkAddress}/${c.cidr}!`);
+        }
+        if (first > last) throw new InvalidHostError(`A /${c.cidr} has no host addresses!`);
+        if (index < first || index > last) {
+            throw new InvalidHostError(`${intToIp(ipInt)} is the ${index === 0 ? 'network' : 'broadcast'} address, not a host!`);
+        }
+        return calculateHostNumber(ipBytes, c.cidr);
+    }
+
+    /**
+     * Looks up a host from typed text: a dotted address gives its host
+     * number, anything else is read as a host number.
+     * @param {object} c     - calculate() result
+     * @param {string} text  - "10", "#10" or "172.16.12.3"
+     * @returns {{index: number, address: string}}
+     * @throws {IPCalcError}
+     */
+    function lookupHost(c, text) {
+        const value = String(text).trim();
+        if (value.includes('.')) {
+            const bytes = parseAddress(value);
+            return { index: hostIndexOf(c, bytes), address: bytes.join('.') };
+        }
+        if (!/^#?\d+$/.test(value)) {
+            throw new InvalidHostError('Enter a host number or an address!');
+        }
+        const index = Number(value.replace('#', ''));
+        return { index, address: hostAt(c, index) };
+    }
+
+    // ========================================================================
+    // LISTING
+    // ========================================================================
+
+    /**
+     * One page of host addresses, lowest first.
+     * @param {object} c       - calculate() result
+     * @param {number} offset  - hosts to skip
+     * @param {number} count   - hosts to return
+     * @returns {{index: number, address: string}[]}
+     */
+    function listHosts(c, offset, count) {
+        const { first, last } = hostBounds(c);
+        const networkInt = bytesToInt(c.networkBytes);
+        const rows = [];
+        for (let index = first + offset; index <= last && rows.length < count; index++) {
+            rows.push({ index, address: intToIp(networkInt + index) });
+        }
+        return rows;
+    }
+
+    /**
+     * Every host address, one per line, for a plain text export.
+     * @param {object} c  - calculate() result
+     * @returns {string}
+     * @throws {InvalidHostError}  more than HOST_EXPORT_MAX hosts
+     */
+    function hostsToText(c) {
+        const { count } = hostBounds(c);
+        if (count > HOST_EXPORT_MAX) {
+            throw new InvalidHostError(`${count.toLocaleString()} hosts is too many to export; the limit is ${HOST_EXPORT_MAX.toLocaleString()} (a /16)!`);
+        }
+        return listHosts(c, 0, count).map(row => row.address).join('\n') + '\n';
+    }
+
+    // ========================================================================
+    // RANDOM PICKS
+    // ========================================================================
+
+    /**
+     * Host number ranges left once the excluded networks are taken out.
+     * @param {object} c     - calculate() result
+     * @param {string} text  - networks and addresses, as parseNetworkList() reads
+     * @returns {{first: number, last: number}[]}  in order
+     * @throws {IPCalcError}
+     */
+    function freeHostRanges(c, text) {
+        const { first, last } = hostBounds(c);
+        if (String(text).trim() === '') return [{ first, last }];
+
+        const networkInt = bytesToInt(c.networkBytes);
+        const taken = mergeRanges(parseNetworkList(text, 32));
+        const free = [];
+        let cursor = first;
+        for (const range of taken) {
+            const start = Math.max(range.startInt - networkInt, first);
+            const end   = Math.min(range.endInt - networkInt, last);
+            if (start > end) continue;
+            if (start > cursor) free.push({ first: cursor, last: start - 1 });
+            cursor = Math.max(cursor, end + 1);
+        }
+        if (cursor <= last) free.push({ first: cursor, last });
+        return free;
+    }
+
+    /**
+     * Picks distinct random host addresses that are not excluded.
+     * @param {object} c      - calculate() result
+     * @param {number|string} count
+     * @param {{exclude?: string, random?: function}} [options]
+     *        `exclude`: networks and addresses to skip, one per line or
+     *        comma-separated; `random`: a Math.random()-like generator
+     * @returns {{free: number, hosts: {index: number, address: string}[]}}
+     *          `free` is the number of hosts that could be picked; hosts
+     *          are in address order
+     * @throws {IPCalcError}
+     */
+    function pickRandomHosts(c, count, options = {}) {
+        const { exclude = '', random = Math.random } = options;
+        const n = Number(String(count).trim());
+        if (!Number.isInteger(n) || n < 1 || n > HOST_PICK_MAX) {
+            throw new InvalidPickError(`Pick between 1 and ${HOST_PICK_MAX} addresses!`);
+        }
+
+        const ranges = freeHostRanges(c, exclude);
+        const free   = ranges.reduce((sum, r) => sum + r.last - r.first + 1, 0);
+        if (n > free) {
+            throw new InvalidPickError(`Only ${free.toLocaleString()} free host${free === 1 ? '' : 's'} left in ${c.networkAddress}/${c.cidr}!`);
+        }
+
+        // Partial Fisher-Yates over the free positions 0 .. free-1; the
+        // swaps live in a map so a /8 never needs a full array
+        const swapped = new Map();
+        const picked  = [];
+        for (let i = 0; i < n; i++) {
+            const j = i + Math.floor(random() * (free - i));
+            const value = swapped.has(j) ? swapped.get(j) : j;
+            swapped.set(j, swapped.has(i) ? swapped.get(i) : i);
+            picked.push(value);
+        }
+
+        // Free position -> host number
+        const networkInt = bytesToInt(c.networkBytes);
+        const hosts = picked.sort((a, b) => a - b).map(position => {
+            let range = 0;
+            while (position > ranges[range].last - ranges[range].first) {
+                position -= ranges[range].last - ranges[range].first + 1;
+                range++;
+            }
+            const index = ranges[range].first + position;
+            return { index, address: intToIp(networkInt + index) };
+        });
+        return { free, hosts };
+    }
+
+    return {
+        InvalidHostError,
+        InvalidPickError,
+        HOST_PAGE_SIZE,
+        HOST_PICK_MAX,
+        HOST_EXPORT_MAX,
+        hostBounds,
+        hostAt,
+        hostIndexOf,
+        lookupHost,
+        listHosts,
+        hostsToText,
+        pickRandomHosts,
+    };
+});
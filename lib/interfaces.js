@@ -0,0 +1,309 @@
+// ============================================================================
+// INTERFACE IMPORT
+// ----------------------------------------------------------------------------
+// Reads interface addresses out of pasted `ip addr`, `ifconfig`, Windows
+// `ipconfig /all` and Cisco `show ip interface brief` / `show running-config`
+// output, calculates each interface's network and flags interfaces whose
+// subnets are the same or overlap.
+// Browser: `IPCalc.interfaces`; Node: `require('./lib/interfaces')`.
+// ============================================================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./ipcalc.js'));
+    } else {
+        root.IPCalc.interfaces = factory(root.IPCalc);
+    }
+})(typeof self !== 'undefined' ? self : this, function (IPCalc) {
+    'use strict';
+
+    const {
+        IPCalcError,
+        EmptyInputError,
+        parse,
+        performNetworkCalculations,
+        bytesToInt,
+    } = IPCalc;
+
+    const IPV4 = '(\\d{1,3}(?:\\.\\d{1,3}){3})';
+
+    // ========================================================================
+    // ERRORS
+    // ========================================================================
+
+    /** Pasted text in none of the known formats, or without addresses. */
+    class InvalidImportError extends IPCalcError {
+        constructor(message = 'No interface addresses found!') {
+            super(message, 'INVALID_IMPORT');
+        }
+    }
+
+    // ========================================================================
+    // PARSERS
+    // ========================================================================
+    // Each parser reads the lines of one format and returns the entries it
+    // finds: {name, ip, mask, line}. `mask` is a dotted / hex mask or "/n",
+    // or null when the format does not show one.
+
+    /**
+     * Linux `ip addr` (and `ip -br addr`, `ip -o addr`).
+     *   2: eth0: <BROADCAST,MULTICAST,UP,LOWER_UP> mtu 1500 ...
+     *       inet 192.168.1.10/24 brd 192.168.1.255 scope global eth0
+     *   eth0             UP             192.168.1.10/24 fe80::1/64
+     *   2: eth0    inet 192.168.1.10/24 brd 192.168.1.255 scope global eth0\ ...
+     * @param {string[]} lines
+     * @returns {object[]}
+     */
+    function parseIpAddr(lines) {
+        const entries = [];
+        let name = null;
+        lines.forEach((text, i) => {
+            const header = text.match(/^\d+:\s+([^:@\s]+)(?:@\S+)?:\s+</);
+            if (header) {
+                name = header[1];
+                return;
+            }
+            const inet = text.match(new RegExp(`^\\s+inet\\s+${IPV4}/(\\d+)`));
+            if (inet && name) {
+                // A secondary address may carry its own label ("eth0:1") last
+                const label = text.match(/\s(\S+:\S+)\s*$/);
+                entries.push({ name: label ? label[1] : name, ip: inet[1], mask: `/${inet[2]}`, line: i + 1 });
+                return;
+            }
+            const oneline = text.match(new RegExp(`^\\d+:\\s+([^:@\\s]+)(?:@\\S+)?\\s+inet\\s+${IPV4}/(\\d+)([^\\\\]*)`));
+            if (oneline) {
+                // Everything up to the "\" before valid_lft; a label is last
+                const label = oneline[4].match(/\s(\S+:\S+)\s*$/);
+                entries.push({ name: label ? label[1] : oneline[1], ip: oneline[2], mask: `/${oneline[3]}`, line: i + 1 });
+                return;
+            }
+            const brief = text.match(/^(\S+)\s+(?:UP|DOWN|UNKNOWN|LOWERLAYERDOWN|DORMANT)\s+(.*)$/);
+            if (brief) {
+                for (const m of brief[2].matchAll(new RegExp(`${IPV4}/(\\d+)`, 'g'))) {
+                    entries.push({ name: brief[1].replace(/@\S+$/, ''), ip: m[1], mask: `/${m[2]}`, line: i + 1 });
+                }
+            }
+        });
+        return entries;
+    }
+
+    /**
+     * `ifconfig`: Linux net-tools (old and new layout), macOS and BSD.
+     *   eth0: flags=4163<UP,BROADCAST,RUNNING,MULTICAST>  mtu 1500
+     *           inet 192.168.1.10  netmask 255.255.255.0  broadcast ...
+     *   eth0      Link encap:Ethernet  HWaddr 00:11:22:33:44:55
+     *             inet addr:192.168.1.10  Bcast:...  Mask:255.255.255.0
+     *   en0: flags=8863<UP,...> mtu 1500
+     *   	inet 192.168.1.10 netmask 0xffffff00 broadcast 192.168.1.255
+     * @param {string[]} lines
+     * @returns {object[]}
+     */
+    function parseIfconfig(lines) {
+        const entries = [];
+        let name = null;
+        lines.forEach((text, i) => {
+            const header = text.match(/^(\S+?):?\s+(?:flags=|Link encap)/);
+            if (header) {
+                name = header[1];
+                return;
+            }
+            const inet = text.match(new RegExp(`^\\s+inet\\s+(?:addr:)?${IPV4}\\b.*?(?:netmask\\s+|Mask:)(\\S+)`));
+            if (inet && name) entries.push({ name, ip: inet[1], mask: inet[2], line: i + 1 });
+        });
+        return entries;
+    }
+
+    /**
+     * Windows `ipconfig /all` (or plain `ipconfig`), English output.
+     *   Ethernet adapter Ethernet:
+     *      IPv4 Address. . . . . . . . . . . : 192.168.1.10(Preferred)
+     *      Subnet Mask . . . . . . . . . . . : 255.255.255.0
+     * @param {string[]} lines
+     * @returns {object[]}
+     */
+    function parseIpconfig(lines) {
+        const entries = [];
+        let name = null, pending = null;
+        lines.forEach((text, i) => {
+            const header = text.match(/^\S.*?adapter\s+(.+?):\s*$/);
+            if (header) {
+                name = header[1];
+                pending = null;
+                return;
+            }
+            const address = text.match(new RegExp(`^\\s+(?:Autoconfiguration\\s+)?IP(?:v4)?\\s+Address[ .]*:\\s*${IPV4}`));
+            if (address && name) {
+                pending = { name, ip: address[1], mask: null, line: i + 1 };
+                entries.push(pending);
+                return;
+            }
+            const mask = text.match(/^\s+Subnet Mask[ .]*:\s*(\S+)/);
+            if (mask && pending) {
+                pending.mask = mask[1];
+                pending = null;
+            }
+        });
+        return entries;
+    }
+
+    /**
+     * Cisco `show ip interface brief`. It shows no mask, so its entries
+     * are listed without a network.
+     *   GigabitEthernet0/0     192.168.1.1     YES NVRAM  up          up
+     * @param {string[]} lines
+     * @returns {object[]}
+     */
+    function parseCiscoBrief(lines) {
+        const entries = [];
+        lines.forEach((text, i) => {
+            const row = text.match(new RegExp(`^(\\S+)\\s+${IPV4}\\s+(?:YES|NO)\\s`));
+            if (row) entries.push({ name: row[1], ip: row[2], mask: null, line: i + 1 });
+        });
+        return entries;
+    }
+
+    /**
+     * Cisco IOS / NX-OS `show running-config`.
+     *   interface GigabitEthernet0/0
+     *    ip address 192.168.1.1 255.255.255.0
+     *    ip address 10.1.1.1 255.255.255.0 secondary
+     *    ip address 10.2.2.1/24                       (NX-OS)
+     * @param {string[]} lines
+     * @returns {object[]}
+     */
+    function parseCiscoConfig(lines) {
+        const entries = [];
+        let name = null;
+        lines.forEach((text, i) => {
+            const header = text.match(/^interface\s+(\S+)/);
+            if (header) {
+                name = header[1];
+                return;
+            }
+            if (/^\S/.test(text)) name = null;   // "!" or the next top-level command
+            const address = text.match(new RegExp(`^\\s+ip(?:v4)?\\s+address\\s+${IPV4}(?:/(\\d+)|\\s+${IPV4})`));
+            if (address && name) {
+                entries.push({ name, ip: address[1], mask: address[2] ? `/${address[2]}` : address[3], line: i + 1 });
+            }
+        });
+        return entries;
+    }
+
+    /**
+     * Known formats in detection order: name, a test for text in the
+     * format, and its parser.
+     */
+    const INTERFACE_FORMATS = {
+        'ip' : {
+            title  : 'ip addr',
+            detect : /^\d+:\s+\S+:\s+<|^\d+:\s+\S+\s+inet\s+[\d.]+\/\d+|^\s+inet\s+[\d.]+\/\d+|^\S+\s+(?:UP|DOWN|UNKNOWN)\s+[\d.]+\/\d+/m,
+            parse  : parseIpAddr,
+        },
+        'ipconfig' : {
+            title  : 'ipconfig',
+            detect : /adapter\s.+:\s*$|IPv4 Address[ .]*:/m,
+            parse  : parseIpconfig,
+        },
+        'cisco-config' : {
+            title  : 'Cisco running-config',
+            detect : /^interface\s+\S+\s*$[\s\S]*^\s+ip(?:v4)? address\s/m,
+            parse  : parseCiscoConfig,
+        },
+        'cisco-brief' : {
+            title  : 'Cisco ip interface brief',
+            detect : /IP-Address\s+OK\?|^\S+\s+[\d.]+\s+(?:YES|NO)\s/m,
+            parse  : parseCiscoBrief,
+        },
+        'ifconfig' : {
+            title  : 'ifconfig',
+            detect : /flags=\d+<|Link encap:|^\s+inet\s.*(?:netmask|Mask:)/m,
+            parse  : parseIfconfig,
+        },
+    };
+
+    /**
+     * Finds the format of pasted output.
+     * @param {string} text
+     * @returns {string|null}  INTERFACE_FORMATS key
+     */
+    function detectInterfaceFormat(text) {
+        const found = Object.entries(INTERFACE_FORMATS).find(([, f]) => f.detect.test(text));
+        return found ? found[0] : null;
+    }
+
+    // ========================================================================
+    // IMPORT
+    // ========================================================================
+
+    /**
+     * Parses pasted output and calculates every interface address.
+     * @param {string} text
+     * @param {string} [format]  - INTERFACE_FORMATS key; detected when omitted
+     * @returns {{format: string, rows: object[], overlapping: number}}
+     *          rows: {name, ip, mask, line, calc, error, overlaps}, in the
+     *          order found. `calc` is a performNetworkCalculations() result
+     *          plus ipAddress and subnetMask, or null with `error` set when
+     *          the address or mask is unusable. `overlaps` lists the other
+     *          interfaces whose subnet is the same ('same') or overlaps
+     *          ('overlap'): {name, ip, kind}
+     * @throws {IPCalcError}
+     */
+    function importInterfaces(text, format) {
+        if (String(text).trim() === '') throw new EmptyInputError('Please paste some interface output!');
+        const key = format || detectInterfaceFormat(text);
+        if (!INTERFACE_FORMATS[key]) {
+            throw new InvalidImportError('Unrecognized output: paste ip addr, ifconfig, ipconfig or Cisco output!');
+        }
+
+        const entries = INTERFACE_FORMATS[key].parse(String(text).split(/\r?\n/));
+        if (entries.length === 0) throw new InvalidImportError(`No IPv4 interface addresses found in the ${INTERFACE_FORMATS[key].title} output!`);
+
+        const rows = entries.map(entry => {
+            const row = { ...entry, calc: null, error: null, overlaps: [] };
+            if (entry.mask === null) {
+                row.error = 'no mask in this output';
+                return row;
+            }
+            try {
+                const p = parse(entry.ip, entry.mask);
+                row.calc = {
+                    ipAddress  : p.ipAddress,
+                    subnetMask : p.subnetMask,
+                    ...performNetworkCalculations(p.ipBytes, p.maskBytes),
+                };
+            } catch (err) {
+                if (!(err instanceof IPCalcError)) throw err;
+                row.error = err.message;
+            }
+            return row;
+        });
+
+        const bounds = row => ({
+            start : bytesToInt(row.calc.networkBytes),
+            end   : bytesToInt(row.calc.broadcastBytes),
+        });
+        const calculated = rows.filter(r => r.calc);
+        calculated.forEach((a, i) => {
+            calculated.slice(i + 1).forEach(b => {
+                const ra = bounds(a), rb = bounds(b);
+                if (ra.start > rb.end || rb.start > ra.end) return;
+                const kind = ra.start === rb.start && ra.end === rb.end ? 'same' : 'overlap';
+                a.overlaps.push({ name: b.name, ip: b.ip, kind });
+                b.overlaps.push({ name: a.name, ip: a.ip, kind });
+            });
+        });
+
+        return {
+            format      : key,
+            rows,
+            overlapping : rows.filter(r => r.overlaps.length).length,
+        };
+    }
+
+    return {
+        InvalidImportError,
+        INTERFACE_FORMATS,
+        detectInterfaceFormat,
+        importInterfaces,
+    };
+});
@@ -0,0 +1,476 @@
+// ============================================================================
+// IPAM WORKSPACE
+// ----------------------------------------------------------------------------
+// A small address plan for a site: named parent blocks, the subnets carved
+// out of them (with VLAN IDs and descriptions) and the hosts assigned inside
+// each subnet. Entries are validated with isValidIP() / isValidMask(), and an
+// allocation that overlaps another is refused. The workspace is a plain
+// object, so it saves and loads as JSON.
+// Browser: `IPCalc.ipam`; Node: `require('./lib/ipam')`.
+// ============================================================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./ipcalc.js'));
+    } else {
+        root.IPCalc.ipam = factory(root.IPCalc);
+    }
+})(typeof self !== 'undefined' ? self : this, function (IPCalc) {
+    'use strict';
+
+    const {
+        IPCalcError,
+        EmptyInputError,
+        InvalidIPError,
+        InvalidMaskError,
+        isValidIP,
+        isValidMask,
+        convertCidrIfNeeded,
+        convertToBytes,
+        maskToCidr,
+        bytesToInt,
+        intToIp,
+        cidrToInt,
+    } = IPCalc;
+
+    const IPAM_VERSION = 1;
+
+    // ========================================================================
+    // ERRORS
+    // ========================================================================
+
+    /** An entry that is not a network, has no parent, or has a bad field. */
+    class InvalidIpamEntryError extends IPCalcError {
+        constructor(message = 'Invalid IPAM entry!') {
+            super(message, 'INVALID_IPAM_ENTRY');
+        }
+    }
+
+    /** An allocation that overlaps one already in the workspace. */
+    class AllocationOverlapError extends IPCalcError {
+        constructor(message = 'That allocation overlaps an existing one!') {
+            super(message, 'ALLOCATION_OVERLAP');
+        }
+    }
+
+    /** Imported text that is not a workspace. */
+    class InvalidWorkspaceError extends IPCalcError {
+        constructor(message = 'Not an IPAM workspace file!') {
+            super(message, 'INVALID_WORKSPACE');
+        }
+    }
+
+    // ========================================================================
+    // VALIDATION
+    // ========================================================================
+
+    /**
+     * Reads a network from an address and mask. "10.0.0.0/24" in the
+     * address field with the mask left blank also works.
+     * @param {string} address  - dotted decimal network address
+     * @param {string} mask     - dotted mask, "/n" or "n"
+     * @returns {{network: string, cidr: number}}
+     * @throws {IPCalcError}  host bits set, or an invalid address / mask
+     */
+    function readNetwork(address, mask) {
+        let ip    = String(address).trim();
+        let value = String(mask || '').trim();
+        if (ip.includes('/') && value === '') {
+            const [head, prefix] = ip.split('/');
+            ip    = head.trim();
+            value = '/' + prefix.trim();
+        }
+        if (ip === '' || value === '') throw new EmptyInputError('Please enter a network and a mask!');
+        if (!isValidIP(ip)) throw new InvalidIPError(`${ip} is not a valid IP address!`);
+
+        const dotted = convertCidrIfNeeded(/^\d{1,2}$/.test(value) ? '/' + value : value);
+        if (!isValidMask(dotted)) throw new InvalidMaskError(`${value} is not a valid subnet mask!`);
+
+        const cidr       = maskToCidr(dotted);
+        const ipInt      = bytesToInt(convertToBytes(ip));
+        const networkInt = (ipInt & cidrToInt(cidr)) >>> 0;
+        if (networkInt !== ipInt) {
+            throw new InvalidIpamEntryError(`${ip}/${cidr} has host bits set; the network is ${intToIp(networkInt)}/${cidr}!`);
+        }
+        return { network: intToIp(networkInt), cidr };
+    }
+
+    /**
+     * @param {string|number|null} value  - blank for none
+     * @returns {number|null}
+     * @throws {InvalidIpamEntryError}  not 1 - 4094
+     */
+    function readVlan(value) {
+        const text = value === null || value === undefined ? '' : String(value).trim();
+        if (text === '') return null;
+        const vlan = Number(text);
+        if (!/^\d+$/.test(text) || vlan < 1 || vlan > 4094) {
+            throw new InvalidIpamEntryError(`VLAN ${text} is not a VLAN ID (1 - 4094)!`);
+        }
+        return vlan;
+    }
+
+    /**
+     * @param {*} value
+     * @returns {string}  trimmed, '' when missing
+     */
+    function readText(value) {
+        return value === null || value === undefined ? '' : String(value).trim();
+    }
+
+    // ========================================================================
+    // LOOKUP
+    // ========================================================================
+
+    /**
+     * "10.0.0.0/24", the key a block or subnet is found by.
+     * @param {{network: string, cidr: number}} entry
+     * @returns {string}
+     */
+    function entryKey(entry) {
+        return `${entry.network}/${entry.cidr}`;
+    }
+
+    /**
+     * First and last address of a block or subnet.
+     * @param {{network: string, cidr: number}} entry
+     * @returns {{start: number, end: number}}
+     */
+    function entryBounds(entry) {
+        const start = bytesToInt(convertToBytes(entry.network));
+        return { start, end: start + Math.pow(2, 32 - entry.cidr) - 1 };
+    }
+
+    /**
+     * Host address range of a subnet, by the calculateFirstUsableAddress()
+     * rules: a /31 or /32 has no network or broadcast address to skip.
+     * @param {{network: string, cidr: number}} subnet
+     * @returns {{start: number, end: number}}
+     */
+    function hostBounds(subnet) {
+        const { start, end } = entryBounds(subnet);
+        return subnet.cidr >= 31 ? { start, end } : { start: start + 1, end: end - 1 };
+    }
+
+    /**
+     * @param {{start: number, end: number}} a
+     * @param {{start: number, end: number}} b
+     * @returns {boolean}
+     */
+    function overlaps(a, b) {
+        return a.start <= b.end && b.start <= a.end;
+    }
+
+    /**
+     * Block or subnet with a key.
+     * @param {object} workspace
+     * @param {string} key  - "10.0.0.0/24"
+     * @returns {{block: object, subnet: object|null}|null}
+     */
+    function findEntry(workspace, key) {
+        for (const block of workspace.blocks) {
+            if (entryKey(block) === key) return { block, subnet: null };
+            const subnet = block.subnets.find(s => entryKey(s) === key);
+            if (subnet) return { block, subnet };
+        }
+        return null;
+    }
+
+    // ========================================================================
+    // CHANGES
+    // ========================================================================
+
+    /**
+     * @returns {{version: number, blocks: object[]}}  an empty workspace
+     */
+    function createWorkspace() {
+        return { version: IPAM_VERSION, blocks: [] };
+    }
+
+    /**
+     * Adds a named parent block. Modifies the workspace in place.
+     * @param {object} workspace
+     * @param {{network: string, mask?: string, name: string, description?: string}} fields
+     * @returns {object}  the block
+     * @throws {IPCalcError}  invalid, unnamed, or overlapping another block
+     */
+    function addBlock(workspace, fields) {
+        const net  = readNetwork(fields.network, fields.mask);
+        const name = readText(fields.name);
+        if (name === '') throw new InvalidIpamEntryError(`Block ${entryKey(net)} needs a name!`);
+
+        const bounds = entryBounds(net);
+        const other  = workspace.blocks.find(b => overlaps(entryBounds(b), bounds));
+        if (other) {
+            throw new AllocationOverlapError(`${entryKey(net)} overlaps block "${other.name}" (${entryKey(other)})!`);
+        }
+
+        const block = { ...net, name, description: readText(fields.description), subnets: [] };
+        workspace.blocks.push(block);
+        workspace.blocks.sort((a, b) => entryBounds(a).start - entryBounds(b).start);
+        return block;
+    }
+
+    /**
+     * Carves a subnet out of the block that holds it. Modifies the
+     * workspace in place.
+     * @param {object} workspace
+     * @param {{network: string, mask?: string, name?: string, vlan?: string|number,
+     *          description?: string}} fields
+     * @returns {object}  the subnet
+     * @throws {IPCalcError}  invalid, outside every block, or overlapping
+     *                        another subnet of the block
+     */
+    function addSubnet(workspace, fields) {
+        const net    = readNetwork(fields.network, fields.mask);
+        const vlan   = readVlan(fields.vlan);
+        const bounds = entryBounds(net);
+
+        const block = workspace.blocks.find(b => {
+            const outer = entryBounds(b);
+            return bounds.start >= outer.start && bounds.end <= outer.end;
+        });
+        if (!block) {
+            const partial = workspace.blocks.find(b => overlaps(entryBounds(b), bounds));
+            throw partial
+                ? new AllocationOverlapError(`${entryKey(net)} reaches outside block "${partial.name}" (${entryKey(partial)})!`)
+                : new InvalidIpamEntryError(`${entryKey(net)} is not inside any block; add its parent block first!`);
+        }
+
+        const other = block.subnets.find(s => overlaps(entryBounds(s), bounds));
+        if (other) {
+            throw new AllocationOverlapError(`${entryKey(net)} overlaps subnet ${entryKey(other)}${other.name ? ` "${other.name}"` : ''}!`);
+        }
+
+        const subnet = {
+            ...net,
+            name        : readText(fields.name),
+            vlan,
+            description : readText(fields.description),
+            hosts       : [],
+        };
+        block.subnets.push(subnet);
+        block.subnets.sort((a, b) => entryBounds(a).start - entryBounds(b).start);
+        return subnet;
+    }
+
+    /**
+     * Assigns a host address inside the subnet that holds it. Modifies the
+     * workspace in place.
+     * @param {object} workspace
+     * @param {{address: string, name?: string, description?: string}} fields
+     * @returns {object}  the host
+     * @throws {IPCalcError}  invalid, in no subnet, a network / broadcast
+     *                        address, or already assigned
+     */
+    function addHost(workspace, fields) {
+        const ip = readText(fields.address);
+        if (ip === '') throw new EmptyInputError('Please enter a host address!');
+        if (!isValidIP(ip)) throw new InvalidIPError(`${ip} is not a valid IP address!`);
+        const ipInt   = bytesToInt(convertToBytes(ip));
+        const address = intToIp(ipInt);
+
+        const subnet = workspace.blocks
+            .flatMap(b => b.subnets)
+            .find(s => overlaps(entryBounds(s), { start: ipInt, end: ipInt }));
+        if (!subnet) throw new InvalidIpamEntryError(`${address} is not inside any subnet; add its subnet first!`);
+
+        const usable = hostBounds(subnet);
+        if (ipInt < usable.start || ipInt > usable.end) {
+            const which = ipInt === entryBounds(subnet).start ? 'network' : 'broadcast';
+            throw new InvalidIpamEntryError(`${address} is the ${which} address of ${entryKey(subnet)}, not a host!`);
+        }
+
+        const taken = subnet.hosts.find(h => h.address === address);
+        if (taken) {
+            throw new AllocationOverlapError(`${address} is already assigned${taken.name ? ` to "${taken.name}"` : ''}!`);
+        }
+
+        const host = { address, name: readText(fields.name), description: readText(fields.description) };
+        subnet.hosts.push(host);
+        subnet.hosts.sort((a, b) => bytesToInt(convertToBytes(a.address)) - bytesToInt(convertToBytes(b.address)));
+        return host;
+    }
+
+    /**
+     * Removes a block (with its subnets and hosts), a subnet (with its
+     * hosts) or a host. Modifies the workspace in place.
+     * @param {object} workspace
+     * @param {string} key  - "10.0.0.0/24" for a block or subnet, the
+     *                        address for a host
+     * @returns {'block'|'subnet'|'host'|null}  what was removed
+     */
+    function removeEntry(workspace, key) {
+        const found = findEntry(workspace, key);
+        if (found && !found.subnet) {
+            workspace.blocks.splice(workspace.blocks.indexOf(found.block), 1);
+            return 'block';
+        }
+        if (found) {
+            found.block.subnets.splice(found.block.subnets.indexOf(found.subnet), 1);
+            return 'subnet';
+        }
+        for (const block of workspace.blocks) {
+            for (const subnet of block.subnets) {
+                const index = subnet.hosts.findIndex(h => h.address === key);
+                if (index !== -1) {
+                    subnet.hosts.splice(index, 1);
+                    return 'host';
+                }
+            }
+        }
+        return null;
+    }
+
+    // ========================================================================
+    // UTILIZATION
+    // ========================================================================
+
+    /**
+     * The workspace with address counts: per block the addresses in its
+     * subnets, per subnet the hosts assigned of the usable ones.
+     * @param {object} workspace
+     * @returns {{blocks: object[], subnets: number, hosts: number}}
+     *          blocks: block fields plus key, size, allocated, percent,
+     *          `subnets` with key, size, usable, assigned and percent added,
+     *          and `layout`, the subnets and free gaps in address order
+     *          ({size, subnet}, subnet null for a gap)
+     */
+    function describeWorkspace(workspace) {
+        const percent = (part, whole) => whole === 0 ? 0 : Math.round(part / whole * 1000) / 10;
+        const blocks = workspace.blocks.map(block => {
+            const subnets = block.subnets.map(subnet => {
+                const usable = hostBounds(subnet);
+                const count  = usable.end - usable.start + 1;
+                return {
+                    ...subnet,
+                    key      : entryKey(subnet),
+                    size     : Math.pow(2, 32 - subnet.cidr),
+                    usable   : count,
+                    assigned : subnet.hosts.length,
+                    percent  : percent(subnet.hosts.length, count),
+                };
+            });
+            const size      = Math.pow(2, 32 - block.cidr);
+            const allocated = subnets.reduce((sum, s) => sum + s.size, 0);
+
+            // The block in address order: each subnet and the free gaps between
+            const bounds = entryBounds(block);
+            const layout = [];
+            let cursor = bounds.start;
+            for (const subnet of subnets) {
+                const { start, end } = entryBounds(subnet);
+                if (start > cursor) layout.push({ size: start - cursor, subnet: null });
+                layout.push({ size: subnet.size, subnet });
+                cursor = end + 1;
+            }
+            if (cursor <= bounds.end) layout.push({ size: bounds.end - cursor + 1, subnet: null });
+
+            return {
+                ...block,
+                key     : entryKey(block),
+                size,
+                allocated,
+                percent : percent(allocated, size),
+                subnets,
+                layout,
+            };
+        });
+        return {
+            blocks,
+            subnets : blocks.reduce((sum, b) => sum + b.subnets.length, 0),
+            hosts   : blocks.reduce((sum, b) => b.subnets.reduce((n, s) => n + s.assigned, sum), 0),
+        };
+    }
+
+    // ========================================================================
+    // JSON
+    // ========================================================================
+
+    /**
+     * @param {object} workspace
+     * @returns {string}  indented JSON
+     */
+    function exportWorkspace(workspace) {
+        return JSON.stringify(workspace, null, 2) + '\n';
+    }
+
+    /**
+     * Reads an exported workspace back. Every entry is added again, so a
+     * hand-edited file gets the same checks as typed entries.
+     * @param {string} text
+     * @returns {object}  the workspace
+     * @throws {IPCalcError}  the error of the first bad entry, its message
+     *                        prefixed with the entry
+     */
+    function importWorkspace(text) {
+        let data;
+        try {
+            data = JSON.parse(String(text));
+        } catch (err) {
+            throw new InvalidWorkspaceError('The file is not valid JSON!');
+        }
+        if (!data || !Array.isArray(data.blocks)) throw new InvalidWorkspaceError();
+        if (data.version > IPAM_VERSION) {
+            throw new InvalidWorkspaceError(`Workspace version ${data.version} is newer than this calculator reads (${IPAM_VERSION})!`);
+        }
+
+        const workspace = createWorkspace();
+        const step = (label, add) => {
+            try {
+                add();
+            } catch (err) {
+                if (!(err instanceof IPCalcError)) throw err;
+                throw new err.constructor(`${label}: ${err.message}`);
+            }
+        };
+        data.blocks.forEach((block, b) => {
+            checkEntry(block, `Block #${b + 1}`, 'subnets');
+            step(`Block ${block.network}/${block.cidr}`, () => addBlock(workspace, { network: block.network, mask: `/${block.cidr}`, name: block.name, description: block.description }));
+            (block.subnets || []).forEach((subnet, s) => {
+                checkEntry(subnet, `Subnet #${s + 1} of block ${block.network}/${block.cidr}`, 'hosts');
+                step(`Subnet ${subnet.network}/${subnet.cidr}`, () => addSubnet(workspace, { ...subnet, mask: `/${subnet.cidr}` }));
+                (subnet.hosts || []).forEach((host, h) => {
+                    checkEntry(host, `Host #${h + 1} of subnet ${subnet.network}/${subnet.cidr}`);
+                    step(`Host ${host.address}`, () => addHost(workspace, host));
+                });
+            });
+        });
+        return workspace;
+    }
+
+    /**
+     * Checks that a workspace file entry is an object, and that its list
+     * of child entries, when present, is an array.
+     * @param {*}      entry
+     * @param {string} label     - where the entry is, for the message
+     * @param {string} [inside]  - name of the child list
+     * @throws {InvalidWorkspaceError}
+     */
+    function checkEntry(entry, label, inside) {
+        if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+            throw new InvalidWorkspaceError(`${label} is not an entry!`);
+        }
+        if (inside && entry[inside] !== undefined && !Array.isArray(entry[inside])) {
+            throw new InvalidWorkspaceError(`${label}: "${inside}" is not a list!`);
+        }
+    }
+
+    return {
+        InvalidIpamEntryError,
+        AllocationOverlapError,
+        InvalidWorkspaceError,
+        IPAM_VERSION,
+        readNetwork,
+        entryKey,
+        findEntry,
+        createWorkspace,
+        addBlock,
+        addSubnet,
+        addHost,
+        removeEntry,
+        describeWorkspace,
+        exportWorkspace,
+        importWorkspace,
+    };
+});
@@ -0,0 +1,1044 @@
+// ============================================================================
+// IPv4 CALCULATION ENGINE
+// ----------------------------------------------------------------------------
+// DOM-free core shared by the web page, the CLI and any Node tooling.
+// Loaded as a plain <script> it exposes `window.IPCalc`; required from Node it
+// is a CommonJS module. `ipcalc.mjs` re-exports the same API as an ES module.
+// ============================================================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.IPCalc = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // ========================================================================
+    // ERRORS
+    // ========================================================================
+
+    /**
+     * Base class for every error thrown by the engine.
+     * `code` is a stable identifier callers can branch on.
+     */
+    class IPCalcError extends Error {
+        /**
+         * @param {string} message - Human readable message
+         * @param {string} code    - Stable error code
+         */
+        constructor(message, code) {
+            super(message);
+            this.name = this.constructor.name;
+            this.code = code;
+        }
+    }
+
+    /** One of the required inputs is empty. */
+    class EmptyInputError extends IPCalcError {
+        constructor(message = 'Please fill in all fields!') {
+            super(message, 'EMPTY_INPUT');
+        }
+    }
+
+    /** The IP address is not valid dotted decimal. */
+    class InvalidIPError extends IPCalcError {
+        constructor(message = 'Invalid IP address format!') {
+            super(message, 'INVALID_IP');
+        }
+    }
+
+    /** The subnet mask is malformed or not contiguous. */
+    class InvalidMaskError extends IPCalcError {
+        constructor(message = 'Invalid subnet mask format!') {
+            super(message, 'INVALID_MASK');
+        }
+    }
+
+    /** A "/n" prefix length outside /0 - /32. */
+    class InvalidCidrError extends IPCalcError {
+        constructor(message = 'Invalid CIDR notation! Use /0 to /32') {
+            super(message, 'INVALID_CIDR');
+        }
+    }
+
+    /** Input that reads differently depending on notation, e.g. "010.0.0.1". */
+    class AmbiguousInputError extends IPCalcError {
+        constructor(message = 'Ambiguous input!') {
+            super(message, 'AMBIGUOUS_INPUT');
+        }
+    }
+
+    // ========================================================================
+    // INPUT VALIDATION
+    // ========================================================================
+
+    /**
+     * Checks both fields are non-empty.
+     * @param {string} ip   - IP address string
+     * @param {string} mask - Subnet mask string
+     * @returns {boolean}  always true
+     * @throws {EmptyInputError}
+     */
+    function validateInputsNotEmpty(ip, mask) {
+        if (ip === '' || mask === '') throw new EmptyInputError();
+        return true;
+    }
+
+    /**
+     * Validates dotted-decimal IP address (4 octets, each 0-255).
+     * @param {string} ip
+     * @returns {boolean}
+     */
+    function isValidIP(ip) {
+        const match = ip.match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
+        if (!match) return false;
+        for (let i = 1; i <= 4; i++) {
+            if (parseInt(match[i]) > 255) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Validates a subnet mask: binary must be continuous 1s then continuous 0s.
+     * @param {string} mask
+     * @returns {boolean}
+     */
+    function isValidMask(mask) {
+        const match = mask.match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
+        if (!match) return false;
+
+        let bin = '';
+        for (let i = 1; i <= 4; i++) {
+            const oct = parseInt(match[i]);
+            if (oct > 255) return false;
+            bin += oct.toString(2).padStart(8, '0');
+        }
+
+        const firstZero = bin.indexOf('0');
+        return firstZero === -1 || !bin.slice(firstZero).includes('1');
+    }
+
+    /**
+     * If mask starts with '/', converts CIDR to dotted decimal.
+     * @param {string} mask
+     * @returns {string}
+     * @throws {InvalidCidrError}
+     */
+    function convertCidrIfNeeded(mask) {
+        if (!mask.startsWith('/')) return mask;
+        const digits = mask.substring(1);
+        const cidr   = parseInt(digits);
+        if (!/^\d{1,2}$/.test(digits) || cidr < 0 || cidr > 32) {
+            throw new InvalidCidrError();
+        }
+        return cidrToMask(cidr);
+    }
+
+    // ========================================================================
+    // PARSING
+    // ========================================================================
+
+    /**
+     * Tells whether a number written with leading zeros means something else
+     * when read as octal ("010" is 10 or 8). "000" and "007" read the same
+     * both ways and are allowed.
+     * @param {string} digits
+     * @returns {boolean}
+     */
+    function isAmbiguousOctal(digits) {
+        return /^0\d/.test(digits) && parseInt(digits, 8) !== parseInt(digits, 10);
+    }
+
+    /**
+     * Parses an address written in any supported notation:
+     * dotted decimal "192.168.1.1", hex "0xC0A80101", integer "3232235777",
+     * binary "0b11000000101010000000000100000001" or
+     * "11000000.10101000.00000001.00000001".
+     * @param {string} text
+     * @returns {{bytes: number[], notation: string}}
+     *          notation: 'dotted decimal' | 'hex' | 'integer' | 'binary'
+     * @throws {InvalidIPError|AmbiguousInputError}
+     */
+    function parseAddressNotation(text) {
+        const value = String(text).trim();
+
+        if (/^\d{1,3}(\.\d{1,3}){3}$/.test(value)) {
+            const octets = value.split('.');
+            if (octets.some(isAmbiguousOctal)) {
+                throw new AmbiguousInputError(
+                    `Leading zeros in ${value} could be octal! Write ${octets.map(Number).join('.')} if you mean decimal.`);
+            }
+            if (!isValidIP(value)) throw new InvalidIPError();
+            return { bytes: convertToBytes(value), notation: 'dotted decimal' };
+        }
+        if (/^0x[0-9a-f]{1,8}$/i.test(value)) {
+            return { bytes: intToBytes(parseInt(value.slice(2), 16)), notation: 'hex' };
+        }
+        if (/^0b[01]{1,32}$/i.test(value) || /^[01]{8}(?:[.\s]?[01]{8}){3}$/.test(value)) {
+            const bits = value.replace(/^0b/i, '').replace(/[.\s]/g, '');
+            return { bytes: intToBytes(parseInt(bits, 2)), notation: 'binary' };
+        }
+        if (/^\d+$/.test(value)) {
+            if (isAmbiguousOctal(value)) {
+                throw new AmbiguousInputError(
+                    `Leading zeros in ${value} could be octal! Write ${Number(value)} if you mean decimal.`);
+            }
+            if (Number(value) > 0xFFFFFFFF) {
+                throw new InvalidIPError(`${value} is larger than a 32-bit address!`);
+            }
+            return { bytes: intToBytes(Number(value)), notation: 'integer' };
+        }
+        throw new InvalidIPError();
+    }
+
+    /**
+     * Parses an IP address in any notation parseAddressNotation() takes.
+     * @param {string} ip
+     * @returns {number[]}  4 bytes
+     * @throws {InvalidIPError|AmbiguousInputError}
+     */
+    function parseAddress(ip) {
+        return parseAddressNotation(ip).bytes;
+    }
+
+    /**
+     * Parses a subnet mask in any notation: "/24", "/ 24", "24", a dotted,
+     * hex, integer or binary mask, or the dotted, hex or binary form of a
+     * wildcard mask ("0.0.0.255"). A value that is a valid mask is read as
+     * one, so 0.0.0.0 is /0 and never the /32 wildcard. A plain integer is
+     * never read as a wildcard: "255" would otherwise be /24.
+     * @param {string} mask
+     * @returns {{subnetMask: string, maskBytes: number[], cidr: number, notation: string}}
+     *          notation: 'prefix length', or the address notation followed by
+     *          'mask' or 'wildcard' ("dotted decimal wildcard")
+     * @throws {InvalidCidrError|InvalidMaskError|AmbiguousInputError}
+     */
+    function parseMask(mask) {
+        const value = String(mask).trim().replace(/^\/\s+/, '/');
+
+        let subnetMask, notation;
+        if (/^\/|^\d{1,2}$/.test(value)) {
+            subnetMask = convertCidrIfNeeded(value.startsWith('/') ? value : '/' + value);
+            notation   = 'prefix length';
+        } else {
+            let parsed;
+            try {
+                parsed = parseAddressNotation(value);
+            } catch (err) {
+                if (err instanceof InvalidIPError) throw new InvalidMaskError();
+                throw err;
+            }
+            subnetMask = bytesToDotted(parsed.bytes);
+            notation   = `${parsed.notation} mask`;
+            if (!isValidMask(subnetMask)) {
+                // A wildcard is an inverted mask: 0s first, then 1s
+                subnetMask = bytesToDotted(parsed.bytes.map(b => (~b) & 0xFF));
+                notation   = `${parsed.notation} wildcard`;
+                if (parsed.notation === 'integer' && isValidMask(subnetMask)) {
+                    throw new AmbiguousInputError(
+                        `${value} would only be the integer wildcard of /${maskToCidr(subnetMask)}! Write /${maskToCidr(subnetMask)} or ${bytesToDotted(parsed.bytes)} if you mean it.`);
+                }
+            }
+        }
+
+        if (!isValidMask(subnetMask)) throw new InvalidMaskError();
+        return {
+            subnetMask,
+            maskBytes : convertToBytes(subnetMask),
+            cidr      : maskToCidr(subnetMask),
+            notation,
+        };
+    }
+
+    /**
+     * Parses both inputs exactly like the calculator form does. The IP field
+     * may carry its own mask ("10.0.0.5/24", "10.0.0.5 255.255.255.0"); the
+     * mask field can then be left empty.
+     * @param {string} ip
+     * @param {string} mask
+     * @returns {{ipAddress: string, subnetMask: string, ipBytes: number[], maskBytes: number[],
+     *            cidr: number, notation: {ip: string, mask: string, inline: boolean}}}
+     *          `ipAddress` is dotted decimal whatever notation was typed
+     * @throws {IPCalcError}
+     */
+    function parse(ip, mask) {
+        let ipText     = String(ip).trim();
+        const maskText = String(mask === undefined || mask === null ? '' : mask).trim();
+
+        const inline = ipText.match(/^([^\s/]+)(?:\s*\/\s*|\s+)(\S+)$/);
+        if (inline) ipText = inline[1];
+        validateInputsNotEmpty(ipText, inline ? inline[2] : maskText);
+
+        const address = parseAddressNotation(ipText);
+        const parsed  = parseMask(inline ? inline[2] : maskText);
+        if (inline && maskText !== '' && parseMask(maskText).cidr !== parsed.cidr) {
+            throw new InvalidMaskError(
+                `The IP field says /${parsed.cidr} but the mask field says /${parseMask(maskText).cidr}!`);
+        }
+
+        return {
+            ipAddress  : bytesToDotted(address.bytes),
+            subnetMask : parsed.subnetMask,
+            ipBytes    : address.bytes,
+            maskBytes  : parsed.maskBytes,
+            cidr       : parsed.cidr,
+            notation   : { ip: address.notation, mask: parsed.notation, inline: Boolean(inline) },
+        };
+    }
+
+    /**
+     * Parses the optional parent prefix the subnets are counted in.
+     * @param {string} [text]  - "/20", "20", "255.255.240.0" or empty
+     * @param {number} cidr    - mask length of the calculated network
+     * @returns {number|undefined}  undefined when empty (classful default)
+     * @throws {IPCalcError}  also when the parent is longer than the mask
+     */
+    function parseParentPrefix(text, cidr) {
+        const value = String(text === undefined || text === null ? '' : text).trim();
+        if (value === '') return undefined;
+
+        const parentCidr = parseMask(value).cidr;
+        if (parentCidr > cidr) {
+            throw new InvalidCidrError(`Parent prefix /${parentCidr} must not be longer than the mask /${cidr}!`);
+        }
+        return parentCidr;
+    }
+
+    /**
+     * Parses a network written on one line: "10.0.0.0/22",
+     * "10.0.0.0/255.255.252.0" or "10.0.0.0 255.255.252.0".
+     * The address does not need to be the network address.
+     * @param {string} text
+     * @param {number} [defaultCidr]  - prefix used when no mask is given;
+     *                                  without it a missing mask is an error
+     * @returns {{ipAddress: string, cidr: number, ipInt: number,
+     *            networkInt: number, broadcastInt: number, size: number}}
+     * @throws {IPCalcError}
+     */
+    function parseNetwork(text, defaultCidr) {
+        const value = String(text).trim();
+        if (value === '') throw new EmptyInputError();
+
+        const match = value.match(/^([^\s/]+)(?:\s*\/\s*|\s+)(\S+)$/);
+        let ipAddress = value, cidr = defaultCidr;
+        if (match) {
+            ipAddress = match[1];
+            cidr = parseMask(match[2]).cidr;
+        } else if (cidr === undefined) {
+            throw new InvalidMaskError(`Missing subnet mask for ${value}!`);
+        }
+
+        const ipInt      = bytesToInt(parseAddress(ipAddress));
+        const networkInt = (ipInt & cidrToInt(cidr)) >>> 0;
+        const size       = Math.pow(2, 32 - cidr);
+        return {
+            ipAddress,
+            cidr,
+            ipInt,
+            networkInt,
+            broadcastInt : networkInt + size - 1,
+            size,
+        };
+    }
+
+    // ========================================================================
+    // CONVERSION HELPERS
+    // ========================================================================
+
+    /**
+     * Splits dotted-decimal address into array of integers.
+     * @param {string} address
+     * @returns {number[]}
+     */
+    function convertToBytes(address) {
+        return address.split('.').map(Number);
+    }
+
+    /**
+     * Converts CIDR value to dotted-decimal subnet mask.
+     * @param {number} cidr  (0-32)
+     * @returns {string}
+     */
+    function cidrToMask(cidr) {
+        const bytes = [];
+        for (let i = 0; i < 4; i++) {
+            if (cidr >= 8) {
+                bytes.push(255);
+                cidr -= 8;
+            } else {
+                let byte = 0;
+                for (let j = 7; j >= 8 - cidr; j--) byte += (1 << j);
+                bytes.push(byte);
+                cidr = 0;
+            }
+        }
+        return bytes.join('.');
+    }
+
+    /**
+     * Converts dotted-decimal subnet mask to CIDR value.
+     * @param {string} mask
+     * @returns {number|null}  null if the mask is not contiguous
+     */
+    function maskToCidr(mask) {
+        let cidr = 0, zeroFound = false;
+        for (const part of mask.split('.')) {
+            const byte = parseInt(part);
+            for (let i = 7; i >= 0; i--) {
+                if ((byte >> i) & 1) {
+                    if (zeroFound) return null;
+                    cidr++;
+                } else {
+                    zeroFound = true;
+                }
+            }
+        }
+        return cidr;
+    }
+
+    /**
+     * Converts a byte array to dotted-decimal string.
+     * @param {number[]} bytes
+     * @returns {string}
+     */
+    function bytesToDotted(bytes) {
+        return bytes.join('.');
+    }
+
+    /**
+     * Converts a byte array to an unsigned 32-bit integer.
+     * @param {number[]} bytes
+     * @returns {number}
+     */
+    function bytesToInt(bytes) {
+        return (bytes[0] << 24 | bytes[1] << 16 | bytes[2] << 8 | bytes[3]) >>> 0;
+    }
+
+    /**
+     * Converts an unsigned 32-bit integer to a byte array.
+     * @param {number} int
+     * @returns {number[]}
+     */
+    function intToBytes(int) {
+        return [
+            (int >>> 24) & 0xFF,
+            (int >>> 16) & 0xFF,
+            (int >>>  8) & 0xFF,
+             int         & 0xFF
+        ];
+    }
+
+    /**
+     * Converts a 32-bit integer to dotted-decimal IP string.
+     * @param {number} int
+     * @returns {string}
+     */
+    function intToIp(int) {
+        return intToBytes(int).join('.');
+    }
+
+    /**
+     * Returns the netmask for a prefix length as an unsigned 32-bit integer.
+     * (`0xFFFFFFFF << 32` is a no-op in JS, hence the /0 special case.)
+     * @param {number} cidr  (0-32)
+     * @returns {number}
+     */
+    function cidrToInt(cidr) {
+        return cidr === 0 ? 0 : (0xFFFFFFFF << (32 - cidr)) >>> 0;
+    }
+
+    // ========================================================================
+    // NETWORK CALCULATIONS
+    // ========================================================================
+
+    /**
+     * Runs all calculations and returns a single result object.
+     * @param {number[]} ipBytes
+     * @param {number[]} maskBytes
+     * @param {number}   [parentCidr]  - prefix the subnets are counted in;
+     *                                   defaults to the classful default
+     * @returns {object}
+     */
+    function performNetworkCalculations(ipBytes, maskBytes, parentCidr) {
+        const networkBytes   = calculateNetworkAddress(ipBytes, maskBytes);
+        const broadcastBytes = calculateBroadcastAddress(networkBytes, maskBytes);
+        const cidr           = maskToCidr(bytesToDotted(maskBytes));
+        const defaultCidr    = getDefaultCidr(ipBytes[0]);
+        const wildcardBytes  = maskBytes.map(b => (~b) & 0xFF);
+        if (parentCidr === undefined) parentCidr = defaultCidr;
+
+        return {
+            cidr,
+            defaultCidr,
+            parentCidr,
+            networkAddress   : bytesToDotted(networkBytes),
+            broadcastAddress : bytesToDotted(broadcastBytes),
+            wildcardMask     : bytesToDotted(wildcardBytes),
+            firstUsable      : calculateFirstUsableAddress(networkBytes, cidr),
+            lastUsable       : calculateLastUsableAddress(broadcastBytes, cidr),
+            availableHosts   : calculateAvailableHosts(cidr),
+            ipClass          : getIPClass(ipBytes[0]),
+            ipInt            : bytesToInt(ipBytes),
+            ipHex            : formatHex(ipBytes),
+            ipOctal          : formatOctal(ipBytes),
+            ipType           : getIPType(ipBytes),
+            specialPurpose   : getSpecialPurpose(ipBytes),
+            specialOverlaps  : findSpecialOverlaps(networkBytes, broadcastBytes),
+            subnetNumber     : calculateSubnetNumber(ipBytes, cidr, parentCidr),
+            hostNumber       : calculateHostNumber(ipBytes, cidr),
+            totalSubnets     : calculateTotalSubnets(cidr, parentCidr),
+            networkBytes,
+            broadcastBytes,
+            ipBytes,
+            maskBytes,
+            wildcardBytes,
+        };
+    }
+
+    /**
+     * Parses the two inputs and runs every calculation on them.
+     * @param {string} ip
+     * @param {string} mask      - dotted decimal or "/n"
+     * @param {string} [parent]  - parent prefix ("/20", "20" or a dotted mask);
+     *                             empty means the classful default
+     * @returns {object}  performNetworkCalculations() result plus
+     *                    `ipAddress` and `subnetMask` (dotted) and the
+     *                    `notation` parse() detected
+     * @throws {IPCalcError}
+     */
+    function calculate(ip, mask, parent) {
+        const { ipAddress, subnetMask, ipBytes, maskBytes, cidr, notation } = parse(ip, mask);
+        const parentCidr = parseParentPrefix(parent, cidr);
+        return {
+            ipAddress,
+            subnetMask,
+            notation,
+            ...performNetworkCalculations(ipBytes, maskBytes, parentCidr),
+        };
+    }
+
+    /**
+     * Network address = IP AND mask.
+     * @param {number[]} ipBytes
+     * @param {number[]} maskBytes
+     * @returns {number[]}
+     */
+    function calculateNetworkAddress(ipBytes, maskBytes) {
+        return ipBytes.map((b, i) => b & maskBytes[i]);
+    }
+
+    /**
+     * Broadcast address = network OR ~mask (wildcard).
+     * @param {number[]} networkBytes
+     * @param {number[]} maskBytes
+     * @returns {number[]}
+     */
+    function calculateBroadcastAddress(networkBytes, maskBytes) {
+        return networkBytes.map((b, i) => b | ((~maskBytes[i]) & 0xFF));
+    }
+
+    /**
+     * Host addresses of a prefix, as offsets from its network address: the
+     * one rule the usable range, the host count and the host list follow.
+     * A /30 or shorter skips its network and broadcast address, a /31
+     * point-to-point link (RFC 3021) uses both its addresses and a /32
+     * (host route, loopback) has no host range.
+     * @param {number} cidr
+     * @returns {{first: number, last: number, count: number}}  count is 0
+     *          (and last < first) for a /32
+     */
+    function hostOffsets(cidr) {
+        if (cidr >= 32) return { first: 0, last: -1, count: 0 };
+        if (cidr === 31) return { first: 0, last: 1, count: 2 };
+        const last = Math.pow(2, 32 - cidr) - 2;
+        return { first: 1, last, count: last };
+    }
+
+    /**
+     * First usable host = network + 1; a /31 starts at its network
+     * address (see hostOffsets()), a /32 has none (N/A).
+     * @param {number[]} networkBytes
+     * @param {number}   cidr
+     * @returns {string}
+     */
+    function calculateFirstUsableAddress(networkBytes, cidr) {
+        const { first, count } = hostOffsets(cidr);
+        if (count === 0) return 'N/A';
+        return intToIp(bytesToInt(networkBytes) + first);
+    }
+
+    /**
+     * Last usable host = broadcast - 1; a /31 ends at its broadcast
+     * address (see hostOffsets()), a /32 has none (N/A).
+     * @param {number[]} broadcastBytes
+     * @param {number}   cidr
+     * @returns {string}
+     */
+    function calculateLastUsableAddress(broadcastBytes, cidr) {
+        const { last, count } = hostOffsets(cidr);
+        if (count === 0) return 'N/A';
+        return intToIp(bytesToInt(broadcastBytes) - (Math.pow(2, 32 - cidr) - 1 - last));
+    }
+
+    /**
+     * Available host count = 2^(32-cidr) - 2.
+     * Special cases for /31 (2) and /32 (0), see hostOffsets().
+     * @param {number} cidr
+     * @returns {number}
+     */
+    function calculateAvailableHosts(cidr) {
+        return hostOffsets(cidr).count;
+    }
+
+    /**
+     * Returns the classful default CIDR for an IP address.
+     * @param {number} firstOctet
+     * @returns {number}  8 | 16 | 24 | 0
+     */
+    function getDefaultCidr(firstOctet) {
+        if (firstOctet >= 1   && firstOctet <= 126) return 8;   // Class A
+        if (firstOctet >= 128 && firstOctet <= 191) return 16;  // Class B
+        if (firstOctet >= 192 && firstOctet <= 223) return 24;  // Class C
+        return 0;
+    }
+
+    /**
+     * Returns the IP address class letter.
+     * @param {number} firstOctet
+     * @returns {string}
+     */
+    function getIPClass(firstOctet) {
+        if (firstOctet >= 1   && firstOctet <= 126) return 'A';
+        if (firstOctet === 127)                      return 'Loopback';
+        if (firstOctet >= 128 && firstOctet <= 191) return 'B';
+        if (firstOctet >= 192 && firstOctet <= 223) return 'C';
+        if (firstOctet >= 224 && firstOctet <= 239) return 'D';
+        return 'E';
+    }
+
+    /**
+     * Reads the bits in [from, to) of an address as an unsigned number.
+     * Uses arithmetic instead of `<<` so a 32-bit field stays positive.
+     * @param {number[]} bytes
+     * @param {number}   from  - first bit position (0 = most significant)
+     * @param {number}   to    - position after the last bit
+     * @returns {number}
+     */
+    function readBitField(bytes, from, to) {
+        let result = 0, pos = 0;
+        for (let i = 0; i < 4; i++) {
+            for (let bit = 7; bit >= 0; bit--) {
+                if (pos >= from && pos < to) {
+                    result = result * 2 + ((bytes[i] >> bit) & 1);
+                }
+                pos++;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Subnet number = value of the subnet bits (bits between defaultCidr and cidr),
+     * counted from 1.
+     * @param {number[]} ipBytes
+     * @param {number}   cidr
+     * @param {number}   defaultCidr
+     * @returns {number}
+     */
+    function calculateSubnetNumber(ipBytes, cidr, defaultCidr) {
+        if (cidr <= defaultCidr) return 0;
+        return readBitField(ipBytes, defaultCidr, cidr) + 1;
+    }
+
+    /**
+     * Host number = value of the host bits (bits after cidr position).
+     * @param {number[]} ipBytes
+     * @param {number}   cidr
+     * @returns {number}
+     */
+    function calculateHostNumber(ipBytes, cidr) {
+        if (cidr >= 32) return 0;
+        return readBitField(ipBytes, cidr, 32);
+    }
+
+    /**
+     * Total subnets = 2^(cidr - defaultCidr).
+     * @param {number} cidr
+     * @param {number} defaultCidr
+     * @returns {number}
+     */
+    function calculateTotalSubnets(cidr, defaultCidr) {
+        if (cidr <= defaultCidr) return 1;
+        return Math.pow(2, cidr - defaultCidr);
+    }
+
+    // ========================================================================
+    // SPECIAL-PURPOSE ADDRESSES
+    // ========================================================================
+
+    /**
+     * IANA IPv4 Special-Purpose Address Registry (RFC 6890 and updates), plus
+     * the multicast block from RFC 5771. The most specific matching entry
+     * wins. `source` / `destination` tell whether an address in the block is
+     * valid as that field of a packet; `null` means not applicable.
+     */
+    const SPECIAL_PURPOSE_REGISTRY = [
+        { network: '0.0.0.0',         cidr: 8,  type: 'This network (reserved)',    name: '"This network"',                            rfc: 'RFC 791',  source: true,  destination: false, forwardable: false, global: false },
+        { network: '0.0.0.0',         cidr: 32, type: 'This host',                  name: '"This host on this network"',               rfc: 'RFC 1122', source: true,  destination: false, forwardable: false, global: false },
+        { network: '10.0.0.0',        cidr: 8,  type: 'Private (RFC 1918)',         name: 'Private-Use',                               rfc: 'RFC 1918', source: true,  destination: true,  forwardable: true,  global: false },
+        { network: '100.64.0.0',      cidr: 10, type: 'Shared (CGNAT)',             name: 'Shared Address Space',                      rfc: 'RFC 6598', source: true,  destination: true,  forwardable: true,  global: false },
+        { network: '127.0.0.0',       cidr: 8,  type: 'Loopback',                   name: 'Loopback',                                  rfc: 'RFC 1122', source: false, destination: false, forwardable: false, global: false },
+        { network: '169.254.0.0',     cidr: 16, type: 'Link-local (APIPA)',         name: 'Link Local',                                rfc: 'RFC 3927', source: true,  destination: true,  forwardable: false, global: false },
+        { network: '172.16.0.0',      cidr: 12, type: 'Private (RFC 1918)',         name: 'Private-Use',                               rfc: 'RFC 1918', source: true,  destination: true,  forwardable: true,  global: false },
+        { network: '192.0.0.0',       cidr: 24, type: 'IETF protocol assignments',  name: 'IETF Protocol Assignments',                 rfc: 'RFC 6890', source: false, destination: false, forwardable: false, global: false },
+        { network: '192.0.0.0',       cidr: 29, type: 'Service continuity',         name: 'IPv4 Service Continuity Prefix',            rfc: 'RFC 7335', source: true,  destination: true,  forwardable: true,  global: false },
+        { network: '192.0.0.8',       cidr: 32, type: 'Dummy address',              name: 'IPv4 dummy address',                        rfc: 'RFC 7600', source: true,  destination: false, forwardable: false, global: false },
+        { network: '192.0.0.9',       cidr: 32, type: 'PCP anycast',                name: 'Port Control Protocol Anycast',             rfc: 'RFC 7723', source: true,  destination: true,  forwardable: true,  global: true  },
+        { network: '192.0.0.10',      cidr: 32, type: 'TURN anycast',               name: 'Traversal Using Relays around NAT Anycast', rfc: 'RFC 8155', source: true,  destination: true,  forwardable: true,  global: true  },
+        { network: '192.0.0.170',     cidr: 32, type: 'NAT64/DNS64 discovery',      name: 'NAT64/DNS64 Discovery',                     rfc: 'RFC 8880', source: false, destination: false, forwardable: false, global: false },
+        { network: '192.0.0.171',     cidr: 32, type: 'NAT64/DNS64 discovery',      name: 'NAT64/DNS64 Discovery',                     rfc: 'RFC 8880', source: false, destination: false, forwardable: false, global: false },
+        { network: '192.0.2.0',       cidr: 24, type: 'Documentation (TEST-NET-1)', name: 'Documentation (TEST-NET-1)',                rfc: 'RFC 5737', source: false, destination: false, forwardable: false, global: false },
+        { network: '192.31.196.0',    cidr: 24, type: 'AS112 anycast',              name: 'AS112-v4',                                  rfc: 'RFC 7535', source: true,  destination: true,  forwardable: true,  global: true  },
+        { network: '192.52.193.0',    cidr: 24, type: 'AMT anycast',                name: 'AMT',                                       rfc: 'RFC 7450', source: true,  destination: true,  forwardable: true,  global: true  },
+        { network: '192.88.99.0',     cidr: 24, type: 'Deprecated (6to4 relay)',    name: 'Deprecated (6to4 Relay Anycast)',           rfc: 'RFC 7526', source: null,  destination: null,  forwardable: null,  global: null  },
+        { network: '192.168.0.0',     cidr: 16, type: 'Private (RFC 1918)',         name: 'Private-Use',                               rfc: 'RFC 1918', source: true,  destination: true,  forwardable: true,  global: false },
+        { network: '192.175.48.0',    cidr: 24, type: 'AS112 anycast',              name: 'Direct Delegation AS112 Service',           rfc: 'RFC 7534', source: true,  destination: true,  forwardable: true,  global: true  },
+        { network: '198.18.0.0',      cidr: 15, type: 'Benchmarking',               name: 'Benchmarking',                              rfc: 'RFC 2544', source: true,  destination: true,  forwardable: true,  global: false },
+        { network: '198.51.100.0',    cidr: 24, type: 'Documentation (TEST-NET-2)', name: 'Documentation (TEST-NET-2)',                rfc: 'RFC 5737', source: false, destination: false, forwardable: false, global: false },
+        { network: '203.0.113.0',     cidr: 24, type: 'Documentation (TEST-NET-3)', name: 'Documentation (TEST-NET-3)',                rfc: 'RFC 5737', source: false, destination: false, forwardable: false, global: false },
+        { network: '224.0.0.0',       cidr: 4,  type: 'Multicast',                  name: 'Multicast',                                 rfc: 'RFC 5771', source: false, destination: true,  forwardable: true,  global: null  },
+        { network: '240.0.0.0',       cidr: 4,  type: 'Reserved (future use)',      name: 'Reserved',                                  rfc: 'RFC 1112', source: false, destination: false, forwardable: false, global: false },
+        { network: '255.255.255.255', cidr: 32, type: 'Limited broadcast',          name: 'Limited Broadcast',                         rfc: 'RFC 919',  source: false, destination: true,  forwardable: false, global: false },
+    ];
+
+    /**
+     * First and last address of a registry entry as integers.
+     * @param {object} entry  - SPECIAL_PURPOSE_REGISTRY entry
+     * @returns {{startInt: number, endInt: number}}
+     */
+    function specialRange(entry) {
+        const startInt = bytesToInt(convertToBytes(entry.network));
+        return { startInt, endInt: startInt + Math.pow(2, 32 - entry.cidr) - 1 };
+    }
+
+    /**
+     * Returns the most specific special-purpose registry entry holding an
+     * address, or null for an ordinary public address.
+     * @param {number[]} ipBytes
+     * @returns {object|null}  SPECIAL_PURPOSE_REGISTRY entry
+     */
+    function getSpecialPurpose(ipBytes) {
+        const ipInt = bytesToInt(ipBytes);
+        let match = null;
+        for (const entry of SPECIAL_PURPOSE_REGISTRY) {
+            const { startInt, endInt } = specialRange(entry);
+            if (ipInt >= startInt && ipInt <= endInt && (!match || entry.cidr > match.cidr)) {
+                match = entry;
+            }
+        }
+        return match;
+    }
+
+    /**
+     * Returns the IP address type (Private, Public, Loopback, etc.).
+     * @param {number[]} ipBytes
+     * @returns {string}
+     */
+    function getIPType(ipBytes) {
+        const entry = getSpecialPurpose(ipBytes);
+        return entry ? entry.type : 'Public';
+    }
+
+    /**
+     * Special-purpose blocks a network only partly overlaps: they share
+     * addresses with it but do not contain all of it, so the IP type of
+     * one address does not describe the whole network.
+     * @param {number[]} networkBytes
+     * @param {number[]} broadcastBytes
+     * @returns {object[]}  SPECIAL_PURPOSE_REGISTRY entries, in table order
+     */
+    function findSpecialOverlaps(networkBytes, broadcastBytes) {
+        const networkInt   = bytesToInt(networkBytes);
+        const broadcastInt = bytesToInt(broadcastBytes);
+        return SPECIAL_PURPOSE_REGISTRY.filter(entry => {
+            const { startInt, endInt } = specialRange(entry);
+            const overlaps = startInt <= broadcastInt && networkInt <= endInt;
+            const contains = startInt <= networkInt && broadcastInt <= endInt;
+            return overlaps && !contains;
+        });
+    }
+
+    // ========================================================================
+    // SUBNET ENUMERATION
+    // ========================================================================
+
+    /**
+     * Lists the /cidr subnets of the parent network an address belongs to.
+     * @param {number[]} networkBytes
+     * @param {number}   cidr
+     * @param {object}   [options]
+     * @param {number}   [options.parentCidr]      - defaults to the classful default
+     * @param {number}   [options.offset=0]        - rows to skip (for paging)
+     * @param {number}   [options.count=Infinity]  - maximum number of rows
+     * @returns {{number: number, network: string, broadcast: string}[]}
+     *          `number` is 1-based, like calculateSubnetNumber()
+     */
+    function listSubnets(networkBytes, cidr, options = {}) {
+        const {
+            parentCidr = getDefaultCidr(networkBytes[0]),
+            offset     = 0,
+            count      = Infinity,
+        } = options;
+        const totalSubnets = calculateTotalSubnets(cidr, parentCidr);
+        const blockSize    = Math.pow(2, 32 - cidr);
+
+        // First subnet of the parent network (all subnet+host bits to 0)
+        const parentNetworkInt = (bytesToInt(networkBytes) & cidrToInt(parentCidr)) >>> 0;
+
+        const rows = [];
+        const end  = Math.min(totalSubnets, offset + count);
+        for (let s = offset + 1; s <= end; s++) {
+            const netInt   = parentNetworkInt + (s - 1) * blockSize;
+            const bcastInt = netInt + blockSize - 1;
+            rows.push({ number: s, network: intToIp(netInt), broadcast: intToIp(bcastInt) });
+        }
+        return rows;
+    }
+
+    /**
+     * Splits an address range into the minimal list of aligned CIDR blocks.
+     * @param {number} startInt  - first address (32-bit integer)
+     * @param {number} endInt    - last address, inclusive
+     * @returns {{network: string, broadcast: string, cidr: number,
+     *            networkInt: number, broadcastInt: number, size: number}[]}
+     */
+    function rangeToCidrs(startInt, endInt) {
+        const blocks = [];
+        let cursor = startInt;
+        while (cursor <= endInt) {
+            // Largest block aligned on `cursor` that still ends inside the range
+            let cidr = 32;
+            while (cidr > 0) {
+                const size = Math.pow(2, 33 - cidr);
+                if (cursor % size !== 0 || cursor + size - 1 > endInt) break;
+                cidr--;
+            }
+            const size = Math.pow(2, 32 - cidr);
+            blocks.push({
+                network      : intToIp(cursor),
+                broadcast    : intToIp(cursor + size - 1),
+                cidr,
+                networkInt   : cursor,
+                broadcastInt : cursor + size - 1,
+                size,
+            });
+            cursor += size;
+        }
+        return blocks;
+    }
+
+    // ========================================================================
+    // FORMATTING
+    // ========================================================================
+
+    /**
+     * Tells which part of the address a bit position belongs to.
+     * @param {number} pos          - 0-31, 0 = most significant bit
+     * @param {number} cidr         - Total mask length
+     * @param {number} defaultCidr  - Classful default mask length
+     * @returns {'network'|'subnet'|'host'}
+     */
+    function getBitPart(pos, cidr, defaultCidr) {
+        if (pos < defaultCidr) return 'network';
+        if (pos < cidr)        return 'subnet';
+        return 'host';
+    }
+
+    /**
+     * Returns the 32-bit binary form of an address, one group per byte.
+     * @param {number[]} bytes
+     * @param {string}   [separator='.']
+     * @returns {string}
+     */
+    function formatBinary(bytes, separator = '.') {
+        return bytes.map(b => b.toString(2).padStart(8, '0')).join(separator);
+    }
+
+    /**
+     * Returns an address as one 32-bit hex number, e.g. "0xC0A80101".
+     * @param {number[]} bytes
+     * @returns {string}
+     */
+    function formatHex(bytes) {
+        return '0x' + bytesToInt(bytes).toString(16).toUpperCase().padStart(8, '0');
+    }
+
+    /**
+     * Returns an address as one 32-bit octal number, e.g. "030052000401".
+     * @param {number[]} bytes
+     * @returns {string}
+     */
+    function formatOctal(bytes) {
+        return '0' + bytesToInt(bytes).toString(8);
+    }
+
+    /**
+     * Describes the notations parse() detected, e.g.
+     * "hex address, dotted decimal wildcard".
+     * @param {{ip: string, mask: string, inline: boolean}} notation
+     * @returns {string}
+     */
+    function describeNotation(notation) {
+        return `${notation.ip} address, ${notation.mask}` + (notation.inline ? ' (in the IP field)' : '');
+    }
+
+    /**
+     * Registry attributes of an address as display strings. An address
+     * outside the registry is ordinary global unicast.
+     * @param {object|null} entry  - getSpecialPurpose() result
+     * @returns {{registry: string, forwardable: string, global: string,
+     *            source: string, destination: string}}
+     */
+    function describeSpecialPurpose(entry) {
+        const flag = value => value === null ? 'N/A' : value ? 'Yes' : 'No';
+        if (!entry) {
+            return { registry: 'none', forwardable: 'Yes', global: 'Yes', source: 'Yes', destination: 'Yes' };
+        }
+        return {
+            registry    : `${entry.network}/${entry.cidr} ${entry.name} (${entry.rfc})`,
+            forwardable : flag(entry.forwardable),
+            global      : flag(entry.global),
+            source      : flag(entry.source),
+            destination : flag(entry.destination),
+        };
+    }
+
+    /**
+     * Returns the result as labelled lines grouped in the same sections as
+     * the on-screen panel.
+     * @param {object} c  - calculate() result
+     * @returns {{title: string, rows: [string, string][]}[]}
+     */
+    function formatSections(c) {
+        const special = describeSpecialPurpose(c.specialPurpose);
+        return [
+            { title: 'ADDRESS INFO', rows: [
+                ['IP Address',    c.ipAddress],
+                ...(c.notation ? [['Input', describeNotation(c.notation)]] : []),
+                ['Subnet Mask',   `${c.subnetMask} /${c.cidr}`],
+                ['Wildcard Mask', c.wildcardMask],
+                ['IP Class',      `CLASS ${c.ipClass}`],
+                ['IP Type',       c.ipType],
+                ['Registry',      special.registry],
+                ['Forwardable',   special.forwardable],
+                ['Global',        special.global],
+                ['Source',        special.source],
+                ['Destination',   special.destination],
+                ...c.specialOverlaps.map(e => ['Warning', `Network partly overlaps ${e.network}/${e.cidr} (${e.name})`]),
+            ]},
+            { title: 'NETWORK RANGE', rows: [
+                ['Network',         `${c.networkAddress}/${c.cidr}`],
+                ['Broadcast',       c.broadcastAddress],
+                ['First Usable',    c.firstUsable],
+                ['Last Usable',     c.lastUsable],
+                ['Available Hosts', String(c.availableHosts)],
+            ]},
+            { title: 'SUBNET INFO', rows: [
+                ['Host Number',   String(c.hostNumber)],
+                ['Subnet Number', String(c.subnetNumber)],
+                ['Total Subnets', String(c.totalSubnets)],
+            ]},
+            { title: 'ADDRESS NOTATIONS', rows: [
+                ['Dotted',  c.ipAddress],
+                ['Integer', String(c.ipInt)],
+                ['Hex',     c.ipHex],
+                ['Octal',   c.ipOctal],
+                ['Binary',  formatBinary(c.ipBytes)],
+            ]},
+        ];
+    }
+
+    /**
+     * Returns the result as a plain-text report.
+     * @param {object} c  - calculate() result
+     * @returns {string}
+     */
+    function formatReport(c) {
+        const lines = [];
+        for (const section of formatSections(c)) {
+            if (lines.length) lines.push('');
+            lines.push(`▶ ${section.title}`);
+            for (const [label, value] of section.rows) {
+                lines.push(`  ${(label + ':').padEnd(17)} ${value}`);
+            }
+        }
+        return lines.join('\n');
+    }
+
+    // ========================================================================
+    // PUBLIC API
+    // ========================================================================
+
+    return {
+        // errors
+        IPCalcError,
+        EmptyInputError,
+        InvalidIPError,
+        InvalidMaskError,
+        InvalidCidrError,
+        AmbiguousInputError,
+        // validation
+        validateInputsNotEmpty,
+        isValidIP,
+        isValidMask,
+        convertCidrIfNeeded,
+        // parsing
+        parse,
+        parseAddressNotation,
+        parseAddress,
+        parseMask,
+        parseNetwork,
+        parseParentPrefix,
+        // conversion
+        convertToBytes,
+        cidrToMask,
+        maskToCidr,
+        bytesToDotted,
+        bytesToInt,
+        intToBytes,
+        intToIp,
+        cidrToInt,
+        // calculations
+        calculate,
+        performNetworkCalculations,
+        calculateNetworkAddress,
+        calculateBroadcastAddress,
+        calculateFirstUsableAddress,
+        calculateLastUsableAddress,
+        calculateAvailableHosts,
+        hostOffsets,
+        getDefaultCidr,
+        getIPClass,
+        calculateSubnetNumber,
+        calculateHostNumber,
+        calculateTotalSubnets,
+        listSubnets,
+        rangeToCidrs,
+        // special-purpose addresses
+        SPECIAL_PURPOSE_REGISTRY,
+        getSpecialPurpose,
+        getIPType,
+        findSpecialOverlaps,
+        // formatting
+        getBitPart,
+        formatBinary,
+        formatHex,
+        formatOctal,
+        describeNotation,
+        describeSpecialPurpose,
+        formatSections,
+        formatReport,
+    };
+});
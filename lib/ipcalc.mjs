@@ -0,0 +1,73 @@
+// ============================================================================
+// IPv4 CALCULATION ENGINE — ES module entry point
+// ----------------------------------------------------------------------------
+// Re-exports the CommonJS engine in ./ipcalc.js so Node projects can
+//   import { calculate } from './lib/ipcalc.mjs';
+// Node only: a browser cannot import the CommonJS file, so pages load
+// ./ipcalc.js with a <script> tag and use `window.IPCalc` instead.
+// ============================================================================
+
+import IPCalc from './ipcalc.js';
+
+export default IPCalc;
+
+export const {
+    // errors
+    IPCalcError,
+    EmptyInputError,
+    InvalidIPError,
+    InvalidMaskError,
+    InvalidCidrError,
+    AmbiguousInputError,
+    // validation
+    validateInputsNotEmpty,
+    isValidIP,
+    isValidMask,
+    convertCidrIfNeeded,
+    // parsing
+    parse,
+    parseAddressNotation,
+    parseAddress,
+    parseMask,
+    parseNetwork,
+    parseParentPrefix,
+    // conversion
+    convertToBytes,
+    cidrToMask,
+    maskToCidr,
+    bytesToDotted,
+    bytesToInt,
+    intToBytes,
+    intToIp,
+    cidrToInt,
+    // calculations
+    calculate,
+    performNetworkCalculations,
+    calculateNetworkAddress,
+    calculateBroadcastAddress,
+    calculateFirstUsableAddress,
+    calculateLastUsableAddress,
+    calculateAvailableHosts,
+    hostOffsets,
+    getDefaultCidr,
+    getIPClass,
+    calculateSubnetNumber,
+    calculateHostNumber,
+    calculateTotalSubnets,
+    listSubnets,
+    rangeToCidrs,
+    // special-purpose addresses
+    SPECIAL_PURPOSE_REGISTRY,
+    getSpecialPurpose,
+    getIPType,
+    findSpecialOverlaps,
+    // formatting
+    getBitPart,
+    formatBinary,
+    formatHex,
+    formatOctal,
+    describeNotation,
+    describeSpecialPurpose,
+    formatSections,
+    formatReport,
+} = IPCalc;
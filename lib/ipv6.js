@@ -0,0 +1,310 @@
+// ============================================================================
+// IPv6 ENGINE
+// ----------------------------------------------------------------------------
+// Parsing, formatting and prefix math for IPv6 addresses. 128-bit values are
+// BigInts throughout.
+// Browser: `IPCalc.ipv6`; Node: `require('./lib/ipv6')`.
+// ============================================================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./ipcalc.js'));
+    } else {
+        root.IPCalc.ipv6 = factory(root.IPCalc);
+    }
+})(typeof self !== 'undefined' ? self : this, function (IPCalc) {
+    'use strict';
+
+    const {
+        IPCalcError,
+        EmptyInputError,
+        InvalidCidrError,
+        isValidIP,
+        convertToBytes,
+    } = IPCalc;
+
+    const ALL_ONES = (1n << 128n) - 1n;
+
+    /**
+     * Address types, most specific first; the first matching prefix wins.
+     */
+    const IPV6_TYPES = [
+        { prefix: '::1',        length: 128, type: 'Loopback' },
+        { prefix: '::',         length: 128, type: 'Unspecified' },
+        { prefix: '::ffff:0:0', length: 96,  type: 'IPv4-mapped' },
+        { prefix: '2001:db8::', length: 32,  type: 'Documentation' },
+        { prefix: 'fe80::',     length: 10,  type: 'Link-local unicast' },
+        { prefix: 'fc00::',     length: 7,   type: 'Unique local (ULA)' },
+        { prefix: 'ff00::',     length: 8,   type: 'Multicast' },
+        { prefix: '2000::',     length: 3,   type: 'Global unicast' },
+    ];
+
+    // ========================================================================
+    // ERRORS
+    // ========================================================================
+
+    /** The address is not a valid IPv6 address. */
+    class InvalidIPv6Error extends IPCalcError {
+        constructor(message = 'Invalid IPv6 address format!') {
+            super(message, 'INVALID_IPV6');
+        }
+    }
+
+    // ========================================================================
+    // PARSING
+    // ========================================================================
+
+    /**
+     * Tells whether the text looks like an IPv6 address (contains a colon).
+     * @param {string} text
+     * @returns {boolean}
+     */
+    function looksLikeIPv6(text) {
+        return String(text).includes(':');
+    }
+
+    /**
+     * Parses a full, compressed ("::") or IPv4-suffixed IPv6 address.
+     * @param {string} text
+     * @returns {bigint}
+     * @throws {InvalidIPv6Error}
+     */
+    function parseIPv6(text) {
+        let value = String(text).trim().toLowerCase();
+        if (value.startsWith('[') && value.endsWith(']')) value = value.slice(1, -1);
+
+        // Dotted IPv4 tail, e.g. ::ffff:192.0.2.1 → two hextets
+        const lastColon = value.lastIndexOf(':');
+        const tail      = value.slice(lastColon + 1);
+        if (tail.includes('.')) {
+            if (!isValidIP(tail)) throw new InvalidIPv6Error();
+            const [a, b, c, d] = convertToBytes(tail);
+            value = value.slice(0, lastColon + 1) +
+                    ((a << 8) | b).toString(16) + ':' + ((c << 8) | d).toString(16);
+        }
+
+        const halves = value.split('::');
+        if (halves.length > 2) throw new InvalidIPv6Error();
+
+        const toGroups = part => (part === '' ? [] : part.split(':'));
+        const head = toGroups(halves[0]);
+        const rest = halves.length === 2 ? toGroups(halves[1]) : [];
+
+        let groups;
+        if (halves.length === 2) {
+            const missing = 8 - head.length - rest.length;
+            if (missing < 1) throw new InvalidIPv6Error();
+            groups = [...head, ...Array(missing).fill('0'), ...rest];
+        } else {
+            groups = head;
+        }
+        if (groups.length !== 8) throw new InvalidIPv6Error();
+
+        let result = 0n;
+        for (const group of groups) {
+            if (!/^[0-9a-f]{1,4}$/.test(group)) throw new InvalidIPv6Error();
+            result = (result << 16n) | BigInt(parseInt(group, 16));
+        }
+        return result;
+    }
+
+    /**
+     * Parses an IPv6 prefix length given as "/n" or "n".
+     * @param {string} text
+     * @returns {number}  0-128
+     * @throws {InvalidCidrError}
+     */
+    function parsePrefixLength(text) {
+        const value = String(text).trim().replace(/^\//, '');
+        if (!/^\d{1,3}$/.test(value) || parseInt(value) > 128) {
+            throw new InvalidCidrError('Invalid IPv6 prefix! Use /0 to /128');
+        }
+        return parseInt(value);
+    }
+
+    // ========================================================================
+    // FORMATTING
+    // ========================================================================
+
+    /**
+     * Splits a 128-bit value into its eight 16-bit groups.
+     * @param {bigint} int
+     * @returns {number[]}
+     */
+    function toHextets(int) {
+        const groups = [];
+        for (let i = 7; i >= 0; i--) {
+            groups.push(Number((int >> BigInt(i * 16)) & 0xFFFFn));
+        }
+        return groups;
+    }
+
+    /**
+     * Full form, every group padded to 4 digits.
+     * @param {bigint} int
+     * @returns {string}  e.g. 2001:0db8:0000:0000:0000:0000:0000:0001
+     */
+    function expandIPv6(int) {
+        return toHextets(int).map(g => g.toString(16).padStart(4, '0')).join(':');
+    }
+
+    /**
+     * Canonical compressed form (RFC 5952): lowercase, no leading zeros,
+     * the longest run of two or more zero groups replaced by "::", and
+     * IPv4-mapped addresses written with a dotted tail.
+     * @param {bigint} int
+     * @returns {string}  e.g. 2001:db8::1
+     */
+    function formatIPv6(int) {
+        const groups = toHextets(int);
+
+        if ((int >> 32n) === 0xFFFFn) {
+            const v4 = Number(int & 0xFFFFFFFFn);
+            return '::ffff:' + [v4 >>> 24, (v4 >>> 16) & 0xFF, (v4 >>> 8) & 0xFF, v4 & 0xFF].join('.');
+        }
+
+        let bestStart = -1, bestLen = 0;
+        for (let i = 0; i < 8; i++) {
+            if (groups[i] !== 0) continue;
+            let j = i;
+            while (j < 8 && groups[j] === 0) j++;
+            if (j - i > bestLen) { bestStart = i; bestLen = j - i; }
+            i = j;
+        }
+
+        const hex = groups.map(g => g.toString(16));
+        if (bestLen < 2) return hex.join(':');
+        return hex.slice(0, bestStart).join(':') + '::' + hex.slice(bestStart + bestLen).join(':');
+    }
+
+    // ========================================================================
+    // CALCULATIONS
+    // ========================================================================
+
+    /**
+     * Netmask for a prefix length.
+     * @param {number} prefix  (0-128)
+     * @returns {bigint}
+     */
+    function prefixToMask(prefix) {
+        return (ALL_ONES << BigInt(128 - prefix)) & ALL_ONES;
+    }
+
+    /**
+     * Returns the address type from IPV6_TYPES.
+     * @param {bigint} int
+     * @returns {string}
+     */
+    function getIPv6Type(int) {
+        for (const entry of IPV6_TYPES) {
+            const mask = prefixToMask(entry.length);
+            if ((int & mask) === (parseIPv6(entry.prefix) & mask)) return entry.type;
+        }
+        return 'Reserved';
+    }
+
+    /**
+     * Parent prefix used for the IPv6 subnet list: one hex digit (nibble)
+     * above the prefix, so the list holds at most 16 sibling subnets.
+     * @param {number} prefix
+     * @returns {number}
+     */
+    function getParentPrefix(prefix) {
+        return Math.max(0, Math.ceil(prefix / 4) * 4 - 4);
+    }
+
+    /**
+     * Parses both inputs and runs every IPv6 calculation on them.
+     * @param {string} ip            - may carry the prefix: "2001:db8::1/64"
+     * @param {string} [prefixText]  - "/64" or "64"; may be left empty when
+     *                                 the address carries the prefix
+     * @returns {object}
+     * @throws {IPCalcError}  also when both fields give a prefix and they differ
+     */
+    function calculateIPv6(ip, prefixText = '') {
+        let ipAddress   = String(ip).trim();
+        let prefixValue = String(prefixText === null ? '' : prefixText).trim();
+        // "2001:db8::1/64" in the address field
+        const inline = ipAddress.match(/^([^\s/]+)\s*\/\s*(\d+)$/);
+        if (inline) {
+            ipAddress = inline[1];
+            if (prefixValue !== '' && parsePrefixLength(prefixValue) !== parsePrefixLength(inline[2])) {
+                throw new InvalidCidrError(
+                    `The address field says /${parsePrefixLength(inline[2])} but the prefix field says /${parsePrefixLength(prefixValue)}!`);
+            }
+            prefixValue = inline[2];
+        }
+        if (ipAddress === '' || prefixValue === '') throw new EmptyInputError();
+
+        const addressInt = parseIPv6(ipAddress);
+        const prefix     = parsePrefixLength(prefixValue);
+        const mask       = prefixToMask(prefix);
+        const networkInt = addressInt & mask;
+        const lastInt    = networkInt | (~mask & ALL_ONES);
+
+        const parentPrefix = getParentPrefix(prefix);
+        const subnetBits   = BigInt(prefix - parentPrefix);
+
+        return {
+            version        : 6,
+            ipAddress,
+            compressed     : formatIPv6(addressInt),
+            expanded       : expandIPv6(addressInt),
+            prefix,
+            network        : formatIPv6(networkInt),
+            firstAddress   : formatIPv6(networkInt),
+            lastAddress    : formatIPv6(lastInt),
+            addressCount   : 1n << BigInt(128 - prefix),
+            ipType         : getIPv6Type(addressInt),
+            interfaceId    : formatIPv6(addressInt & ~mask & ALL_ONES),
+            parentPrefix,
+            parentNetwork  : formatIPv6(networkInt & prefixToMask(parentPrefix)),
+            subnetNumber   : Number((networkInt >> BigInt(128 - prefix)) & ((1n << subnetBits) - 1n)) + 1,
+            totalSubnets   : Number(1n << subnetBits),
+            addressInt,
+            networkInt,
+            lastInt,
+            maskInt        : mask,
+        };
+    }
+
+    /**
+     * Lists the /prefix subnets of the parent prefix (see getParentPrefix).
+     * @param {bigint} networkInt
+     * @param {number} prefix
+     * @param {number} [parentPrefix]
+     * @returns {{number: number, network: string, last: string}[]}  1-based
+     */
+    function listIPv6Subnets(networkInt, prefix, parentPrefix = getParentPrefix(prefix)) {
+        const blockSize = 1n << BigInt(128 - prefix);
+        const parentInt = networkInt & prefixToMask(parentPrefix);
+        const total     = 1 << (prefix - parentPrefix);
+
+        const rows = [];
+        for (let s = 1; s <= total; s++) {
+            const netInt = parentInt + BigInt(s - 1) * blockSize;
+            rows.push({
+                number  : s,
+                network : formatIPv6(netInt),
+                last    : formatIPv6(netInt + blockSize - 1n),
+            });
+        }
+        return rows;
+    }
+
+    return {
+        IPV6_TYPES,
+        InvalidIPv6Error,
+        looksLikeIPv6,
+        parseIPv6,
+        parsePrefixLength,
+        toHextets,
+        expandIPv6,
+        formatIPv6,
+        prefixToMask,
+        getIPv6Type,
+        getParentPrefix,
+        calculateIPv6,
+        listIPv6Subnets,
+    };
+});
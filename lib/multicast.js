@@ -0,0 +1,174 @@
+// ============================================================================
+// MULTICAST
+// ----------------------------------------------------------------------------
+// What a class D (224.0.0.0/4) address is: its IANA block (RFC 5771), the
+// administrative sub-scope inside 239/8 (RFC 2365), the AS number of a GLOP
+// address (RFC 3180), well-known group names, and the Ethernet MAC the group
+// maps to (RFC 1112) with the other 31 groups sharing that MAC.
+// Browser: `IPCalc.multicast`; Node: `require('./lib/multicast')`.
+// ============================================================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./ipcalc.js'));
+    } else {
+        root.IPCalc.multicast = factory(root.IPCalc);
+    }
+})(typeof self !== 'undefined' ? self : this, function (IPCalc) {
+    'use strict';
+
+    const {
+        IPCalcError,
+        convertToBytes,
+        bytesToDotted,
+        bytesToInt,
+    } = IPCalc;
+
+    /**
+     * IANA IPv4 Multicast Address Space Registry, top level. Ranges are
+     * inclusive and in address order; gaps are reserved.
+     */
+    const MULTICAST_BLOCKS = [
+        { start: '224.0.0.0',   end: '224.0.0.255',     name: 'Local Network Control Block',       rfc: 'RFC 5771', scope: 'link-local, never forwarded' },
+        { start: '224.0.1.0',   end: '224.0.1.255',     name: 'Internetwork Control Block',        rfc: 'RFC 5771', scope: 'global, forwarded' },
+        { start: '224.0.2.0',   end: '224.0.255.255',   name: 'AD-HOC Block I',                    rfc: 'RFC 5771', scope: 'global' },
+        { start: '224.2.0.0',   end: '224.2.255.255',   name: 'SDP/SAP Block',                     rfc: 'RFC 5771', scope: 'global' },
+        { start: '224.3.0.0',   end: '224.4.255.255',   name: 'AD-HOC Block II',                   rfc: 'RFC 5771', scope: 'global' },
+        { start: '224.252.0.0', end: '224.255.255.255', name: 'DIS Transient Groups',              rfc: 'RFC 5771', scope: 'global' },
+        { start: '232.0.0.0',   end: '232.255.255.255', name: 'Source-Specific Multicast (SSM)',   rfc: 'RFC 4607', scope: 'global, joined per (source, group)' },
+        { start: '233.0.0.0',   end: '233.251.255.255', name: 'GLOP Block',                        rfc: 'RFC 3180', scope: 'global, one /24 per 16-bit AS' },
+        { start: '233.252.0.0', end: '233.255.255.255', name: 'AD-HOC Block III',                  rfc: 'RFC 5771', scope: 'global' },
+        { start: '234.0.0.0',   end: '234.255.255.255', name: 'Unicast-Prefix-based Block',        rfc: 'RFC 6034', scope: 'global, derived from a unicast prefix' },
+        { start: '239.0.0.0',   end: '239.255.255.255', name: 'Administratively Scoped Block',     rfc: 'RFC 2365', scope: 'private, kept inside a site or organization' },
+    ];
+
+    /** Sub-scopes of 239/8 (RFC 2365 section 6). */
+    const ADMIN_SCOPES = [
+        { start: '239.0.0.0',   end: '239.191.255.255', name: 'Organization-Local Scope expansion' },
+        { start: '239.192.0.0', end: '239.195.255.255', name: 'Organization-Local Scope' },
+        { start: '239.253.0.0', end: '239.254.255.255', name: 'IPv4 Local Scope expansion' },
+        { start: '239.255.0.0', end: '239.255.255.255', name: 'IPv4 Local Scope' },
+    ];
+
+    /** Well-known groups (IANA multicast registry), by address. */
+    const MULTICAST_GROUPS = {
+        '224.0.0.1'       : 'All Systems on this Subnet',
+        '224.0.0.2'       : 'All Routers on this Subnet',
+        '224.0.0.5'       : 'OSPF All SPF Routers',
+        '224.0.0.6'       : 'OSPF All Designated Routers',
+        '224.0.0.9'       : 'RIPv2 Routers',
+        '224.0.0.10'      : 'EIGRP Routers',
+        '224.0.0.13'      : 'All PIM Routers',
+        '224.0.0.18'      : 'VRRP',
+        '224.0.0.22'      : 'IGMPv3',
+        '224.0.0.102'     : 'HSRPv2 / GLBP',
+        '224.0.0.107'     : 'PTP Peer Delay',
+        '224.0.0.251'     : 'mDNS',
+        '224.0.0.252'     : 'LLMNR',
+        '224.0.1.1'       : 'NTP',
+        '224.0.1.129'     : 'PTP Primary',
+        '239.255.255.250' : 'SSDP (UPnP)',
+    };
+
+    // ========================================================================
+    // ERRORS
+    // ========================================================================
+
+    /** The address is not in 224.0.0.0/4. */
+    class NotMulticastError extends IPCalcError {
+        constructor(message = 'Not a multicast address!') {
+            super(message, 'NOT_MULTICAST');
+        }
+    }
+
+    // ========================================================================
+    // ANALYSIS
+    // ========================================================================
+
+    /**
+     * @param {number[]} ipBytes
+     * @returns {boolean}  true for 224.0.0.0 - 239.255.255.255
+     */
+    function isMulticast(ipBytes) {
+        return ipBytes[0] >= 224 && ipBytes[0] <= 239;
+    }
+
+    /**
+     * Entry of a start / end table holding an address.
+     * @param {object[]} table
+     * @param {number}   ipInt
+     * @returns {object|null}
+     */
+    function findRange(table, ipInt) {
+        return table.find(entry =>
+            ipInt >= bytesToInt(convertToBytes(entry.start)) &&
+            ipInt <= bytesToInt(convertToBytes(entry.end))) || null;
+    }
+
+    /**
+     * Ethernet MAC of a group: 01:00:5e followed by the low 23 bits.
+     * @param {number[]} ipBytes
+     * @returns {string}  "01:00:5e:7f:ff:fa"
+     */
+    function multicastMac(ipBytes) {
+        return [0x01, 0x00, 0x5e, ipBytes[1] & 0x7f, ipBytes[2], ipBytes[3]]
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join(':');
+    }
+
+    /**
+     * The 32 groups that map to the same MAC: the mapping drops the low 4
+     * bits of the first octet and the top bit of the second.
+     * @param {number[]} ipBytes
+     * @returns {string[]}  in address order, the given group included
+     */
+    function macAliases(ipBytes) {
+        const groups = [];
+        for (let first = 224; first <= 239; first++) {
+            for (const high of [0, 0x80]) {
+                groups.push(bytesToDotted([first, (ipBytes[1] & 0x7f) | high, ipBytes[2], ipBytes[3]]));
+            }
+        }
+        return groups;
+    }
+
+    /**
+     * Everything known about a multicast group.
+     * @param {number[]} ipBytes
+     * @returns {{address: string, block: object|null, adminScope: object|null,
+     *            glop: {as: number, block: string}|null, group: string|null,
+     *            mac: string, aliases: string[]}}
+     *          `block` is the MULTICAST_BLOCKS entry (null = reserved space),
+     *          `adminScope` the ADMIN_SCOPES entry inside 239/8,
+     *          `aliases` the other 31 groups sharing the MAC
+     * @throws {NotMulticastError}
+     */
+    function analyzeMulticast(ipBytes) {
+        const address = bytesToDotted(ipBytes);
+        if (!isMulticast(ipBytes)) throw new NotMulticastError(`${address} is not a multicast address!`);
+
+        const ipInt = bytesToInt(ipBytes);
+        const block = findRange(MULTICAST_BLOCKS, ipInt);
+        const isGlop = block !== null && block.name === 'GLOP Block';
+        return {
+            address,
+            block,
+            adminScope : ipBytes[0] === 239 ? findRange(ADMIN_SCOPES, ipInt) : null,
+            glop       : isGlop ? { as: ipBytes[1] * 256 + ipBytes[2], block: `233.${ipBytes[1]}.${ipBytes[2]}.0/24` } : null,
+            group      : MULTICAST_GROUPS[address] || null,
+            mac        : multicastMac(ipBytes),
+            aliases    : macAliases(ipBytes).filter(group => group !== address),
+        };
+    }
+
+    return {
+        NotMulticastError,
+        MULTICAST_BLOCKS,
+        ADMIN_SCOPES,
+        MULTICAST_GROUPS,
+        isMulticast,
+        multicastMac,
+        macAliases,
+        analyzeMulticast,
+    };
+});
@@ -0,0 +1,236 @@
+// ============================================================================
+// ADDRESS PLAN
+// ----------------------------------------------------------------------------
+// A network as a binary tree of subnets: any block can be split into its two
+// halves and two split halves merged back. The leaves are the plan; each can
+// carry a label and a used / free flag.
+// Browser: `IPCalc.plan`; Node: `require('./lib/plan')`.
+// ============================================================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./ipcalc.js'));
+    } else {
+        root.IPCalc.plan = factory(root.IPCalc);
+    }
+})(typeof self !== 'undefined' ? self : this, function (IPCalc) {
+    'use strict';
+
+    const {
+        IPCalcError,
+        cidrToMask,
+        convertToBytes,
+        bytesToDotted,
+        bytesToInt,
+        intToBytes,
+        intToIp,
+        cidrToInt,
+        calculateBroadcastAddress,
+        calculateFirstUsableAddress,
+        calculateLastUsableAddress,
+        calculateAvailableHosts,
+    } = IPCalc;
+
+    // ========================================================================
+    // ERRORS
+    // ========================================================================
+
+    /** A split or merge the node does not allow. */
+    class InvalidPlanError extends IPCalcError {
+        constructor(message = 'That change is not possible in this plan!') {
+            super(message, 'INVALID_PLAN');
+        }
+    }
+
+    // ========================================================================
+    // TREE
+    // ========================================================================
+
+    /**
+     * A leaf node. The network is aligned to the prefix.
+     * @param {number} networkInt
+     * @param {number} cidr
+     * @returns {{key: string, networkInt: number, cidr: number, label: string,
+     *            used: boolean, children: object[]|null}}
+     *          `key` ("10.0.0.0/24") identifies the node in its plan
+     */
+    function createNode(networkInt, cidr) {
+        const aligned = (networkInt & cidrToInt(cidr)) >>> 0;
+        return {
+            key        : `${intToIp(aligned)}/${cidr}`,
+            networkInt : aligned,
+            cidr,
+            label      : '',
+            used       : false,
+            children   : null,
+        };
+    }
+
+    /**
+     * A plan holding one free block: the network of the given address.
+     * @param {number[]} networkBytes
+     * @param {number}   cidr
+     * @returns {object}  root node
+     */
+    function createPlan(networkBytes, cidr) {
+        return createNode(bytesToInt(networkBytes), cidr);
+    }
+
+    /**
+     * Finds a node by key.
+     * @param {object} root
+     * @param {string} key
+     * @returns {object|null}
+     */
+    function findNode(root, key) {
+        if (root.key === key) return root;
+        if (!root.children) return null;
+        return findNode(root.children[0], key) || findNode(root.children[1], key);
+    }
+
+    /**
+     * @param {object} root
+     * @param {string} key
+     * @returns {object}
+     * @throws {InvalidPlanError}  no such node
+     */
+    function getNode(root, key) {
+        const node = findNode(root, key);
+        if (!node) throw new InvalidPlanError(`${key} is not part of this plan!`);
+        return node;
+    }
+
+    /**
+     * Splits a leaf into its two halves. Both halves start free and
+     * unlabeled; the leaf's own label and flag are kept for a later merge.
+     * Modifies the plan in place.
+     * @param {object} root
+     * @param {string} key
+     * @returns {object}  the split node
+     * @throws {InvalidPlanError}  not a leaf, or a /32
+     */
+    function splitNode(root, key) {
+        const node = getNode(root, key);
+        if (node.children) throw new InvalidPlanError(`${key} is already split!`);
+        if (node.cidr >= 32) throw new InvalidPlanError('A /32 cannot be split!');
+        const half = Math.pow(2, 32 - node.cidr - 1);
+        node.children = [
+            createNode(node.networkInt, node.cidr + 1),
+            createNode(node.networkInt + half, node.cidr + 1),
+        ];
+        return node;
+    }
+
+    /**
+     * Joins a split node's halves back into one leaf, dropping everything
+     * planned inside them. Modifies the plan in place.
+     * @param {object} root
+     * @param {string} key
+     * @returns {object}  the merged node
+     * @throws {InvalidPlanError}  not split
+     */
+    function mergeNode(root, key) {
+        const node = getNode(root, key);
+        if (!node.children) throw new InvalidPlanError(`${key} is not split!`);
+        node.children = null;
+        return node;
+    }
+
+    /**
+     * Sets a node's label and / or used flag. Modifies the plan in place.
+     * A label is one line: tabs and line breaks become spaces, so it
+     * cannot add columns or rows to exportPlan().
+     * @param {object} root
+     * @param {string} key
+     * @param {{label?: string, used?: boolean}} changes
+     * @returns {object}  the node
+     */
+    function updateNode(root, key, changes) {
+        const node = getNode(root, key);
+        if (changes.label !== undefined) node.label = String(changes.label).replace(/[\t\r\n]+/g, ' ').trim();
+        if (changes.used  !== undefined) node.used  = Boolean(changes.used);
+        return node;
+    }
+
+    // ========================================================================
+    // READING THE PLAN
+    // ========================================================================
+
+    /**
+     * Range, size and host count of a node.
+     * @param {object} node
+     * @returns {{network: string, broadcast: string, firstUsable: string,
+     *            lastUsable: string, size: number, availableHosts: number}}
+     */
+    function describeNode(node) {
+        const networkBytes   = intToBytes(node.networkInt);
+        const broadcastBytes = calculateBroadcastAddress(networkBytes, convertToBytes(cidrToMask(node.cidr)));
+        return {
+            network        : intToIp(node.networkInt),
+            broadcast      : bytesToDotted(broadcastBytes),
+            firstUsable    : calculateFirstUsableAddress(networkBytes, node.cidr),
+            lastUsable     : calculateLastUsableAddress(broadcastBytes, node.cidr),
+            size           : Math.pow(2, 32 - node.cidr),
+            availableHosts : calculateAvailableHosts(node.cidr),
+        };
+    }
+
+    /**
+     * Every node with its depth, parents before children, in address order.
+     * @param {object} root
+     * @returns {{node: object, depth: number}[]}
+     */
+    function walkPlan(root) {
+        const out = [];
+        (function visit(node, depth) {
+            out.push({ node, depth });
+            if (node.children) node.children.forEach(child => visit(child, depth + 1));
+        })(root, 0);
+        return out;
+    }
+
+    /**
+     * The leaves in address order: the blocks the plan is made of.
+     * @param {object} root
+     * @returns {object[]}
+     */
+    function planLeaves(root) {
+        return walkPlan(root).map(entry => entry.node).filter(node => !node.children);
+    }
+
+    /**
+     * Address counts of the plan.
+     * @param {object} root
+     * @returns {{blocks: number, used: number, free: number}}  used / free in addresses
+     */
+    function summarizePlan(root) {
+        const leaves = planLeaves(root);
+        const used   = leaves.filter(n => n.used).reduce((sum, n) => sum + Math.pow(2, 32 - n.cidr), 0);
+        return { blocks: leaves.length, used, free: Math.pow(2, 32 - root.cidr) - used };
+    }
+
+    /**
+     * The plan as a CIDR list, one block per line: "cidr<TAB>used|free<TAB>label".
+     * @param {object} root
+     * @returns {string}
+     */
+    function exportPlan(root) {
+        return planLeaves(root)
+            .map(n => [n.key, n.used ? 'used' : 'free', n.label].join('\t').replace(/\t$/, ''))
+            .join('\n') + '\n';
+    }
+
+    return {
+        InvalidPlanError,
+        createPlan,
+        findNode,
+        splitNode,
+        mergeNode,
+        updateNode,
+        describeNode,
+        walkPlan,
+        planLeaves,
+        summarizePlan,
+        exportPlan,
+    };
+});
@@ -0,0 +1,288 @@
+// ============================================================================
+// SUBNETTING QUIZ
+// ----------------------------------------------------------------------------
+// Generates subnetting exercises and grades the answers against
+// performNetworkCalculations(). Problem sets come from a seeded generator,
+// so the same seed and level always give the same exercise.
+// Browser: `IPCalc.quiz`; Node: `require('./lib/quiz')`.
+// ============================================================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./ipcalc.js'));
+    } else {
+        root.IPCalc.quiz = factory(root.IPCalc);
+    }
+})(typeof self !== 'undefined' ? self : this, function (IPCalc) {
+    'use strict';
+
+    const {
+        IPCalcError,
+        parseAddressNotation,
+        parseMask,
+        cidrToMask,
+        convertToBytes,
+        bytesToDotted,
+        bytesToInt,
+        intToBytes,
+        intToIp,
+        cidrToInt,
+        getDefaultCidr,
+        performNetworkCalculations,
+    } = IPCalc;
+
+    // Difficulty levels
+    const QUIZ_LEVELS = {
+        classful  : 'Classful: class A / B / C default masks',
+        classless : 'Classless: any prefix from /8 to /30',
+        vlsm      : 'VLSM: size a subnet for N hosts inside a parent',
+    };
+
+    // Largest problem set generateQuiz() makes
+    const QUIZ_MAX_QUESTIONS = 50;
+
+    // Fields a problem can ask for. `kind` says how an answer is read;
+    // `key` is also the topic the answer counts toward.
+    const QUIZ_FIELDS = {
+        prefix       : { label: 'Mask / Prefix', kind: 'prefix',  read: c => c.cidr },
+        network      : { label: 'Network',       kind: 'address', read: c => c.networkAddress },
+        broadcast    : { label: 'Broadcast',     kind: 'address', read: c => c.broadcastAddress },
+        firstUsable  : { label: 'First Usable',  kind: 'address', read: c => c.firstUsable },
+        lastUsable   : { label: 'Last Usable',   kind: 'address', read: c => c.lastUsable },
+        hosts        : { label: 'Usable Hosts',  kind: 'number',  read: c => c.availableHosts },
+        subnetNumber : { label: 'Subnet Number', kind: 'number',  read: c => c.subnetNumber },
+    };
+
+    // ========================================================================
+    // ERRORS
+    // ========================================================================
+
+    /** Unknown level or a question count out of range. */
+    class InvalidQuizError extends IPCalcError {
+        constructor(message = 'Invalid quiz settings!') {
+            super(message, 'INVALID_QUIZ');
+        }
+    }
+
+    // ========================================================================
+    // RANDOM NUMBERS
+    // ========================================================================
+
+    /**
+     * Hashes a seed text to a 32-bit number (FNV-1a).
+     * @param {string} text
+     * @returns {number}
+     */
+    function seedToInt(text) {
+        let hash = 0x811C9DC5;
+        for (const ch of String(text)) {
+            hash ^= ch.codePointAt(0);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash;
+    }
+
+    /**
+     * Seeded generator (mulberry32).
+     * @param {string} seed
+     * @returns {function(): number}  returns floats in [0, 1)
+     */
+    function createRandom(seed) {
+        let state = seedToInt(seed);
+        return function () {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * @param {function} random
+     * @param {number}   min
+     * @param {number}   max  - inclusive
+     * @returns {number}
+     */
+    function randomInt(random, min, max) {
+        return min + Math.floor(random() * (max - min + 1));
+    }
+
+    /**
+     * A random class A, B or C address (127.x excluded).
+     * @param {function} random
+     * @returns {number[]}
+     */
+    function randomUnicastBytes(random) {
+        const ranges = [[1, 126], [128, 191], [192, 223]];
+        const [min, max] = ranges[randomInt(random, 0, 2)];
+        return [randomInt(random, min, max), randomInt(random, 0, 255),
+                randomInt(random, 0, 255), randomInt(random, 0, 255)];
+    }
+
+    // ========================================================================
+    // PROBLEMS
+    // ========================================================================
+
+    /**
+     * Builds a problem from its address and prefixes.
+     * @param {number}   number         - 1-based position in the set
+     * @param {string}   level
+     * @param {number[]} ipBytes
+     * @param {number}   cidr
+     * @param {number}   parentCidr
+     * @param {string[]} fields         - QUIZ_FIELDS keys asked
+     * @param {number}   [hostsRequired]
+     * @returns {object}  problem
+     */
+    function makeProblem(number, level, ipBytes, cidr, parentCidr, fields, hostsRequired) {
+        const subnetMask = cidrToMask(cidr);
+        return {
+            number,
+            level,
+            ipAddress     : bytesToDotted(ipBytes),
+            cidr,
+            parentCidr,
+            hostsRequired : hostsRequired === undefined ? null : hostsRequired,
+            fields,
+            calc          : {
+                ipAddress : bytesToDotted(ipBytes),
+                subnetMask,
+                ...performNetworkCalculations(ipBytes, convertToBytes(subnetMask), parentCidr),
+            },
+        };
+    }
+
+    /**
+     * One problem of the given level.
+     * @param {function} random
+     * @param {string}   level   - QUIZ_LEVELS key
+     * @param {number}   number
+     * @returns {object}  problem
+     */
+    function generateProblem(random, level, number) {
+        const ipBytes     = randomUnicastBytes(random);
+        const defaultCidr = getDefaultCidr(ipBytes[0]);
+        const ranges      = ['network', 'broadcast', 'firstUsable', 'lastUsable'];
+
+        if (level === 'classful') {
+            return makeProblem(number, level, ipBytes, defaultCidr, defaultCidr,
+                               ['prefix', ...ranges, 'hosts']);
+        }
+
+        if (level === 'classless') {
+            const cidr = randomInt(random, 8, 30);
+            return makeProblem(number, level, ipBytes, cidr, defaultCidr,
+                               [...ranges, 'hosts', ...(cidr > defaultCidr ? ['subnetNumber'] : [])]);
+        }
+
+        // VLSM: pick the answer prefix first, then a host count only it fits
+        const parentCidr = randomInt(random, 16, 24);
+        const cidr       = randomInt(random, parentCidr + 1, 30);
+        const hosts      = randomInt(random, Math.pow(2, 31 - cidr) - 1, Math.pow(2, 32 - cidr) - 2);
+        // Keep the address inside the parent network, which the problem names
+        const parentInt  = (bytesToInt(ipBytes) & cidrToInt(parentCidr)) >>> 0;
+        const hostOffset = randomInt(random, 0, Math.pow(2, 32 - parentCidr) - 1);
+        return makeProblem(number, level, intToBytes(parentInt + hostOffset), cidr, parentCidr,
+                           ['prefix', ...ranges, 'subnetNumber'], hosts);
+    }
+
+    /**
+     * A reproducible problem set.
+     * @param {string}        seed
+     * @param {string}        level  - QUIZ_LEVELS key
+     * @param {number|string} count  - 1 to QUIZ_MAX_QUESTIONS
+     * @returns {{seed: string, level: string, problems: object[]}}
+     * @throws {InvalidQuizError}
+     */
+    function generateQuiz(seed, level, count) {
+        if (!Object.prototype.hasOwnProperty.call(QUIZ_LEVELS, level)) {
+            throw new InvalidQuizError(`Unknown quiz level "${level}"!`);
+        }
+        const total = Number(String(count).trim());
+        if (!Number.isInteger(total) || total < 1 || total > QUIZ_MAX_QUESTIONS) {
+            throw new InvalidQuizError(`The number of questions must be between 1 and ${QUIZ_MAX_QUESTIONS}!`);
+        }
+        const random   = createRandom(`${level}:${seed}`);
+        const problems = [];
+        for (let i = 1; i <= total; i++) problems.push(generateProblem(random, level, i));
+        return { seed: String(seed), level, problems };
+    }
+
+    /**
+     * The question as text.
+     * @param {object} p  - problem
+     * @returns {string}
+     */
+    function describeProblem(p) {
+        if (p.level === 'classful') {
+            return `${p.ipAddress} with its classful default mask`;
+        }
+        if (p.level === 'classless') {
+            return `${p.ipAddress}/${p.cidr} (subnets counted in the classful /${p.parentCidr})`;
+        }
+        const parent = intToIp((bytesToInt(p.calc.ipBytes) & cidrToInt(p.parentCidr)) >>> 0);
+        return `${parent}/${p.parentCidr} is cut into equal subnets of at least ${p.hostsRequired} usable hosts each: ` +
+               `the subnet holding ${p.ipAddress}`;
+    }
+
+    // ========================================================================
+    // GRADING
+    // ========================================================================
+
+    /**
+     * Reads an answer the way the field is asked. Unreadable input gives
+     * null, which is graded wrong rather than reported as an error.
+     * @param {string} kind   - QUIZ_FIELDS kind
+     * @param {string} text
+     * @returns {string|number|null}
+     */
+    function readAnswer(kind, text) {
+        const value = String(text).trim();
+        if (value === '') return null;
+        try {
+            if (kind === 'address') return bytesToDotted(parseAddressNotation(value).bytes);
+            if (kind === 'prefix')  return parseMask(value).cidr;
+        } catch (err) {
+            if (!(err instanceof IPCalcError)) throw err;
+            return null;
+        }
+        const digits = value.replace(/[,_\s]/g, '');
+        return /^\d+$/.test(digits) ? Number(digits) : null;
+    }
+
+    /**
+     * Grades the answers to one problem.
+     * @param {object} p        - problem
+     * @param {Object<string, string>} answers  - field key → typed answer
+     * @returns {{results: {key: string, label: string, expected: string, given: string, correct: boolean}[],
+     *            correct: number, total: number}}
+     */
+    function gradeProblem(p, answers) {
+        const results = p.fields.map(key => {
+            const field    = QUIZ_FIELDS[key];
+            const expected = field.read(p.calc);
+            const given    = String(answers[key] === undefined ? '' : answers[key]).trim();
+            return {
+                key,
+                label    : field.label,
+                expected : field.kind === 'prefix' ? `/${expected} (${cidrToMask(expected)})` : String(expected),
+                given,
+                correct  : readAnswer(field.kind, given) === expected,
+            };
+        });
+        const correct = results.filter(r => r.correct).length;
+        return { results, correct, total: results.length };
+    }
+
+    return {
+        InvalidQuizError,
+        QUIZ_LEVELS,
+        QUIZ_MAX_QUESTIONS,
+        QUIZ_FIELDS,
+        createRandom,
+        generateQuiz,
+        describeProblem,
+        gradeProblem,
+    };
+});
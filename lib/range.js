@@ -0,0 +1,95 @@
+// ============================================================================
+// RANGE CONVERSION
+// ----------------------------------------------------------------------------
+// Address range → minimal CIDR list, and CIDR list → merged address ranges.
+// Browser: `IPCalc.range`; Node: `require('./lib/range')`.
+// ============================================================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./ipcalc.js'), require('./summarize.js'));
+    } else {
+        root.IPCalc.range = factory(root.IPCalc, root.IPCalc.summarize);
+    }
+})(typeof self !== 'undefined' ? self : this, function (IPCalc, summarize) {
+    'use strict';
+
+    const {
+        IPCalcError,
+        EmptyInputError,
+        parseAddress,
+        bytesToInt,
+        intToIp,
+        rangeToCidrs,
+    } = IPCalc;
+    const { parseNetworkList, mergeRanges } = summarize;
+
+    // ========================================================================
+    // ERRORS
+    // ========================================================================
+
+    /** The start of a range is after its end. */
+    class InvalidRangeError extends IPCalcError {
+        constructor(message = 'Range start must not be after range end!') {
+            super(message, 'INVALID_RANGE');
+        }
+    }
+
+    // ========================================================================
+    // CONVERSIONS
+    // ========================================================================
+
+    /**
+     * Minimal list of CIDR blocks covering exactly start..end.
+     * @param {string} start  - first address, dotted decimal
+     * @param {string} end    - last address, inclusive
+     * @returns {{start: string, end: string, startInt: number, endInt: number,
+     *            size: number, blocks: object[]}}
+     *          `blocks` are rangeToCidrs() results
+     * @throws {IPCalcError}
+     */
+    function rangeToCidrList(start, end) {
+        if (String(start).trim() === '' || String(end).trim() === '') throw new EmptyInputError();
+
+        const startInt = bytesToInt(parseAddress(start));
+        const endInt   = bytesToInt(parseAddress(end));
+        if (startInt > endInt) throw new InvalidRangeError();
+
+        return {
+            start  : intToIp(startInt),
+            end    : intToIp(endInt),
+            startInt,
+            endInt,
+            size   : endInt - startInt + 1,
+            blocks : rangeToCidrs(startInt, endInt),
+        };
+    }
+
+    /**
+     * Merges a pasted CIDR list into contiguous address ranges.
+     * Bare addresses count as /32.
+     * @param {string} text  - one network per line (see parseNetworkList)
+     * @returns {{inputs: object[], ranges: object[], size: number}}
+     * @throws {IPCalcError}
+     */
+    function cidrsToRanges(text) {
+        const inputs = parseNetworkList(text, 32);
+        const ranges = mergeRanges(inputs).map(r => ({
+            start : intToIp(r.startInt),
+            end   : intToIp(r.endInt),
+            size  : r.endInt - r.startInt + 1,
+            ...r,
+        }));
+        return {
+            inputs,
+            ranges,
+            size: ranges.reduce((sum, r) => sum + r.size, 0),
+        };
+    }
+
+    return {
+        InvalidRangeError,
+        rangeToCidrList,
+        cidrsToRanges,
+    };
+});
@@ -0,0 +1,216 @@
+// ============================================================================
+// REVERSE DNS
+// ----------------------------------------------------------------------------
+// in-addr.arpa zones and PTR names for a calculate() result. Networks longer
+// than /24 do not fill a zone of their own; for them the RFC 2317 records are
+// generated: NS and CNAME records for the parent /24 zone and a child zone
+// skeleton in BIND format.
+// Browser: `IPCalc.rdns`; Node: `require('./lib/rdns')`.
+// ============================================================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./ipcalc.js'));
+    } else {
+        root.IPCalc.rdns = factory(root.IPCalc);
+    }
+})(typeof self !== 'undefined' ? self : this, function (IPCalc) {
+    'use strict';
+
+    const {
+        IPCalcError,
+        convertToBytes,
+        listSubnets,
+    } = IPCalc;
+
+    // Used when no name servers or PTR domain are given
+    const RDNS_DEFAULTS = {
+        nameservers : ['ns1.example.com.', 'ns2.example.com.'],
+        domain      : 'example.com.',
+    };
+
+    // Default TTL and SOA timers of the child zone skeleton, in seconds
+    const RDNS_SOA = {
+        ttl      : 3600,
+        refresh  : 3600,
+        retry    : 900,
+        expire   : 1209600,
+        negative : 3600,
+    };
+
+    // ========================================================================
+    // ERRORS
+    // ========================================================================
+
+    /** A name server or domain that is not a DNS name. */
+    class InvalidDnsNameError extends IPCalcError {
+        constructor(message = 'Invalid DNS name!') {
+            super(message, 'INVALID_DNS_NAME');
+        }
+    }
+
+    // ========================================================================
+    // NAMES
+    // ========================================================================
+
+    /**
+     * Reverse zone name of the first `octets` bytes of an address.
+     * @param {number[]} bytes
+     * @param {number}   octets  - 1 to 3
+     * @returns {string}  "2.0.192.in-addr.arpa."
+     */
+    function zoneName(bytes, octets) {
+        return bytes.slice(0, octets).reverse().join('.') + '.in-addr.arpa.';
+    }
+
+    /**
+     * PTR owner name of an address.
+     * @param {number[]} bytes
+     * @returns {string}  "77.2.0.192.in-addr.arpa."
+     */
+    function ptrName(bytes) {
+        return [...bytes].reverse().join('.') + '.in-addr.arpa.';
+    }
+
+    /**
+     * Checks and fully qualifies a DNS name.
+     * @param {string} name
+     * @returns {string}  lower case, with the trailing dot
+     * @throws {InvalidDnsNameError}
+     */
+    function normalizeDnsName(name) {
+        const value = String(name).trim().toLowerCase().replace(/\.$/, '');
+        const label = /^(?!-)[a-z0-9-]{1,63}(?<!-)$/;
+        if (value === '' || value.length > 253 || !value.split('.').every(l => label.test(l))) {
+            throw new InvalidDnsNameError(`${String(name).trim() || '(blank)'} is not a valid DNS name!`);
+        }
+        return value + '.';
+    }
+
+    /**
+     * Reads the name server list and PTR domain, falling back to the
+     * RDNS_DEFAULTS placeholders when blank.
+     * @param {{nameservers?: string, domain?: string}} options  - servers comma- or space-separated
+     * @returns {{nameservers: string[], domain: string}}
+     * @throws {InvalidDnsNameError}
+     */
+    function readDnsOptions(options) {
+        const servers = String(options.nameservers || '').split(/[\s,]+/).filter(Boolean);
+        const domain  = String(options.domain || '').trim();
+        return {
+            nameservers : servers.length ? servers.map(normalizeDnsName) : RDNS_DEFAULTS.nameservers,
+            domain      : domain ? normalizeDnsName(domain) : RDNS_DEFAULTS.domain,
+        };
+    }
+
+    // ========================================================================
+    // ZONES
+    // ========================================================================
+
+    /**
+     * The in-addr.arpa zones a network covers. Zones are cut on octet
+     * boundaries, so a /22 covers four /24 zones and a /12 sixteen /16
+     * zones. A network longer than /24 lies inside one /24 zone.
+     * @param {object} c  - calculate() result
+     * @returns {{zoneCidr: number, zones: {name: string, network: string}[]}}
+     */
+    function reverseZones(c) {
+        const zoneCidr = Math.min(Math.max(Math.ceil(c.cidr / 8) * 8, 8), 24);
+        const zones = listSubnets(c.networkBytes, zoneCidr, { parentCidr: Math.min(c.cidr, zoneCidr) })
+            .map(row => ({
+                name    : zoneName(convertToBytes(row.network), zoneCidr / 8),
+                network : `${row.network}/${zoneCidr}`,
+            }));
+        return { zoneCidr, zones };
+    }
+
+    /**
+     * RFC 2317 delegation of a network longer than /24: the NS and CNAME
+     * records for the parent /24 zone and a BIND skeleton of the child
+     * zone. The child zone is named "<first>/<prefix>.<parent zone>", the
+     * form used in RFC 2317 itself.
+     * @param {object} c  - calculate() result, /25 to /32
+     * @param {{nameservers: string[], domain: string}} dns  - readDnsOptions() result
+     * @returns {{parentZone: string, childZone: string, parentRecords: string,
+     *            childZoneFile: string}}
+     */
+    function classlessDelegation(c, dns) {
+        const first      = c.networkBytes[3];
+        const last       = c.broadcastBytes[3];
+        const parentZone = zoneName(c.networkBytes, 3);
+        const childLabel = `${first}/${c.cidr}`;
+        const childZone  = `${childLabel}.${parentZone}`;
+        const pad        = text => text.padEnd(8);
+
+        const parentRecords = [
+            `; in ${parentZone}`,
+            `; delegation of ${c.networkAddress}/${c.cidr} (RFC 2317)`,
+            ...dns.nameservers.map(ns => `${pad(childLabel)} IN NS    ${ns}`),
+            '',
+        ];
+        for (let host = first; host <= last; host++) {
+            parentRecords.push(`${pad(String(host))} IN CNAME ${host}.${childLabel}`);
+        }
+
+        // PTRs for the usable hosts; a /31 or /32 has no network / broadcast to skip
+        const hostFirst = c.cidr >= 31 ? first : first + 1;
+        const hostLast  = c.cidr >= 31 ? last : last - 1;
+        const prefix    = c.networkBytes.slice(0, 3).join('-');
+        const childZoneFile = [
+            `$ORIGIN ${childZone}`,
+            `$TTL ${RDNS_SOA.ttl}`,
+            `@        IN SOA   ${dns.nameservers[0]} hostmaster.${dns.domain} (`,
+            '                  1          ; serial',
+            `                  ${String(RDNS_SOA.refresh).padEnd(10)} ; refresh`,
+            `                  ${String(RDNS_SOA.retry).padEnd(10)} ; retry`,
+            `                  ${String(RDNS_SOA.expire).padEnd(10)} ; expire`,
+            `                  ${String(RDNS_SOA.negative).padEnd(10)} ; negative TTL`,
+            '                  )',
+            ...dns.nameservers.map(ns => `@        IN NS    ${ns}`),
+            '',
+        ];
+        for (let host = hostFirst; host <= hostLast; host++) {
+            childZoneFile.push(`${pad(String(host))} IN PTR   host-${prefix}-${host}.${dns.domain}`);
+        }
+
+        return {
+            parentZone,
+            childZone,
+            parentRecords : parentRecords.join('\n'),
+            childZoneFile : childZoneFile.join('\n'),
+        };
+    }
+
+    /**
+     * Reverse DNS view of a result.
+     * @param {object} c  - calculate() result
+     * @param {{nameservers?: string, domain?: string}} [options]
+     * @returns {{ptrName: string, delegatedPtrName: string|null, zoneCidr: number,
+     *            zones: object[], delegation: object|null}}
+     *          `delegatedPtrName` is the CNAME target of the entered IP and
+     *          `delegation` the classlessDelegation() result, for /25 and longer
+     * @throws {InvalidDnsNameError}
+     */
+    function reverseDns(c, options = {}) {
+        const dns        = readDnsOptions(options);
+        const { zoneCidr, zones } = reverseZones(c);
+        const delegation = c.cidr > 24 ? classlessDelegation(c, dns) : null;
+        return {
+            ptrName          : ptrName(c.ipBytes),
+            delegatedPtrName : delegation ? `${c.ipBytes[3]}.${delegation.childZone}` : null,
+            zoneCidr,
+            zones,
+            delegation,
+        };
+    }
+
+    return {
+        InvalidDnsNameError,
+        RDNS_DEFAULTS,
+        zoneName,
+        ptrName,
+        reverseZones,
+        classlessDelegation,
+        reverseDns,
+    };
+});
@@ -0,0 +1,228 @@
+// ============================================================================
+// REVERSE SOLVER
+// ----------------------------------------------------------------------------
+// Picks the mask from a requirement instead of taking it as input: the
+// tightest prefix with at least N usable hosts, or the prefix that splits the
+// parent network into at least N subnets. Also lists the neighbouring
+// prefixes so the trade-off is visible.
+// Browser: `IPCalc.solve`; Node: `require('./lib/solve')`.
+// ============================================================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./ipcalc.js'), require('./vlsm.js'));
+    } else {
+        root.IPCalc.solve = factory(root.IPCalc, root.IPCalc.vlsm);
+    }
+})(typeof self !== 'undefined' ? self : this, function (IPCalc, vlsm) {
+    'use strict';
+
+    const {
+        EmptyInputError,
+        parseAddressNotation,
+        parseMask,
+        convertToBytes,
+        cidrToMask,
+        getDefaultCidr,
+        calculateAvailableHosts,
+        calculateTotalSubnets,
+        performNetworkCalculations,
+    } = IPCalc;
+    const { InvalidRequirementError, prefixForHosts } = vlsm;
+
+    // Neighbouring prefixes shown on each side of the chosen one
+    const NEIGHBOURS = 2;
+
+    // ========================================================================
+    // PARSING
+    // ========================================================================
+
+    /**
+     * Parses a requested count.
+     * @param {string} text
+     * @param {string} what  - "host" or "subnet", for messages
+     * @param {number} min   - smallest accepted value
+     * @returns {number}
+     * @throws {InvalidRequirementError}
+     */
+    function parseCount(text, what, min) {
+        const value = String(text).trim().replace(/[,_\s]/g, '');
+        if (!/^\d+$/.test(value) || Number(value) < min) {
+            throw new InvalidRequirementError(`The ${what} count must be a whole number of at least ${min}!`);
+        }
+        return Number(value);
+    }
+
+    /**
+     * A count with its noun, singular for 1: "1 subnet", "4 subnets".
+     * @param {number} n
+     * @param {string} noun  - singular
+     * @returns {string}
+     */
+    function plural(n, noun) {
+        return `${n} ${noun}${n === 1 ? '' : 's'}`;
+    }
+
+    // ========================================================================
+    // SOLVING
+    // ========================================================================
+
+    /**
+     * Tightest prefix with at least `hosts` usable hosts. 0 hosts means a
+     * single address (/32 host route); 1-2 hosts take a /31 only when
+     * point-to-point links are allowed, like the VLSM planner.
+     * @param {number}  hosts
+     * @param {boolean} pointToPoint
+     * @returns {number}
+     * @throws {InvalidRequirementError}  more hosts than a /0 holds
+     */
+    function solveForHosts(hosts, pointToPoint) {
+        if (hosts === 0) return 32;
+        const cidr = prefixForHosts(hosts, pointToPoint);
+        if (cidr === null) {
+            throw new InvalidRequirementError(`${hosts} hosts do not fit in any IPv4 network!`);
+        }
+        return cidr;
+    }
+
+    /**
+     * Prefix that splits the parent into at least `subnets` subnets.
+     * @param {number} subnets
+     * @param {number} parentCidr
+     * @returns {number}
+     * @throws {InvalidRequirementError}  more subnets than the parent holds
+     */
+    function solveForSubnets(subnets, parentCidr) {
+        const bits = Math.ceil(Math.log2(subnets));
+        if (parentCidr + bits > 32) {
+            throw new InvalidRequirementError(
+                `A /${parentCidr} holds at most ${calculateTotalSubnets(32, parentCidr)} subnets, not ${subnets}!`);
+        }
+        return parentCidr + bits;
+    }
+
+    /**
+     * The chosen prefix and its neighbours with their host and subnet counts.
+     * @param {number}   cidr        - chosen prefix
+     * @param {number}   parentCidr
+     * @param {function} fits        - (cidr) => boolean, meets the requirement
+     * @returns {{cidr: number, mask: string, availableHosts: number,
+     *            totalSubnets: number, fits: boolean, chosen: boolean}[]}
+     */
+    function listNeighbours(cidr, parentCidr, fits) {
+        const rows = [];
+        for (let p = Math.max(0, cidr - NEIGHBOURS); p <= Math.min(32, cidr + NEIGHBOURS); p++) {
+            rows.push({
+                cidr           : p,
+                mask           : cidrToMask(p),
+                availableHosts : calculateAvailableHosts(p),
+                totalSubnets   : p >= parentCidr ? calculateTotalSubnets(p, parentCidr) : 0,
+                fits           : fits(p),
+                chosen         : p === cidr,
+            });
+        }
+        return rows;
+    }
+
+    /**
+     * Notes on the /31 and /32 special cases of a prefix.
+     * @param {number} cidr
+     * @returns {string[]}
+     */
+    function specialPrefixNotes(cidr) {
+        if (cidr === 32) return ['A /32 is a single address (host route, loopback); it has no network, broadcast or host range.'];
+        if (cidr === 31) return ['A /31 has no network or broadcast address: both addresses are usable, but only on point-to-point links (RFC 3021).'];
+        return [];
+    }
+
+    /**
+     * Solves for the mask and runs the normal calculation on the result.
+     * Fill in exactly one of `hosts` and `subnets`.
+     * @param {string} ip              - any notation parseAddressNotation() takes
+     * @param {object} request
+     * @param {string} [request.hosts]    - minimum usable hosts
+     * @param {string} [request.subnets]  - number of subnets of the parent
+     * @param {string} [request.parent]   - parent prefix; empty = classful
+     * @param {boolean} [request.pointToPoint]  - allow /31 for 1-2 hosts
+     * @returns {{by: string, requested: number, cidr: number, parentCidr: number,
+     *            calc: object, neighbours: object[], notes: string[]}}
+     *          `calc` is a calculate()-style result for the chosen prefix
+     * @throws {IPCalcError}
+     */
+    function solve(ip, request) {
+        const hostsText   = String(request.hosts || '').trim();
+        const subnetsText = String(request.subnets || '').trim();
+        const parentText  = String(request.parent || '').trim();
+        if (String(ip).trim() === '' || (hostsText === '' && subnetsText === '')) {
+            throw new EmptyInputError('Please enter an IP address and a host or subnet count!');
+        }
+        if (hostsText !== '' && subnetsText !== '') {
+            throw new InvalidRequirementError('Give either a host count or a subnet count, not both!');
+        }
+
+        const address = parseAddressNotation(ip);
+        let parentCidr = parentText === '' ? getDefaultCidr(address.bytes[0]) : parseMask(parentText).cidr;
+        const notes = [];
+        let by, requested, cidr, fits;
+
+        if (hostsText !== '') {
+            by        = 'hosts';
+            requested = parseCount(hostsText, 'host', 0);
+            cidr      = solveForHosts(requested, Boolean(request.pointToPoint));
+            fits      = p => requested === 0 ? true
+                           : calculateAvailableHosts(p) >= requested && (p < 31 || (p === 31 && request.pointToPoint));
+
+            const hosts = calculateAvailableHosts(cidr);
+            notes.push(requested === 0
+                ? '/32 is the tightest prefix: one address, no host range.'
+                : `/${cidr} is the tightest prefix: ${plural(hosts, 'usable host')} for ${requested} requested (${hosts - requested} spare).`);
+            if (cidr < 32 && requested > 0 && calculateAvailableHosts(cidr + 1) < requested) {
+                notes.push(`/${cidr + 1} would give only ${plural(calculateAvailableHosts(cidr + 1), 'usable host')}.`);
+            }
+            if (requested > 0 && requested <= 2 && !request.pointToPoint) {
+                notes.push('Allow /31 to use a /31 for a point-to-point link instead of a /30.');
+            }
+            if (cidr < parentCidr) {
+                notes.push(`It is larger than the /${parentCidr} parent, so it is counted in a /${cidr} instead.`);
+                parentCidr = cidr;
+            }
+        } else {
+            by        = 'subnets';
+            requested = parseCount(subnetsText, 'subnet', 1);
+            cidr      = solveForSubnets(requested, parentCidr);
+            fits      = p => p >= parentCidr && calculateTotalSubnets(p, parentCidr) >= requested;
+
+            const total = calculateTotalSubnets(cidr, parentCidr);
+            notes.push(`Splitting the /${parentCidr} into ${plural(requested, 'subnet')} takes ${plural(cidr - parentCidr, 'subnet bit')}: ` +
+                       `/${cidr} gives ${plural(total, 'subnet')} (${total - requested} spare) of ${plural(calculateAvailableHosts(cidr), 'usable host')} each.`);
+            if (cidr > parentCidr && !fits(cidr - 1)) {
+                notes.push(`/${cidr - 1} would give only ${plural(calculateTotalSubnets(cidr - 1, parentCidr), 'subnet')}.`);
+            }
+        }
+        notes.push(...specialPrefixNotes(cidr));
+
+        const subnetMask = cidrToMask(cidr);
+        const calc = {
+            ipAddress : address.bytes.join('.'),
+            subnetMask,
+            notation  : { ip: address.notation, mask: `prefix for ${plural(requested, by.slice(0, -1))}`, inline: false },
+            ...performNetworkCalculations(address.bytes, convertToBytes(subnetMask), parentCidr),
+        };
+
+        return {
+            by,
+            requested,
+            cidr,
+            parentCidr,
+            calc,
+            neighbours : listNeighbours(cidr, parentCidr, fits),
+            notes,
+        };
+    }
+
+    return {
+        solveForHosts,
+        solveForSubnets,
+        solve,
+    };
+});
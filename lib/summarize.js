@@ -0,0 +1,153 @@
+// ============================================================================
+// ROUTE SUMMARIZATION
+// ----------------------------------------------------------------------------
+// Collapses a list of networks into the minimal exact set of covering
+// prefixes, and finds the single shortest supernet that covers them all.
+// Browser: `IPCalc.summarize`; Node: `require('./lib/summarize')`.
+// ============================================================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./ipcalc.js'));
+    } else {
+        root.IPCalc.summarize = factory(root.IPCalc);
+    }
+})(typeof self !== 'undefined' ? self : this, function (IPCalc) {
+    'use strict';
+
+    const {
+        IPCalcError,
+        EmptyInputError,
+        parseNetwork,
+        intToIp,
+        cidrToInt,
+        rangeToCidrs,
+    } = IPCalc;
+
+    // ========================================================================
+    // PARSING
+    // ========================================================================
+
+    /**
+     * Parses one network per line (commas also separate entries), each in
+     * IP/prefix, IP/mask or "IP mask" form. Blank lines and '#' comments are
+     * skipped.
+     * @param {string} text
+     * @param {number} [defaultCidr]  - prefix for entries without a mask
+     *                                  (e.g. 32 to accept bare addresses)
+     * @returns {object[]}  parseNetwork() results, plus `line` (1-based) and
+     *                      `hostBitsSet` when the address was not the network
+     * @throws {IPCalcError}  the original error class, message prefixed with
+     *                        the line number
+     */
+    function parseNetworkList(text, defaultCidr) {
+        const entries = [];
+        String(text).split(/\r?\n/).forEach((raw, i) => {
+            const line = raw.replace(/#.*/, '');
+            for (const item of line.split(',')) {
+                if (item.trim() === '') continue;
+                let net;
+                try {
+                    net = parseNetwork(item, defaultCidr);
+                } catch (err) {
+                    if (!(err instanceof IPCalcError)) throw err;
+                    throw new err.constructor(`Line ${i + 1}: ${err.message}`);
+                }
+                entries.push({ ...net, line: i + 1, hostBitsSet: net.ipInt !== net.networkInt });
+            }
+        });
+        if (entries.length === 0) throw new EmptyInputError('Please enter at least one network!');
+        return entries;
+    }
+
+    // ========================================================================
+    // AGGREGATION
+    // ========================================================================
+
+    /**
+     * Merges overlapping and adjacent networks into contiguous ranges.
+     * @param {{networkInt: number, broadcastInt: number}[]} networks
+     * @returns {{startInt: number, endInt: number}[]}  sorted, disjoint
+     */
+    function mergeRanges(networks) {
+        const sorted = networks
+            .map(n => ({ startInt: n.networkInt, endInt: n.broadcastInt }))
+            .sort((a, b) => a.startInt - b.startInt || b.endInt - a.endInt);
+
+        const merged = [];
+        for (const range of sorted) {
+            const last = merged[merged.length - 1];
+            if (last && range.startInt <= last.endInt + 1) {
+                last.endInt = Math.max(last.endInt, range.endInt);
+            } else {
+                merged.push({ ...range });
+            }
+        }
+        return merged;
+    }
+
+    /**
+     * Smallest exact set of prefixes covering the same addresses.
+     * @param {{networkInt: number, broadcastInt: number}[]} networks
+     * @returns {object[]}  rangeToCidrs() blocks, lowest first
+     */
+    function aggregate(networks) {
+        return mergeRanges(networks).flatMap(r => rangeToCidrs(r.startInt, r.endInt));
+    }
+
+    /**
+     * Single shortest prefix that covers every network.
+     * @param {{networkInt: number, broadcastInt: number}[]} networks
+     * @returns {{network: string, broadcast: string, cidr: number,
+     *            networkInt: number, broadcastInt: number, size: number,
+     *            coveredAddresses: number, extraAddresses: number}}
+     *          `extraAddresses` are inside the supernet but in no input network
+     */
+    function supernet(networks) {
+        const ranges = mergeRanges(networks);
+        const low    = ranges[0].startInt;
+        const high   = ranges[ranges.length - 1].endInt;
+
+        // Longest prefix shared by the lowest and highest address
+        const diff = (low ^ high) >>> 0;
+        const cidr = diff === 0 ? 32 : Math.clz32(diff);
+
+        const networkInt = (low & cidrToInt(cidr)) >>> 0;
+        const size       = Math.pow(2, 32 - cidr);
+        const covered    = ranges.reduce((sum, r) => sum + r.endInt - r.startInt + 1, 0);
+
+        return {
+            network          : intToIp(networkInt),
+            broadcast        : intToIp(networkInt + size - 1),
+            cidr,
+            networkInt,
+            broadcastInt     : networkInt + size - 1,
+            size,
+            coveredAddresses : covered,
+            extraAddresses   : size - covered,
+        };
+    }
+
+    /**
+     * Parses and summarizes a pasted list in one go.
+     * @param {string} text
+     * @returns {{inputs: object[], aggregates: object[], supernet: object}}
+     * @throws {IPCalcError}
+     */
+    function summarize(text) {
+        const inputs = parseNetworkList(text);
+        return {
+            inputs,
+            aggregates : aggregate(inputs),
+            supernet   : supernet(inputs),
+        };
+    }
+
+    return {
+        parseNetworkList,
+        mergeRanges,
+        aggregate,
+        supernet,
+        summarize,
+    };
+});
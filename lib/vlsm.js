@@ -0,0 +1,183 @@
+// ============================================================================
+// VLSM PLANNER
+// ----------------------------------------------------------------------------
+// Cuts a parent network into the smallest aligned subnets that fit a list of
+// named host requirements, largest first.
+// Browser: `IPCalc.vlsm`; Node: `require('./lib/vlsm')`.
+// ============================================================================
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./ipcalc.js'));
+    } else {
+        root.IPCalc.vlsm = factory(root.IPCalc);
+    }
+})(typeof self !== 'undefined' ? self : this, function (IPCalc) {
+    'use strict';
+
+    const {
+        IPCalcError,
+        EmptyInputError,
+        parseNetwork,
+        intToIp,
+        intToBytes,
+        cidrToMask,
+        calculateAvailableHosts,
+        calculateFirstUsableAddress,
+        calculateLastUsableAddress,
+        rangeToCidrs,
+    } = IPCalc;
+
+    // ========================================================================
+    // ERRORS
+    // ========================================================================
+
+    /** A host requirement line is malformed. */
+    class InvalidRequirementError extends IPCalcError {
+        constructor(message) {
+            super(message, 'INVALID_REQUIREMENT');
+        }
+    }
+
+    /** The requirements do not fit in the parent network. */
+    class VlsmNoFitError extends IPCalcError {
+        constructor(message) {
+            super(message, 'VLSM_NO_FIT');
+        }
+    }
+
+    // ========================================================================
+    // PARSING
+    // ========================================================================
+
+    /**
+     * Parses one requirement per line: "LAN A: 500", "LAN A 500" or "500".
+     * Blank lines and lines starting with '#' are ignored.
+     * @param {string} text
+     * @returns {{name: string, hosts: number}[]}
+     * @throws {InvalidRequirementError|EmptyInputError}
+     */
+    function parseRequirements(text) {
+        const requirements = [];
+        String(text).split(/\r?\n/).forEach((raw, i) => {
+            const line = raw.trim();
+            if (line === '' || line.startsWith('#')) return;
+
+            const match = line.match(/^(?:(.*?)\s*(?:[:=,]|\s)\s*)?(\d+)$/);
+            if (!match) {
+                throw new InvalidRequirementError(`Line ${i + 1}: expected "name: hosts", got "${line}"`);
+            }
+            const hosts = parseInt(match[2]);
+            if (hosts < 1) {
+                throw new InvalidRequirementError(`Line ${i + 1}: host count must be at least 1`);
+            }
+            requirements.push({ name: match[1] || `Subnet ${requirements.length + 1}`, hosts });
+        });
+        if (requirements.length === 0) throw new EmptyInputError('Please enter at least one host requirement!');
+        return requirements;
+    }
+
+    // ========================================================================
+    // PLANNING
+    // ========================================================================
+
+    /**
+     * Longest prefix whose usable host count covers `hosts`.
+     * @param {number}  hosts
+     * @param {boolean} pointToPoint  - allow /31 for 1-2 hosts (RFC 3021)
+     * @returns {number|null}  null if not even a /0 is big enough
+     */
+    function prefixForHosts(hosts, pointToPoint) {
+        const longest = pointToPoint ? 31 : 30;
+        for (let cidr = longest; cidr >= 0; cidr--) {
+            if (calculateAvailableHosts(cidr) >= hosts) return cidr;
+        }
+        return null;
+    }
+
+    /**
+     * Allocates one aligned subnet per requirement inside the parent network.
+     * @param {string} parent  - "10.20.0.0/22" or any form parseNetwork() takes
+     * @param {{name: string, hosts: number}[]} requirements
+     * @param {{pointToPoint?: boolean}} [options]
+     * @returns {{parent: object, allocations: object[], free: object[],
+     *            usedAddresses: number, freeAddresses: number}}
+     *          `wasted` on each allocation counts usable addresses left over
+     *          after the requested hosts.
+     * @throws {IPCalcError}
+     */
+    function planVlsm(parent, requirements, options = {}) {
+        const net = parseNetwork(parent);
+        const pointToPoint = Boolean(options.pointToPoint);
+
+        // Largest first; equal sizes keep their input order
+        const ordered = requirements
+            .map((req, index) => ({ ...req, index }))
+            .sort((a, b) => b.hosts - a.hosts || a.index - b.index);
+
+        const allocations = [];
+        let cursor = net.networkInt;
+
+        for (const req of ordered) {
+            const cidr = prefixForHosts(req.hosts, pointToPoint);
+            if (cidr === null) {
+                throw new VlsmNoFitError(`${req.name}: ${req.hosts} hosts is more than any IPv4 network holds`);
+            }
+
+            // Sorted by size, so every block is already aligned on `cursor`
+            const size = Math.pow(2, 32 - cidr);
+            if (cidr < net.cidr || cursor + size - 1 > net.broadcastInt) {
+                const left = net.broadcastInt + 1 - cursor;
+                throw new VlsmNoFitError(
+                    `${req.name} (${req.hosts} hosts → /${cidr}, ${size} addresses) does not fit: ` +
+                    `only ${left} of ${net.size} addresses left in ${intToIp(net.networkInt)}/${net.cidr}`
+                );
+            }
+
+            const networkInt     = cursor;
+            const broadcastInt   = cursor + size - 1;
+            const availableHosts = calculateAvailableHosts(cidr);
+            allocations.push({
+                name         : req.name,
+                hosts        : req.hosts,
+                index        : req.index,
+                cidr,
+                mask         : cidrToMask(cidr),
+                network      : intToIp(networkInt),
+                broadcast    : intToIp(broadcastInt),
+                firstUsable  : calculateFirstUsableAddress(intToBytes(networkInt), cidr),
+                lastUsable   : calculateLastUsableAddress(intToBytes(broadcastInt), cidr),
+                availableHosts,
+                wasted       : availableHosts - req.hosts,
+                size,
+                networkInt,
+                broadcastInt,
+            });
+            cursor += size;
+        }
+
+        const free = cursor <= net.broadcastInt ? rangeToCidrs(cursor, net.broadcastInt) : [];
+        const usedAddresses = cursor - net.networkInt;
+
+        return {
+            parent: {
+                network   : intToIp(net.networkInt),
+                broadcast : intToIp(net.broadcastInt),
+                cidr      : net.cidr,
+                size      : net.size,
+            },
+            allocations,
+            free,
+            usedAddresses,
+            freeAddresses: net.size - usedAddresses,
+        };
+    }
+
+    return {
+        InvalidRequirementError,
+        VlsmNoFitError,
+        parseRequirements,
+        prefixForHosts,
+        planVlsm,
+    };
+});
@@ -1,11 +1,47 @@
+// ============================================================================
+// ENGINE
+// ============================================================================
+
+// All the address math lives in lib/ipcalc.js (loaded before this file).
+const {
+    IPCalcError,
+    calculate,
+    getBitPart,
+    listSubnets,
+    intToBytes,
+    intToIp,
+    bytesToInt,
+    cidrToInt,
+    describeNotation,
+    describeSpecialPurpose,
+} = IPCalc;
+
+const { looksLikeIPv6, calculateIPv6 } = IPCalc.ipv6;
+
 // ============================================================================
 // DOM ELEMENTS
 // ============================================================================
 
 const ipAddressInput = document.getElementById('ipAddress');
 const subnetMaskInput = document.getElementById('subnetMask');
+const parentPrefixInput = document.getElementById('parentPrefix');
 const calculateBtn   = document.getElementById('calculateBtn');
 const resultDiv      = document.getElementById('result');
+const modeTabs       = document.querySelectorAll('.mode-tab');
+const modePanels     = document.querySelectorAll('.mode-panel');
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+const SUBNET_PAGE_SIZE = 16;
+
+// Subnet list paging for the last IPv4 result on screen
+const subnetListState = {
+    calc      : null,
+    page      : 0,
+    zeroBased : false,
+};
 
 // ============================================================================
 // MAIN ENTRY POINT
@@ -13,364 +49,31 @@ const resultDiv      = document.getElementById('result');
 
 /**
  * Called on button click — validates inputs, runs calculations, renders results.
+ * An address containing ':' is calculated as IPv6.
  */
 calculateBtn.addEventListener('click', function () {
-    const ipAddress  = ipAddressInput.value.trim();
-    let   subnetMask = subnetMaskInput.value.trim();
-
-    if (!validateInputsNotEmpty(ipAddress, subnetMask)) return;
-
-    if (!isValidIP(ipAddress)) {
-        showError('⚠️ ERROR: Invalid IP address format!');
+    const isIPv6 = looksLikeIPv6(ipAddressInput.value);
+    let calc;
+    try {
+        calc = isIPv6
+            ? calculateIPv6(ipAddressInput.value, subnetMaskInput.value)
+            : calculate(ipAddressInput.value, subnetMaskInput.value, parentPrefixInput.value);
+    } catch (err) {
+        if (!(err instanceof IPCalcError)) throw err;
+        showError(`⚠️ ERROR: ${err.message}`);
         return;
     }
 
-    subnetMask = convertCidrIfNeeded(subnetMask);
-    if (subnetMask === null) return;
-
-    if (!isValidMask(subnetMask)) {
-        showError('⚠️ ERROR: Invalid subnet mask format!');
+    if (isIPv6) {
+        displayIPv6ResultsInConsole(calc);
+        displayIPv6ResultsOnScreen(calc);
         return;
     }
 
-    const ipBytes   = convertToBytes(ipAddress);
-    const maskBytes = convertToBytes(subnetMask);
-    const calc      = performNetworkCalculations(ipBytes, maskBytes);
-
-    displayResultsInConsole(ipAddress, subnetMask, calc);
-    displayResultsOnScreen(ipAddress, subnetMask, calc);
+    displayResultsInConsole(calc.ipAddress, calc.subnetMask, calc);
+    displayResultsOnScreen(calc.ipAddress, calc.subnetMask, calc);
 });
 
-// ============================================================================
-// INPUT VALIDATION
-// ============================================================================
-
-/**
- * Checks both fields are non-empty.
- * @param {string} ip   - IP address string
- * @param {string} mask - Subnet mask string
- * @returns {boolean}
- */
-function validateInputsNotEmpty(ip, mask) {
-    if (ip === '' || mask === '') {
-        showError('⚠️ ERROR: Please fill in all fields!');
-        return false;
-    }
-    return true;
-}
-
-/**
- * Validates dotted-decimal IP address (4 octets, each 0-255).
- * @param {string} ip
- * @returns {boolean}
- */
-function isValidIP(ip) {
-    const match = ip.match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
-    if (!match) return false;
-    for (let i = 1; i <= 4; i++) {
-        if (parseInt(match[i]) > 255) return false;
-    }
-    return true;
-}
-
-/**
- * Validates a subnet mask: binary must be continuous 1s then continuous 0s.
- * @param {string} mask
- * @returns {boolean}
- */
-function isValidMask(mask) {
-    const match = mask.match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
-    if (!match) return false;
-
-    let bin = '';
-    for (let i = 1; i <= 4; i++) {
-        const oct = parseInt(match[i]);
-        if (oct > 255) return false;
-        bin += oct.toString(2).padStart(8, '0');
-    }
-
-    const firstZero = bin.indexOf('0');
-    return firstZero === -1 || !bin.slice(firstZero).includes('1');
-}
-
-/**
- * If mask starts with '/', converts CIDR to dotted decimal.
- * @param {string} mask
- * @returns {string|null}  null on error
- */
-function convertCidrIfNeeded(mask) {
-    if (!mask.startsWith('/')) return mask;
-    const cidr = parseInt(mask.substring(1));
-    if (isNaN(cidr) || cidr < 0 || cidr > 32) {
-        showError('⚠️ ERROR: Invalid CIDR notation! Use /0 to /32');
-        return null;
-    }
-    return cidrToMask(cidr);
-}
-
-// ============================================================================
-// CONVERSION HELPERS
-// ============================================================================
-
-/**
- * Splits dotted-decimal address into array of integers.
- * @param {string} address
- * @returns {number[]}
- */
-function convertToBytes(address) {
-    return address.split('.').map(Number);
-}
-
-/**
- * Converts CIDR value to dotted-decimal subnet mask.
- * @param {number} cidr  (0-32)
- * @returns {string}
- */
-function cidrToMask(cidr) {
-    const bytes = [];
-    for (let i = 0; i < 4; i++) {
-        if (cidr >= 8) {
-            bytes.push(255);
-            cidr -= 8;
-        } else {
-            let byte = 0;
-            for (let j = 7; j >= 8 - cidr; j--) byte += (1 << j);
-            bytes.push(byte);
-            cidr = 0;
-        }
-    }
-    return bytes.join('.');
-}
-
-/**
- * Converts dotted-decimal subnet mask to CIDR value.
- * @param {string} mask
- * @returns {number}
- */
-function maskToCidr(mask) {
-    let cidr = 0, zeroFound = false;
-    for (const part of mask.split('.')) {
-        const byte = parseInt(part);
-        for (let i = 7; i >= 0; i--) {
-            if ((byte >> i) & 1) {
-                if (zeroFound) return null;
-                cidr++;
-            } else {
-                zeroFound = true;
-            }
-        }
-    }
-    return cidr;
-}
-
-/**
- * Converts a byte array to dotted-decimal string.
- * @param {number[]} bytes
- * @returns {string}
- */
-function bytesToDotted(bytes) {
-    return bytes.join('.');
-}
-
-// ============================================================================
-// NETWORK CALCULATIONS
-// ============================================================================
-
-/**
- * Runs all calculations and returns a single result object.
- * @param {number[]} ipBytes
- * @param {number[]} maskBytes
- * @returns {object}
- */
-function performNetworkCalculations(ipBytes, maskBytes) {
-    const networkBytes   = calculateNetworkAddress(ipBytes, maskBytes);
-    const broadcastBytes = calculateBroadcastAddress(networkBytes, maskBytes);
-    const cidr           = maskToCidr(bytesToDotted(maskBytes));
-    const defaultCidr    = getDefaultCidr(ipBytes[0]);
-    const wildcardBytes  = maskBytes.map(b => (~b) & 0xFF);
-
-    return {
-        cidr,
-        defaultCidr,
-        networkAddress   : bytesToDotted(networkBytes),
-        broadcastAddress : bytesToDotted(broadcastBytes),
-        wildcardMask     : bytesToDotted(wildcardBytes),
-        firstUsable      : calculateFirstUsableAddress(networkBytes, cidr),
-        lastUsable       : calculateLastUsableAddress(broadcastBytes, cidr),
-        availableHosts   : calculateAvailableHosts(cidr),
-        ipClass          : getIPClass(ipBytes[0]),
-        ipType           : getIPType(ipBytes),
-        subnetNumber     : calculateSubnetNumber(ipBytes, cidr, defaultCidr),
-        hostNumber       : calculateHostNumber(ipBytes, cidr),
-        totalSubnets     : calculateTotalSubnets(cidr, defaultCidr),
-        networkBytes,
-        broadcastBytes,
-        ipBytes,
-        maskBytes,
-        wildcardBytes,
-    };
-}
-
-/**
- * Network address = IP AND mask.
- * @param {number[]} ipBytes
- * @param {number[]} maskBytes
- * @returns {number[]}
- */
-function calculateNetworkAddress(ipBytes, maskBytes) {
-    return ipBytes.map((b, i) => b & maskBytes[i]);
-}
-
-/**
- * Broadcast address = network OR ~mask (wildcard).
- * @param {number[]} networkBytes
- * @param {number[]} maskBytes
- * @returns {number[]}
- */
-function calculateBroadcastAddress(networkBytes, maskBytes) {
-    return networkBytes.map((b, i) => b | ((~maskBytes[i]) & 0xFF));
-}
-
-/**
- * First usable host = network + 1  (N/A for /31 and /32).
- * @param {number[]} networkBytes
- * @param {number}   cidr
- * @returns {string}
- */
-function calculateFirstUsableAddress(networkBytes, cidr) {
-    if (cidr >= 31) return 'N/A';
-    const bytes = [...networkBytes];
-    for (let i = 3; i >= 0; i--) {
-        if (bytes[i] < 255) { bytes[i]++; break; }
-        else bytes[i] = 0;
-    }
-    return bytesToDotted(bytes);
-}
-
-/**
- * Last usable host = broadcast - 1  (N/A for /31 and /32).
- * @param {number[]} broadcastBytes
- * @param {number}   cidr
- * @returns {string}
- */
-function calculateLastUsableAddress(broadcastBytes, cidr) {
-    if (cidr >= 31) return 'N/A';
-    const bytes = [...broadcastBytes];
-    for (let i = 3; i >= 0; i--) {
-        if (bytes[i] > 0) { bytes[i]--; break; }
-        else bytes[i] = 255;
-    }
-    return bytesToDotted(bytes);
-}
-
-/**
- * Available host count = 2^(32-cidr) - 2.
- * Special cases for /31 (2) and /32 (0).
- * @param {number} cidr
- * @returns {number|string}
- */
-function calculateAvailableHosts(cidr) {
-    if (cidr >= 32) return 0;
-    if (cidr === 31) return 2;   // RFC 3021 point-to-point
-    return Math.pow(2, 32 - cidr) - 2;
-}
-
-/**
- * Returns the classful default CIDR for an IP address.
- * @param {number} firstOctet
- * @returns {number}  8 | 16 | 24 | 0
- */
-function getDefaultCidr(firstOctet) {
-    if (firstOctet >= 1   && firstOctet <= 126) return 8;   // Class A
-    if (firstOctet >= 128 && firstOctet <= 191) return 16;  // Class B
-    if (firstOctet >= 192 && firstOctet <= 223) return 24;  // Class C
-    return 0;
-}
-
-/**
- * Returns the IP address class letter.
- * @param {number} firstOctet
- * @returns {string}
- */
-function getIPClass(firstOctet) {
-    if (firstOctet >= 1   && firstOctet <= 126) return 'A';
-    if (firstOctet === 127)                      return 'Loopback';
-    if (firstOctet >= 128 && firstOctet <= 191) return 'B';
-    if (firstOctet >= 192 && firstOctet <= 223) return 'C';
-    if (firstOctet >= 224 && firstOctet <= 239) return 'D';
-    return 'E';
-}
-
-/**
- * Returns the IP address type (Private, Public, Loopback, etc.).
- * @param {number[]} ipBytes
- * @returns {string}
- */
-function getIPType(ipBytes) {
-    const [a, b] = ipBytes;
-    if (a === 10)                           return 'Private (RFC 1918)';
-    if (a === 172 && b >= 16 && b <= 31)   return 'Private (RFC 1918)';
-    if (a === 192 && b === 168)             return 'Private (RFC 1918)';
-    if (a === 127)                          return 'Loopback';
-    if (a === 169 && b === 254)             return 'Link-local (APIPA)';
-    if (a >= 224 && a <= 239)               return 'Multicast';
-    if (a === 0)                            return 'This network (reserved)';
-    if (a === 255)                          return 'Broadcast (reserved)';
-    return 'Public';
-}
-
-/**
- * Subnet number = value of the subnet bits (bits between defaultCidr and cidr).
- * @param {number[]} ipBytes
- * @param {number}   cidr
- * @param {number}   defaultCidr
- * @returns {number}
- */
-function calculateSubnetNumber(ipBytes, cidr, defaultCidr) {
-    if (cidr <= defaultCidr) return 0;
-    let result = 0, pos = 0;
-    for (let i = 0; i < 4; i++) {
-        for (let bit = 7; bit >= 0; bit--) {
-            if (pos >= defaultCidr && pos < cidr) {
-                result = (result << 1) | ((ipBytes[i] >> bit) & 1);
-            }
-            pos++;
-        }
-    }
-    return result + 1;
-}
-
-/**
- * Host number = value of the host bits (bits after cidr position).
- * @param {number[]} ipBytes
- * @param {number}   cidr
- * @returns {number}
- */
-function calculateHostNumber(ipBytes, cidr) {
-    if (cidr >= 32) return 0;
-    let result = 0, pos = 0;
-    for (let i = 0; i < 4; i++) {
-        for (let bit = 7; bit >= 0; bit--) {
-            if (pos >= cidr) {
-                result = (result << 1) | ((ipBytes[i] >> bit) & 1);
-            }
-            pos++;
-        }
-    }
-    return result;
-}
-
-/**
- * Total subnets = 2^(cidr - defaultCidr).
- * @param {number} cidr
- * @param {number} defaultCidr
- * @returns {number}
- */
-function calculateTotalSubnets(cidr, defaultCidr) {
-    if (cidr <= defaultCidr) return 1;
-    return Math.pow(2, cidr - defaultCidr);
-}
-
 // ============================================================================
 // BINARY DISPLAY HELPERS
 // ============================================================================
@@ -382,18 +85,18 @@ function calculateTotalSubnets(cidr, defaultCidr) {
  * @param {number} byteIndex    - 0-3
  * @param {number} cidr         - Total mask length
  * @param {number} defaultCidr  - Classful default mask length
+ * @param {number|number[]} [markPos]  - Bit position (0-31), or [from, to)
+ *                                      range, to mark with .bit-mark
  * @returns {string}  HTML string
  */
-function renderByteBits(byte, byteIndex, cidr, defaultCidr) {
+function renderByteBits(byte, byteIndex, cidr, defaultCidr, markPos) {
     let html = '';
     for (let bit = 7; bit >= 0; bit--) {
-        const pos   = byteIndex * 8 + (7 - bit);
-        const value = (byte >> bit) & 1;
-        let cls;
-        if (pos < defaultCidr)      cls = 'bit-network';
-        else if (pos < cidr)        cls = 'bit-subnet';
-        else                        cls = 'bit-host';
-        html += `<span class="${cls}">${value}</span>`;
+        const pos    = byteIndex * 8 + (7 - bit);
+        const value  = (byte >> bit) & 1;
+        const marked = Array.isArray(markPos) ? pos >= markPos[0] && pos < markPos[1] : pos === markPos;
+        const mark   = marked ? ' bit-mark' : '';
+        html += `<span class="bit-${getBitPart(pos, cidr, defaultCidr)}${mark}">${value}</span>`;
     }
     return html;
 }
@@ -403,11 +106,13 @@ function renderByteBits(byte, byteIndex, cidr, defaultCidr) {
  * @param {number[]} bytes
  * @param {number}   cidr
  * @param {number}   defaultCidr
+ * @param {number|number[]} [markPos]  - Bit position or range to mark,
+ *                                      see renderByteBits()
  * @returns {string}
  */
-function renderBinaryAddress(bytes, cidr, defaultCidr) {
+function renderBinaryAddress(bytes, cidr, defaultCidr, markPos) {
     return bytes
-        .map((b, i) => `<span class="binary-block">${renderByteBits(b, i, cidr, defaultCidr)}</span>`)
+        .map((b, i) => `<span class="binary-block">${renderByteBits(b, i, cidr, defaultCidr, markPos)}</span>`)
         .join('<span class="bit-sep">.</span>');
 }
 
@@ -416,71 +121,106 @@ function renderBinaryAddress(bytes, cidr, defaultCidr) {
 // ============================================================================
 
 /**
- * Returns HTML for a list of the first N subnets in the network,
- * highlighting the current one.
- * @param {number[]} networkBytes
- * @param {number[]} maskBytes
- * @param {number}   subnetNumber  - Which subnet we're in (0-based)
- * @param {number}   totalSubnets
- * @returns {string}
+ * Subnet number as displayed, following the 0-based / 1-based setting.
+ * 0 (network not subnetted) is shown as is.
+ * @param {number}  subnetNumber  - 1-based, from calculateSubnetNumber()
+ * @param {boolean} zeroBased
+ * @returns {number}
  */
-function renderSubnetList(networkBytes, maskBytes, subnetNumber, totalSubnets, cidr) {
-    const MAX_SHOW = 8;
-
-    // Size of one subnet block = 2^(32-cidr)
-    const blockSize = Math.pow(2, 32 - cidr);
-
-    // Convert network address to a 32-bit integer
-    let baseInt = (networkBytes[0] << 24 | networkBytes[1] << 16 |
-                   networkBytes[2] << 8  | networkBytes[3]) >>> 0;
+function displaySubnetNumber(subnetNumber, zeroBased) {
+    return subnetNumber > 0 && zeroBased ? subnetNumber - 1 : subnetNumber;
+}
 
-    // Rewind to the first subnet of this class network
-    // (i.e., set all subnet+host bits to 0)
-    const defaultCidr = getDefaultCidr(networkBytes[0]);
-    const maskInt     = (maskBytes[0] << 24 | maskBytes[1] << 16 |
-                         maskBytes[2] << 8  | maskBytes[3]) >>> 0;
+/**
+ * Page of the subnet list that holds the current subnet.
+ * @param {object} c  - calculate() result
+ * @returns {number}  0-based page index
+ */
+function getCurrentSubnetPage(c) {
+    return Math.floor(Math.max(c.subnetNumber - 1, 0) / SUBNET_PAGE_SIZE);
+}
 
-    // First subnet of the class network
-    const classNetworkInt = baseInt & (0xFFFFFFFF << (32 - defaultCidr)) >>> 0;
+/**
+ * Returns HTML for one page of the subnets in the parent network,
+ * highlighting the current one, followed by the pager.
+ * @param {object}  c          - calculate() result
+ * @param {number}  page       - 0-based page index
+ * @param {boolean} zeroBased  - number the rows from 0
+ * @returns {string}
+ */
+function renderSubnetList(c, page, zeroBased) {
+    const pageCount = Math.ceil(c.totalSubnets / SUBNET_PAGE_SIZE);
+    const rows      = listSubnets(c.networkBytes, c.cidr, {
+        parentCidr : c.parentCidr,
+        offset     : page * SUBNET_PAGE_SIZE,
+        count      : SUBNET_PAGE_SIZE,
+    });
 
     let html = '<div class="subnet-list">';
 
-    const showCount = Math.min(totalSubnets, MAX_SHOW);
-    for (let s = 1; s < showCount+1; s++) {
-        const netInt  = (classNetworkInt + s * blockSize) >>> 0;
-        const bcastInt = (netInt + blockSize - 1) >>> 0;
-
-        const netStr   = intToIp(netInt);
-        const bcastStr = intToIp(bcastInt);
-        const isCurrent = (s === subnetNumber);
+    for (const row of rows) {
+        // Subnet number 0: the mask is not longer than the parent, so the
+        // only row is the network itself
+        const isCurrent = (row.number === Math.max(c.subnetNumber, 1));
 
         html += `<div class="subnet-list-row${isCurrent ? ' current' : ''}">
-            <span class="sn-num">#${s}</span>
-            <span>${netStr}/${cidr}</span>
-            <span>→ ${bcastStr}</span>
+            <span class="sn-num">#${displaySubnetNumber(row.number, zeroBased)}</span>
+            <span>${row.network}/${c.cidr}</span>
+            <span>→ ${row.broadcast}</span>
         </div>`;
     }
 
-    if (totalSubnets > MAX_SHOW) {
-        html += `<div class="subnet-more">... and ${totalSubnets - MAX_SHOW} more subnets</div>`;
-    }
-
     html += '</div>';
+
+    if (pageCount > 1) {
+        html += `<div class="subnet-pager">
+            <button class="pager-btn" data-subnet-page="first"${page === 0 ? ' disabled' : ''}>«</button>
+            <button class="pager-btn" data-subnet-page="prev"${page === 0 ? ' disabled' : ''}>‹</button>
+            <span class="pager-info">PAGE ${(page + 1).toLocaleString()} / ${pageCount.toLocaleString()}</span>
+            <button class="pager-btn" data-subnet-page="next"${page === pageCount - 1 ? ' disabled' : ''}>›</button>
+            <button class="pager-btn" data-subnet-page="last"${page === pageCount - 1 ? ' disabled' : ''}>»</button>
+            <button class="pager-btn" data-subnet-page="current">CURRENT</button>
+        </div>`;
+    }
+    html += `<div class="subnet-pager">
+            <button class="pager-btn" data-subnet-numbering>${zeroBased ? '0-BASED' : '1-BASED'}</button>
+            <button class="pager-btn" data-plan-open>PLAN THIS NETWORK ›</button>
+        </div>`;
     return html;
 }
 
 /**
- * Converts a 32-bit integer to dotted-decimal IP string.
- * @param {number} int
- * @returns {string}
+ * Moves the subnet list to another page and redraws it in place.
+ * @param {'first'|'prev'|'next'|'last'|'current'} where
+ */
+function goToSubnetPage(where) {
+    const c = subnetListState.calc;
+    if (!c) return;
+    const last = Math.ceil(c.totalSubnets / SUBNET_PAGE_SIZE) - 1;
+    const page = where === 'first'   ? 0
+               : where === 'prev'    ? subnetListState.page - 1
+               : where === 'next'    ? subnetListState.page + 1
+               : where === 'last'    ? last
+               : getCurrentSubnetPage(c);
+    subnetListState.page = Math.min(Math.max(page, 0), last);
+    updateSubnetList();
+}
+
+/**
+ * Switches subnet numbering between 0-based and 1-based.
  */
-function intToIp(int) {
-    return [
-        (int >>> 24) & 0xFF,
-        (int >>> 16) & 0xFF,
-        (int >>>  8) & 0xFF,
-         int         & 0xFF
-    ].join('.');
+function toggleSubnetNumbering() {
+    subnetListState.zeroBased = !subnetListState.zeroBased;
+    updateSubnetList();
+}
+
+/**
+ * Redraws the subnet list and the Subnet Number field from subnetListState.
+ */
+function updateSubnetList() {
+    const { calc, page, zeroBased } = subnetListState;
+    document.getElementById('subnetList').innerHTML = renderSubnetList(calc, page, zeroBased);
+    document.getElementById('subnetNumberValue').textContent = displaySubnetNumber(calc.subnetNumber, zeroBased);
 }
 
 // ============================================================================
@@ -493,9 +233,12 @@ function intToIp(int) {
 function displayResultsInConsole(ipAddress, subnetMask, c) {
     console.log('=== IP CALCULATOR RESULTS ===');
     console.log('IP Address:       ', ipAddress);
+    console.log('Input:            ', describeNotation(c.notation));
     console.log('Subnet Mask:      ', subnetMask, `(/${c.cidr})`);
     console.log('IP Class:         ', c.ipClass);
     console.log('IP Type:          ', c.ipType);
+    console.log('Registry:         ', describeSpecialPurpose(c.specialPurpose).registry);
+    c.specialOverlaps.forEach(e => console.log('Warning:          ', `network partly overlaps ${e.network}/${e.cidr} (${e.name})`));
     console.log('Network Address:  ', c.networkAddress + '/' + c.cidr);
     console.log('Broadcast Address:', c.broadcastAddress);
     console.log('Wildcard Mask:    ', c.wildcardMask);
@@ -507,22 +250,134 @@ function displayResultsInConsole(ipAddress, subnetMask, c) {
     console.log('Total Subnets:    ', c.totalSubnets);
 }
 
+/**
+ * Link to an RFC on rfc-editor.org.
+ * @param {string} rfc  - "RFC 1918"
+ * @returns {string}
+ */
+function rfcUrl(rfc) {
+    return `https://www.rfc-editor.org/rfc/rfc${rfc.replace(/\D/g, '')}`;
+}
+
+/**
+ * Returns the NETWORK RANGE and SUBNET INFO sections of a result.
+ * @param {object} c  - calculate() result
+ * @returns {string}
+ */
+function renderRangeSections(c) {
+    return `
+        <!-- SECTION 2 : Network Range -->
+        <div class="result-section">
+            <div class="result-section-title">▶ NETWORK RANGE</div>
+            <table class="result-table">
+                <tr>
+                    <td class="label">Network:</td>
+                    <td class="value highlight">${c.networkAddress}/${c.cidr}</td>
+                </tr>
+                <tr>
+                    <td class="label">Broadcast:</td>
+                    <td class="value highlight">${c.broadcastAddress}</td>
+                </tr>
+                <tr>
+                    <td class="label">First Usable:</td>
+                    <td class="value">${c.firstUsable}</td>
+                </tr>
+                <tr>
+                    <td class="label">Last Usable:</td>
+                    <td class="value">${c.lastUsable}</td>
+                </tr>
+                <tr>
+                    <td class="label">Available Hosts:</td>
+                    <td class="value orange">${c.availableHosts.toLocaleString()}</td>
+                </tr>
+            </table>
+        </div>
+
+        <!-- SECTION 3 : Subnet Info -->
+        <div class="result-section">
+            <div class="result-section-title">▶ SUBNET INFO</div>
+            <table class="result-table">
+                <tr>
+                    <td class="label">Host Number:</td>
+                    <td class="value cyan">${c.hostNumber}</td>
+                </tr>
+                <tr>
+                    <td class="label">Subnet Number:</td>
+                    <td class="value cyan" id="subnetNumberValue">${displaySubnetNumber(c.subnetNumber, subnetListState.zeroBased)}</td>
+                </tr>
+                <tr>
+                    <td class="label">Total Subnets:</td>
+                    <td class="value orange">${c.totalSubnets.toLocaleString()} <span style="color:#555">in /${c.parentCidr}</span></td>
+                </tr>
+            </table>
+            <div id="hostEnumerator">${c.availableHosts === 0 ? '' : `
+                <div class="subnet-pager">
+                    <button class="pager-btn" data-hosts-open>LIST HOSTS</button>
+                </div>`}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Returns the SUBNET LIST and DEVICE CONFIG sections of a result.
+ * @param {object} c  - calculate() result
+ * @returns {string}
+ */
+function renderSubnetSections(c) {
+    const subnetListHTML = renderSubnetList(c, subnetListState.page, subnetListState.zeroBased);
+    const parentNetwork  = intToIp((bytesToInt(c.networkBytes) & cidrToInt(c.parentCidr)) >>> 0);
+
+    return `
+        <!-- SECTION 6 : Subnet List -->
+        <div class="result-section full-width">
+            <div class="result-section-title">▶ SUBNET LIST <span style="color:#555;font-size:0.85em">/${c.cidr} subnets of ${parentNetwork}/${c.parentCidr}</span></div>
+            <div id="subnetList">${subnetListHTML}</div>
+        </div>
+
+        <!-- SECTION 7 : Device Config -->
+        <div class="result-section full-width">
+            <div class="result-section-title">▶ DEVICE CONFIG</div>
+            <div id="configSnippets">
+                <div class="subnet-pager">
+                    <button class="pager-btn" data-config-open>GENERATE DEVICE CONFIG</button>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
 /**
  * Renders the full result panel on screen.
  */
 function displayResultsOnScreen(ipAddress, subnetMask, c) {
-    const binaryIP      = renderBinaryAddress(c.ipBytes,      c.cidr, c.defaultCidr);
-    const binaryMask    = renderBinaryAddress(c.maskBytes,    c.cidr, c.defaultCidr);
-    const binaryWild    = renderBinaryAddress(c.wildcardBytes, c.cidr, c.defaultCidr);
-    const binaryNetwork = renderBinaryAddress(c.networkBytes, c.cidr, c.defaultCidr);
-    const subnetListHTML = renderSubnetList(
-        c.networkBytes, c.maskBytes, c.subnetNumber, c.totalSubnets, c.cidr
-    );
+    const binaryIP      = renderBinaryAddress(c.ipBytes,      c.cidr, c.parentCidr);
+    const binaryMask    = renderBinaryAddress(c.maskBytes,    c.cidr, c.parentCidr);
+    const binaryWild    = renderBinaryAddress(c.wildcardBytes, c.cidr, c.parentCidr);
+    const binaryNetwork = renderBinaryAddress(c.networkBytes, c.cidr, c.parentCidr);
+
+    subnetListState.calc = c;
+    subnetListState.page = getCurrentSubnetPage(c);
+
+    // A multicast group has no hosts or subnets: its own sections replace them
+    const isMulticast = c.ipClass === 'D';
 
     const ipTypeBadgeColor = c.ipType.includes('Private') ? '#00ff00'
                            : c.ipType === 'Loopback'       ? '#00ffff'
                            : c.ipType === 'Multicast'      ? '#ffaa00'
-                           : '#ffffff';
+                           : c.ipType === 'Public'         ? '#ffffff'
+                           : '#ffff00';
+
+    const special     = describeSpecialPurpose(c.specialPurpose);
+    const registryRef = c.specialPurpose
+        ? `${c.specialPurpose.network}/${c.specialPurpose.cidr} ${c.specialPurpose.name}
+           <a class="rfc-link" href="${rfcUrl(c.specialPurpose.rfc)}" target="_blank" rel="noopener">${c.specialPurpose.rfc}</a>`
+        : '<span style="color:#555">not a special-purpose address</span>';
+    const overlapRows = c.specialOverlaps.map(e => `
+                <tr>
+                    <td class="label">Warning:</td>
+                    <td class="value warning">Network partly overlaps ${e.network}/${e.cidr} ${e.name}</td>
+                </tr>`).join('');
 
     // Force reflow to restart the flicker animation
 
@@ -536,6 +391,10 @@ function displayResultsOnScreen(ipAddress, subnetMask, c) {
                     <td class="label">IP Address:</td>
                     <td class="value highlight">${ipAddress}</td>
                 </tr>
+                <tr>
+                    <td class="label">Input:</td>
+                    <td class="value">${describeNotation(c.notation)}</td>
+                </tr>
                 <tr>
                     <td class="label">Subnet Mask:</td>
                     <td class="value">${subnetMask} <span style="color:#555"> </span> /${c.cidr}</td>
@@ -556,54 +415,22 @@ function displayResultsOnScreen(ipAddress, subnetMask, c) {
                         <span style="color:${ipTypeBadgeColor};text-shadow:0 0 4px ${ipTypeBadgeColor}">${c.ipType}</span>
                     </td>
                 </tr>
-            </table>
-        </div>
-
-        <!-- SECTION 2 : Network Range -->
-        <div class="result-section">
-            <div class="result-section-title">▶ NETWORK RANGE</div>
-            <table class="result-table">
                 <tr>
-                    <td class="label">Network:</td>
-                    <td class="value highlight">${c.networkAddress}/${c.cidr}</td>
+                    <td class="label">Registry:</td>
+                    <td class="value">${registryRef}</td>
                 </tr>
                 <tr>
-                    <td class="label">Broadcast:</td>
-                    <td class="value highlight">${c.broadcastAddress}</td>
-                </tr>
-                <tr>
-                    <td class="label">First Usable:</td>
-                    <td class="value">${c.firstUsable}</td>
-                </tr>
-                <tr>
-                    <td class="label">Last Usable:</td>
-                    <td class="value">${c.lastUsable}</td>
+                    <td class="label">Forwardable:</td>
+                    <td class="value">${special.forwardable} <span style="color:#555">/ global:</span> ${special.global}</td>
                 </tr>
                 <tr>
-                    <td class="label">Available Hosts:</td>
-                    <td class="value orange">${c.availableHosts.toLocaleString()}</td>
-                </tr>
+                    <td class="label">Valid As:</td>
+                    <td class="value">source ${special.source} <span style="color:#555">/ destination</span> ${special.destination}</td>
+                </tr>${overlapRows}
             </table>
         </div>
 
-        <!-- SECTION 3 : Subnet Info -->
-        <div class="result-section">
-            <div class="result-section-title">▶ SUBNET INFO</div>
-            <table class="result-table">
-                <tr>
-                    <td class="label">Host Number:</td>
-                    <td class="value cyan">${c.hostNumber}</td>
-                </tr>
-                <tr>
-                    <td class="label">Subnet Number:</td>
-                    <td class="value cyan">${c.subnetNumber}</td>
-                </tr>
-                <tr>
-                    <td class="label">Total Subnets:</td>
-                    <td class="value orange">${c.totalSubnets}</td>
-                </tr>
-            </table>
-        </div>
+        ${isMulticast ? renderMulticastSections(c) : renderRangeSections(c)}
 
         <!-- SECTION 4 : Binary View -->
         <div class="result-section full-width">
@@ -626,12 +453,57 @@ function displayResultsOnScreen(ipAddress, subnetMask, c) {
             <div class="binary-row">
                 <span class="label">Net&nbsp;&nbsp;&nbsp;:</span>${binaryNetwork}
             </div>
+            <br>
+            <div class="binary-row">
+                <span class="label">Int&nbsp;&nbsp;&nbsp;:</span><span class="notation-value">${c.ipInt}</span>
+            </div>
+            <div class="binary-row">
+                <span class="label">Hex&nbsp;&nbsp;&nbsp;:</span><span class="notation-value">${c.ipHex}</span>
+            </div>
+            <div class="binary-row">
+                <span class="label">Oct&nbsp;&nbsp;&nbsp;:</span><span class="notation-value">${c.ipOctal}</span>
+            </div>
         </div>
 
-        <!-- SECTION 5 : Subnet List -->
+        <!-- SECTION 5 : Show Your Work -->
         <div class="result-section full-width">
-            <div class="result-section-title">▶ SUBNET LIST <span style="color:#555;font-size:0.85em"></span></div>
-            ${subnetListHTML}
+            <div class="result-section-title">▶ SHOW YOUR WORK</div>
+            <div id="explainSteps">
+                <div class="subnet-pager">
+                    <button class="pager-btn" data-explain-step="first">STEP THROUGH THE CALCULATION</button>
+                </div>
+            </div>
+        </div>
+
+        ${isMulticast ? renderMulticastAliases(c) : renderSubnetSections(c)}
+
+        <!-- SECTION 8 : Reverse DNS -->
+        <div class="result-section full-width">
+            <div class="result-section-title">▶ REVERSE DNS</div>
+            <div id="reverseDns">
+                <div class="subnet-pager">
+                    <button class="pager-btn" data-rdns-open>SHOW REVERSE ZONES</button>
+                </div>
+            </div>
+        </div>
+
+        <!-- SECTION 9 : Export -->
+        <div class="result-section full-width">
+            <div class="result-section-title">▶ EXPORT</div>
+            <div class="subnet-pager export-bar">
+                <span class="pager-info">DOWNLOAD</span>
+                <button class="pager-btn" data-export="json" data-export-action="download">JSON</button>
+                <button class="pager-btn" data-export="csv" data-export-action="download">CSV</button>
+                <button class="pager-btn" data-export="markdown" data-export-action="download">MARKDOWN</button>
+                <button class="pager-btn" data-export="report" data-export-action="download">REPORT</button>
+            </div>
+            <div class="subnet-pager export-bar">
+                <span class="pager-info">COPY</span>
+                <button class="pager-btn" data-export="json" data-export-action="copy">JSON</button>
+                <button class="pager-btn" data-export="csv" data-export-action="copy">CSV</button>
+                <button class="pager-btn" data-export="markdown" data-export-action="copy">MARKDOWN</button>
+                <button class="pager-btn" data-export="report" data-export-action="copy">REPORT</button>
+            </div>
         </div>
     `;
     resultDiv.scrollTop = 0;
@@ -643,7 +515,35 @@ function displayResultsOnScreen(ipAddress, subnetMask, c) {
  * @param {string} message
  */
 function showError(message) {
-    resultDiv.innerHTML = `<div class="error-msg">${message}</div>`;
+    resultDiv.innerHTML = `<div class="error-msg">${escapeHtml(message)}</div>`;
+}
+
+/**
+ * Escapes user-supplied text before it goes into innerHTML.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// ============================================================================
+// MODES
+// ============================================================================
+
+/**
+ * Shows the form of the given mode in the left column and highlights its tab.
+ * Each mode's own script (ui/*.js) wires its button to the result panel.
+ * @param {string} mode  - data-mode value of the tab / panel
+ */
+function setMode(mode) {
+    modeTabs.forEach(tab => tab.classList.toggle('active', tab.dataset.mode === mode));
+    modePanels.forEach(panel => { panel.hidden = panel.dataset.mode !== mode; });
 }
 
 // ============================================================================
@@ -658,6 +558,20 @@ subnetMaskInput.addEventListener('keypress', function (e) {
     if (e.key === 'Enter') calculateBtn.click();
 });
 
+parentPrefixInput.addEventListener('keypress', function (e) {
+    if (e.key === 'Enter') calculateBtn.click();
+});
+
+resultDiv.addEventListener('click', function (e) {
+    const pageBtn = e.target.closest('[data-subnet-page]');
+    if (pageBtn) goToSubnetPage(pageBtn.dataset.subnetPage);
+    if (e.target.closest('[data-subnet-numbering]')) toggleSubnetNumbering();
+});
+
+modeTabs.forEach(tab => tab.addEventListener('click', function () {
+    setMode(tab.dataset.mode);
+}));
+
 // ============================================================================
 // INIT
 // ============================================================================
@@ -0,0 +1,40 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const { splitBulkLine, calculateBulk, sortBulkRows } = require('../lib/bulk.js');
+
+/**
+ * Each row as "line: message" for errors, "line: network/cidr" otherwise.
+ * @param {object} result  - calculateBulk() result
+ * @returns {string[]}
+ */
+function summary(result) {
+    return result.rows.map(r => `${r.line}: ${r.error ? r.error.message : `${r.calc.networkAddress}/${r.calc.cidr}`}`);
+}
+
+test('splitBulkLine keeps delimiters inside quotes', () => {
+    assert.deepEqual(splitBulkLine('10.0.0.5/24'), { ip: '10.0.0.5/24', mask: '' });
+    assert.deepEqual(splitBulkLine('10.0.0.5;255.255.255.0'), { ip: '10.0.0.5', mask: '255.255.255.0' });
+    assert.deepEqual(splitBulkLine('"Office, floor 2",10.0.0.5'), { ip: 'Office, floor 2', mask: '10.0.0.5' });
+    assert.deepEqual(splitBulkLine('"say ""hi""",x'), { ip: 'say "hi"', mask: 'x' });
+});
+
+test('a header row is skipped, a broken first line is reported', () => {
+    assert.deepEqual(summary(calculateBulk('IP Address,Mask\n10.0.0.5,/24')), ['2: 10.0.0.0/24']);
+    assert.deepEqual(summary(calculateBulk('foo\n10.0.0.5/24')), ['1: Invalid IP address format!', '2: 10.0.0.0/24']);
+});
+
+test('a missing field names the field that is missing', () => {
+    assert.deepEqual(summary(calculateBulk('10.0.0.5\nfoo\n,/24')), [
+        '1: Missing subnet mask!',
+        '2: Invalid IP address format!',
+        '3: Missing IP address!',
+    ]);
+});
+
+test('/31 and /32 rows sort by their network', () => {
+    const r = calculateBulk('10.0.0.9/32\n10.0.0.4/31\n10.0.0.0/30');
+    assert.deepEqual(sortBulkRows(r.rows, 'usable').map(row => row.line), [3, 2, 1]);
+});
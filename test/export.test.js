@@ -0,0 +1,29 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const { calculate } = require('../lib/ipcalc.js');
+const { EXPORT_FORMATS, exportSubnets } = require('../lib/export.js');
+
+test('a cut subnet list is noted in every format', () => {
+    const c = calculate('10.1.2.3', '/24');
+    const subnets = exportSubnets(c);
+    assert.equal(subnets.truncated, true);
+    assert.equal(subnets.rows.length, 256);
+    assert.equal(subnets.first, 257);
+    for (const [name, f] of Object.entries(EXPORT_FORMATS)) {
+        assert.ok(f.format(c).includes('Subnets 257-512 of 65536'), name);
+    }
+});
+
+test('a whole subnet list has no note', () => {
+    const c = calculate('192.168.1.10', '/26');
+    assert.equal(exportSubnets(c).note, null);
+    assert.ok(!EXPORT_FORMATS.report.format(c).includes('Subnets '));
+});
+
+test('the only subnet of its parent is marked current', () => {
+    const rows = exportSubnets(calculate('10.1.2.3', '/8', '/8')).rows;
+    assert.deepEqual(rows.map(row => row.current), [true]);
+});
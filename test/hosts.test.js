@@ -0,0 +1,24 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const { calculate } = require('../lib/ipcalc.js');
+const { hostBounds, listHosts, lookupHost } = require('../lib/hosts.js');
+
+test('the host list is the usable range of the result', () => {
+    for (const mask of ['/24', '/30', '/31']) {
+        const c     = calculate('10.0.0.1', mask);
+        const hosts = listHosts(c, 0, 256);
+        assert.equal(hosts.length, c.availableHosts, mask);
+        assert.equal(hosts[0].address, c.firstUsable, mask);
+        assert.equal(hosts[hosts.length - 1].address, c.lastUsable, mask);
+    }
+});
+
+test('a /32 has no hosts', () => {
+    const c = calculate('10.0.0.1', '/32');
+    assert.equal(hostBounds(c).count, 0);
+    assert.deepEqual(listHosts(c, 0, 16), []);
+    assert.throws(() => lookupHost(c, '10.0.0.1'), { code: 'INVALID_HOST' });
+});
@@ -0,0 +1,141 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('node:fs');
+const path   = require('node:path');
+
+const { importInterfaces, detectInterfaceFormat } = require('../lib/interfaces.js');
+
+/**
+ * Reads a pasted-output fixture.
+ * @param {string} name
+ * @returns {string}
+ */
+function fixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', 'interfaces', name), 'utf8');
+}
+
+/**
+ * The {name, ip, mask} part of each row.
+ * @param {object} result  - importInterfaces() result
+ * @returns {object[]}
+ */
+function addresses(result) {
+    return result.rows.map(({ name, ip, mask }) => ({ name, ip, mask }));
+}
+
+/**
+ * Each row's overlaps as "name:kind" strings.
+ * @param {object} result  - importInterfaces() result
+ * @returns {string[][]}
+ */
+function overlaps(result) {
+    return result.rows.map(row => row.overlaps.map(o => `${o.name}:${o.kind}`));
+}
+
+// `ip addr`, `ip -o addr` and the same addresses: one secondary, one bridge
+const IP_ROWS = [
+    { name: 'lo',     ip: '127.0.0.1',     mask: '/8' },
+    { name: 'eth0',   ip: '192.168.1.10',  mask: '/24' },
+    { name: 'eth0:1', ip: '192.168.1.77',  mask: '/25' },
+    { name: 'br-lan', ip: '192.168.1.200', mask: '/24' },
+];
+const IP_OVERLAPS = [
+    [],
+    ['eth0:1:overlap', 'br-lan:same'],
+    ['eth0:overlap', 'br-lan:overlap'],
+    ['eth0:same', 'eth0:1:overlap'],
+];
+
+test('ip addr', () => {
+    const r = importInterfaces(fixture('ip-addr.txt'));
+    assert.equal(r.format, 'ip');
+    assert.deepEqual(addresses(r), IP_ROWS);
+    assert.deepEqual(overlaps(r), IP_OVERLAPS);
+    assert.equal(r.overlapping, 3);
+});
+
+test('ip -o addr', () => {
+    const r = importInterfaces(fixture('ip-o-addr.txt'));
+    assert.equal(r.format, 'ip');
+    assert.deepEqual(addresses(r), IP_ROWS);
+    assert.deepEqual(overlaps(r), IP_OVERLAPS);
+});
+
+test('ip -br addr', () => {
+    const r = importInterfaces(fixture('ip-br-addr.txt'));
+    assert.equal(r.format, 'ip');
+    assert.deepEqual(addresses(r), [
+        { name: 'lo',   ip: '127.0.0.1', mask: '/8' },
+        { name: 'eth0', ip: '10.0.0.5',  mask: '/24' },
+        { name: 'wg0',  ip: '10.8.0.1',  mask: '/24' },
+    ]);
+    assert.equal(r.overlapping, 0);
+});
+
+test('net-tools ifconfig, new and old layout', () => {
+    const r = importInterfaces(fixture('ifconfig-linux.txt'));
+    assert.equal(r.format, 'ifconfig');
+    assert.deepEqual(addresses(r), [
+        { name: 'eth0',   ip: '192.168.1.10', mask: '255.255.255.0' },
+        { name: 'lo',     ip: '127.0.0.1',    mask: '255.0.0.0' },
+        { name: 'eth0',   ip: '172.16.5.4',   mask: '255.255.255.0' },
+        { name: 'eth0:1', ip: '172.16.5.9',   mask: '255.255.255.0' },
+    ]);
+    assert.deepEqual(overlaps(r), [[], [], ['eth0:1:same'], ['eth0:same']]);
+});
+
+test('macOS ifconfig with hex netmasks', () => {
+    const r = importInterfaces(fixture('ifconfig-macos.txt'));
+    assert.equal(r.format, 'ifconfig');
+    assert.deepEqual(addresses(r), [
+        { name: 'lo0', ip: '127.0.0.1',   mask: '0xff000000' },
+        { name: 'en0', ip: '10.20.30.40', mask: '0xfffffc00' },
+    ]);
+    assert.equal(r.rows[1].calc.cidr, 22);
+    assert.equal(r.rows[1].calc.networkAddress, '10.20.28.0');
+});
+
+test('ipconfig /all', () => {
+    const r = importInterfaces(fixture('ipconfig-all.txt'));
+    assert.equal(r.format, 'ipconfig');
+    assert.deepEqual(addresses(r), [
+        { name: 'Ethernet',        ip: '192.168.1.23', mask: '255.255.255.0' },
+        { name: 'vEthernet (WSL)', ip: '169.254.10.2', mask: '255.255.0.0' },
+    ]);
+    assert.equal(r.overlapping, 0);
+});
+
+test('show ip interface brief has no masks', () => {
+    const r = importInterfaces(fixture('cisco-brief.txt'));
+    assert.equal(r.format, 'cisco-brief');
+    assert.deepEqual(addresses(r), [
+        { name: 'GigabitEthernet0/0', ip: '192.168.1.1',  mask: null },
+        { name: 'Loopback0',          ip: '10.255.255.1', mask: null },
+    ]);
+    assert.ok(r.rows.every(row => row.calc === null && row.error));
+});
+
+test('IOS and NX-OS running-config', () => {
+    const r = importInterfaces(fixture('cisco-config.txt'));
+    assert.equal(r.format, 'cisco-config');
+    assert.deepEqual(addresses(r), [
+        { name: 'GigabitEthernet0/0', ip: '192.168.1.1',   mask: '255.255.255.0' },
+        { name: 'GigabitEthernet0/0', ip: '192.168.1.129', mask: '255.255.255.128' },
+        { name: 'Vlan10',             ip: '10.10.0.1',     mask: '/22' },
+        { name: 'Ethernet1/1',        ip: '10.10.2.1',     mask: '/24' },
+    ]);
+    assert.deepEqual(overlaps(r), [
+        ['GigabitEthernet0/0:overlap'],
+        ['GigabitEthernet0/0:overlap'],
+        ['Ethernet1/1:overlap'],
+        ['Vlan10:overlap'],
+    ]);
+});
+
+test('unrecognized output is rejected', () => {
+    assert.equal(detectInterfaceFormat('hello world'), null);
+    assert.throws(() => importInterfaces('hello world'), { code: 'INVALID_IMPORT' });
+    assert.throws(() => importInterfaces('   '), { code: 'EMPTY_INPUT' });
+});
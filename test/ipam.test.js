@@ -0,0 +1,32 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createWorkspace, addBlock, addSubnet, addHost, exportWorkspace, importWorkspace } = require('../lib/ipam.js');
+
+test('an exported workspace imports back unchanged', () => {
+    const w = createWorkspace();
+    addBlock(w, { network: '10.0.0.0', mask: '/16', name: 'Site' });
+    addSubnet(w, { network: '10.0.1.0', mask: '/24', name: 'LAN', vlan: '10' });
+    addHost(w, { address: '10.0.1.5', name: 'printer' });
+    assert.deepEqual(importWorkspace(exportWorkspace(w)), w);
+});
+
+test('entries that are not objects are rejected as an invalid workspace', () => {
+    const block = '"network": "10.0.0.0", "cidr": 16, "name": "Site"';
+    const files = [
+        '{"blocks": [null]}',
+        '{"blocks": [42]}',
+        `{"blocks": [{${block}, "subnets": [null]}]}`,
+        `{"blocks": [{${block}, "subnets": "10.0.1.0/24"}]}`,
+        `{"blocks": [{${block}, "subnets": [{"network": "10.0.1.0", "cidr": 24, "name": "LAN", "hosts": [null]}]}]}`,
+    ];
+    for (const text of files) {
+        assert.throws(() => importWorkspace(text), { code: 'INVALID_WORKSPACE' }, text);
+    }
+});
+
+test('a newer workspace version is rejected', () => {
+    assert.throws(() => importWorkspace('{"version": 99, "blocks": []}'), { code: 'INVALID_WORKSPACE' });
+});
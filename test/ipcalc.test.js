@@ -0,0 +1,142 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    IPCalcError,
+    EmptyInputError,
+    InvalidIPError,
+    InvalidMaskError,
+    InvalidCidrError,
+    parse,
+    parseMask,
+    calculate,
+} = require('../lib/ipcalc.js');
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+test('parse reads the address and a prefix mask', () => {
+    const p = parse('10.0.0.5', '/24');
+    assert.equal(p.ipAddress, '10.0.0.5');
+    assert.equal(p.subnetMask, '255.255.255.0');
+    assert.deepEqual(p.ipBytes, [10, 0, 0, 5]);
+    assert.deepEqual(p.maskBytes, [255, 255, 255, 0]);
+    assert.equal(p.cidr, 24);
+    assert.equal(p.notation.inline, false);
+});
+
+test('parse reads a mask typed in the IP field', () => {
+    for (const ip of ['10.0.0.5/24', '10.0.0.5 255.255.255.0', ' 10.0.0.5 / 24 ']) {
+        const p = parse(ip, '');
+        assert.equal(p.cidr, 24, ip);
+        assert.equal(p.notation.inline, true, ip);
+    }
+});
+
+test('parseMask reads every mask notation', () => {
+    const cases = [
+        ['/24',             24, 'prefix length'],
+        ['/ 24',            24, 'prefix length'],
+        ['24',              24, 'prefix length'],
+        ['255.255.255.0',   24, 'dotted decimal mask'],
+        ['0.0.0.255',       24, 'dotted decimal wildcard'],
+        ['0xffffff00',      24, 'hex mask'],
+        ['4294967040',      24, 'integer mask'],
+        ['0.0.0.0',          0, 'dotted decimal mask'],
+        ['255.255.255.255', 32, 'dotted decimal mask'],
+    ];
+    for (const [mask, cidr, notation] of cases) {
+        const m = parseMask(mask);
+        assert.equal(m.cidr, cidr, mask);
+        assert.equal(m.notation, notation, mask);
+    }
+});
+
+test('parseMask does not read a plain integer as a wildcard', () => {
+    for (const mask of ['255', '65535']) {
+        assert.throws(() => parseMask(mask), { code: 'AMBIGUOUS_INPUT' }, mask);
+    }
+});
+
+test('parse rejects an inline mask that disagrees with the mask field', () => {
+    assert.throws(() => parse('10.0.0.5/24', '/16'), { code: 'INVALID_MASK' });
+});
+
+// ============================================================================
+// CALCULATION
+// ============================================================================
+
+test('calculate /0 spans the whole address space', () => {
+    const c = calculate('10.1.2.3', '/0');
+    assert.equal(c.networkAddress, '0.0.0.0');
+    assert.equal(c.broadcastAddress, '255.255.255.255');
+    assert.equal(c.firstUsable, '0.0.0.1');
+    assert.equal(c.lastUsable, '255.255.255.254');
+    assert.equal(c.availableHosts, 4294967294);
+    assert.equal(c.wildcardMask, '255.255.255.255');
+});
+
+test('calculate /31 is a two-address point-to-point link', () => {
+    const c = calculate('10.0.0.1', '/31');
+    assert.equal(c.networkAddress, '10.0.0.0');
+    assert.equal(c.broadcastAddress, '10.0.0.1');
+    assert.equal(c.firstUsable, '10.0.0.0');
+    assert.equal(c.lastUsable, '10.0.0.1');
+    assert.equal(c.availableHosts, 2);
+    assert.equal(c.hostNumber, 1);
+});
+
+test('calculate /32 is a single address', () => {
+    const c = calculate('10.0.0.1', '255.255.255.255');
+    assert.equal(c.cidr, 32);
+    assert.equal(c.networkAddress, '10.0.0.1');
+    assert.equal(c.broadcastAddress, '10.0.0.1');
+    assert.equal(c.firstUsable, 'N/A');
+    assert.equal(c.availableHosts, 0);
+});
+
+test('calculate classifies class D and class E addresses', () => {
+    const d = calculate('224.0.0.5', '/4');
+    assert.equal(d.ipClass, 'D');
+    assert.equal(d.ipType, 'Multicast');
+
+    const e = calculate('240.0.0.1', '/8');
+    assert.equal(e.ipClass, 'E');
+    assert.equal(e.ipType, 'Reserved (future use)');
+});
+
+test('calculate /26 in a class C', () => {
+    const c = calculate('192.168.1.10', '/26');
+    assert.equal(c.networkAddress, '192.168.1.0');
+    assert.equal(c.broadcastAddress, '192.168.1.63');
+    assert.equal(c.firstUsable, '192.168.1.1');
+    assert.equal(c.lastUsable, '192.168.1.62');
+    assert.equal(c.availableHosts, 62);
+    assert.equal(c.ipClass, 'C');
+    assert.equal(c.totalSubnets, 4);
+});
+
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+test('typed errors carry their class and code', () => {
+    const cases = [
+        ['',           '/24',         EmptyInputError,  'EMPTY_INPUT'],
+        ['10.0.0.1',   '',            EmptyInputError,  'EMPTY_INPUT'],
+        ['1.2.3.400',  '/24',         InvalidIPError,   'INVALID_IP'],
+        ['10.0.0.1',   '255.0.255.0', InvalidMaskError, 'INVALID_MASK'],
+        ['10.0.0.1',   '/33',         InvalidCidrError, 'INVALID_CIDR'],
+    ];
+    for (const [ip, mask, ErrorClass, code] of cases) {
+        assert.throws(() => calculate(ip, mask), err => {
+            assert.ok(err instanceof ErrorClass, `${ip} ${mask}: ${err.name}`);
+            assert.ok(err instanceof IPCalcError);
+            assert.equal(err.code, code);
+            return true;
+        });
+    }
+});
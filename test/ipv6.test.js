@@ -0,0 +1,27 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const { calculateIPv6 } = require('../lib/ipv6.js');
+
+test('calculateIPv6 reads the prefix from the address alone', () => {
+    const c = calculateIPv6('2001:db8::1/64');
+    assert.equal(c.ipAddress, '2001:db8::1');
+    assert.equal(c.prefix, 64);
+    assert.equal(c.network, '2001:db8::');
+    assert.equal(c.addressCount, 1n << 64n);
+});
+
+test('calculateIPv6 takes the same prefix in both fields', () => {
+    assert.equal(calculateIPv6('2001:db8::1/64', '/64').prefix, 64);
+    assert.equal(calculateIPv6('2001:db8::1', '48').prefix, 48);
+});
+
+test('calculateIPv6 rejects two different prefixes', () => {
+    assert.throws(() => calculateIPv6('2001:db8::1/64', '/48'), { code: 'INVALID_CIDR' });
+});
+
+test('calculateIPv6 needs a prefix', () => {
+    assert.throws(() => calculateIPv6('2001:db8::1'), { code: 'EMPTY_INPUT' });
+});
@@ -0,0 +1,13 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createPlan, splitNode, updateNode, exportPlan } = require('../lib/plan.js');
+
+test('a label with tabs or line breaks stays in one export column', () => {
+    const root = createPlan([10, 0, 0, 0], 24);
+    splitNode(root, '10.0.0.0/24');
+    updateNode(root, '10.0.0.0/25', { label: 'a\tb\r\nc', used: true });
+    assert.equal(exportPlan(root), '10.0.0.0/25\tused\ta b c\n10.0.0.128/25\tfree\n');
+});
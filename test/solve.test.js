@@ -0,0 +1,24 @@
+'use strict';
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const { calculate } = require('../lib/ipcalc.js');
+const { solve } = require('../lib/solve.js');
+
+test('counts of one are singular', () => {
+    const r = solve('10.0.0.1', { subnets: '1' });
+    assert.equal(r.cidr, 8);
+    assert.equal(r.calc.notation.mask, 'prefix for 1 subnet');
+    assert.match(r.notes[0], /into 1 subnet takes 0 subnet bits: \/8 gives 1 subnet \(0 spare\)/);
+});
+
+test('a /31 shows the same usable range as the calculator', () => {
+    const r = solve('10.0.0.1', { hosts: '2', pointToPoint: true });
+    const c = calculate('10.0.0.1', '/31');
+    assert.equal(r.cidr, 31);
+    assert.equal(r.calc.firstUsable, c.firstUsable);
+    assert.equal(r.calc.lastUsable, c.lastUsable);
+    assert.equal(r.calc.availableHosts, 2);
+    assert.ok(r.notes.some(note => note.includes('RFC 3021')));
+});
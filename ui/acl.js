@@ -0,0 +1,141 @@
+// ============================================================================
+// ACL MODE
+// ----------------------------------------------------------------------------
+// Page code for the [ ACL ] tab: one rule written out for Cisco, iptables,
+// nftables, pf and AWS security groups. A blank source or destination is the
+// network of the last calculation. The formats are in lib/acl.js.
+// ============================================================================
+
+const { buildAcl } = IPCalc.acl;
+
+const aclSourceInput      = document.getElementById('aclSource');
+const aclDestinationInput = document.getElementById('aclDestination');
+const aclProtocolInput    = document.getElementById('aclProtocol');
+const aclPortsInput       = document.getElementById('aclPorts');
+const aclActionInput      = document.getElementById('aclAction');
+const aclBtn              = document.getElementById('aclBtn');
+
+// Snippets on screen, for the copy buttons
+let aclSnippets = [];
+
+/**
+ * Called on button click — builds the rule in every format.
+ */
+aclBtn.addEventListener('click', function () {
+    let rule;
+    try {
+        rule = buildAcl({
+            source      : aclEndpoint(aclSourceInput),
+            destination : aclEndpoint(aclDestinationInput),
+            protocol    : aclProtocolInput.value,
+            ports       : aclPortsInput.value,
+            action      : aclActionInput.value,
+        });
+    } catch (err) {
+        if (!(err instanceof IPCalcError)) throw err;
+        showError(`⚠️ ERROR: ${err.message}`);
+        return;
+    }
+
+    aclSnippets = rule.snippets;
+    displayAcl(rule);
+});
+
+[aclSourceInput, aclDestinationInput, aclPortsInput].forEach(input => {
+    input.addEventListener('keypress', function (e) {
+        if (e.key === 'Enter') aclBtn.click();
+    });
+});
+
+resultDiv.addEventListener('click', function (e) {
+    const btn = e.target.closest('[data-acl-copy]');
+    if (!btn) return;
+    const snippet = aclSnippets.find(s => s.key === btn.dataset.aclCopy);
+    if (snippet && snippet.text !== null) copyText(btn, snippet.text + '\n');
+});
+
+/**
+ * A typed source / destination. A blank field is filled in with the last
+ * calculated address and prefix, so the link and history entry recorded
+ * for this run hold the network that was used. The address is kept as
+ * entered so host bits get the same warning as a typed one.
+ * @param {HTMLInputElement} input
+ * @returns {string}
+ */
+function aclEndpoint(input) {
+    const c = subnetListState.calc;
+    if (input.value.trim() === '' && c) input.value = `${c.ipAddress}/${c.cidr}`;
+    return input.value;
+}
+
+// ============================================================================
+// DISPLAY
+// ============================================================================
+
+/**
+ * Returns the blocks of a source / destination for the summary.
+ * @param {object} endpoint  - parseEndpoint() result
+ * @returns {string}
+ */
+function renderAclEndpoint(endpoint) {
+    if (endpoint.any) return 'any';
+    return endpoint.blocks.map(b =>
+        `${b.network}/${b.cidr} <span style="color:#555">wildcard</span> ${b.wildcard}`).join('<br>');
+}
+
+/**
+ * Renders a buildAcl() result.
+ * @param {object} r
+ */
+function displayAcl(r) {
+    const ports = r.ports.length === 0 ? 'any'
+                : r.ports.map(p => p.from === p.to ? p.from : `${p.from}-${p.to}`).join(', ');
+
+    resultDiv.innerHTML = `
+
+        <!-- SECTION 1 : Rule -->
+        <div class="result-section">
+            <div class="result-section-title">▶ RULE</div>
+            <table class="result-table">
+                <tr>
+                    <td class="label">Action:</td>
+                    <td class="value ${r.action === 'permit' ? 'highlight' : 'warning'}">${r.action.toUpperCase()}</td>
+                </tr>
+                <tr>
+                    <td class="label">Source:</td>
+                    <td class="value">${renderAclEndpoint(r.source)}</td>
+                </tr>
+                <tr>
+                    <td class="label">Destination:</td>
+                    <td class="value">${renderAclEndpoint(r.destination)}</td>
+                </tr>
+                <tr>
+                    <td class="label">Protocol / Ports:</td>
+                    <td class="value cyan">${r.protocol} <span style="color:#555">/</span> ${ports}</td>
+                </tr>
+                <tr>
+                    <td class="label">Lines per ACL:</td>
+                    <td class="value">${r.ruleCount}</td>
+                </tr>${r.warnings.map(w => `
+                <tr>
+                    <td class="label">Warning:</td>
+                    <td class="value warning">${escapeHtml(w)}</td>
+                </tr>`).join('')}
+            </table>
+        </div>
+
+        <!-- SECTION 2 : Formats -->
+        <div class="result-section full-width">
+            <div class="result-section-title">▶ RULES</div>${r.snippets.map(s => `
+            <div class="code-snippet">
+                <div class="subnet-pager export-bar">
+                    <span class="pager-info">${s.title.toUpperCase()}</span>
+                    ${s.text === null ? '' : `<button class="pager-btn" data-acl-copy="${s.key}">COPY</button>`}
+                    ${s.note ? `<span class="pager-info">${s.note}</span>` : ''}
+                </div>
+                ${s.text === null ? '' : `<pre class="code-text">${escapeHtml(s.text)}</pre>`}
+            </div>`).join('')}
+        </div>
+    `;
+    resultDiv.scrollTop = 0;
+}
@@ -0,0 +1,185 @@
+// ============================================================================
+// BULK MODE
+// ----------------------------------------------------------------------------
+// Page code for the [ BULK ] tab. The calculation is in lib/bulk.js.
+// ============================================================================
+
+const { calculateBulk, sortBulkRows, filterBulkRows } = IPCalc.bulk;
+
+const bulkListInput   = document.getElementById('bulkList');
+const bulkFileInput   = document.getElementById('bulkFile');
+const bulkFilterInput = document.getElementById('bulkFilter');
+const bulkBtn         = document.getElementById('bulkBtn');
+
+// Columns of the results table: sort key and heading
+const BULK_COLUMNS = [
+    { key: 'line',      title: '#' },
+    { key: 'input',     title: 'Input' },
+    { key: 'network',   title: 'Network' },
+    { key: 'broadcast', title: 'Broadcast' },
+    { key: 'usable',    title: 'Usable Range' },
+    { key: 'hosts',     title: 'Hosts' },
+    { key: 'class',     title: 'Class' },
+    { key: 'type',      title: 'Type' },
+];
+
+// Last bulk result on screen and how its table is sorted
+const bulkState = {
+    result     : null,
+    sortKey    : 'line',
+    descending : false,
+};
+
+/**
+ * Called on button click — calculates every line, renders the table.
+ * Only an empty list is an error; bad lines are flagged in the table.
+ */
+bulkBtn.addEventListener('click', function () {
+    let result;
+    try {
+        result = calculateBulk(bulkListInput.value);
+    } catch (err) {
+        if (!(err instanceof IPCalcError)) throw err;
+        showError(`⚠️ ERROR: ${err.message}`);
+        return;
+    }
+
+    bulkState.result = result;
+    displayBulkResults(result);
+});
+
+/**
+ * Loads an uploaded text / CSV file into the list and calculates it.
+ * A file that cannot be read gets an error instead.
+ */
+bulkFileInput.addEventListener('change', function () {
+    const file = bulkFileInput.files[0];
+    if (!file) return;
+    file.text().then(text => {
+        bulkListInput.value = text;
+        bulkBtn.click();
+    }, () => showError(`⚠️ ERROR: Could not read ${file.name}!`));
+});
+
+bulkFilterInput.addEventListener('input', function () {
+    if (bulkState.result) updateBulkTable();
+});
+
+resultDiv.addEventListener('click', function (e) {
+    const th = e.target.closest('[data-bulk-sort]');
+    if (th) sortBulkTable(th.dataset.bulkSort);
+});
+
+// ============================================================================
+// SORT / FILTER
+// ============================================================================
+
+/**
+ * Sorts by a column; clicking the sorted column again reverses it.
+ * @param {string} key  - BULK_COLUMNS key
+ */
+function sortBulkTable(key) {
+    bulkState.descending = bulkState.sortKey === key ? !bulkState.descending : false;
+    bulkState.sortKey    = key;
+    updateBulkTable();
+}
+
+/**
+ * Re-renders the table only, keeping the summary above it.
+ */
+function updateBulkTable() {
+    const table = document.getElementById('bulkTable');
+    if (table) table.innerHTML = renderBulkTable(bulkState.result.rows);
+}
+
+// ============================================================================
+// DISPLAY
+// ============================================================================
+
+/**
+ * Returns one table row: the calculation, or the reason the line failed.
+ * @param {object} row  - calculateBulk() row
+ * @returns {string}
+ */
+function renderBulkRow(row) {
+    if (row.error) {
+        return `
+                <tr class="invalid-row">
+                    <td>${row.line}</td>
+                    <td>${escapeHtml(row.input)}</td>
+                    <td colspan="${BULK_COLUMNS.length - 2}">✖ ${escapeHtml(row.error.message)}</td>
+                </tr>`;
+    }
+    const c = row.calc;
+    return `
+                <tr>
+                    <td>${row.line}</td>
+                    <td>${escapeHtml(row.input)}</td>
+                    <td class="highlight">${c.networkAddress}/${c.cidr}</td>
+                    <td>${c.broadcastAddress}</td>
+                    <td>${c.firstUsable} - ${c.lastUsable}</td>
+                    <td class="orange">${c.availableHosts.toLocaleString()}</td>
+                    <td class="cyan">${c.ipClass}</td>
+                    <td>${c.ipType}</td>
+                </tr>`;
+}
+
+/**
+ * Returns the filtered, sorted results table.
+ * @param {object[]} rows  - calculateBulk() rows
+ * @returns {string}
+ */
+function renderBulkTable(rows) {
+    const shown = sortBulkRows(filterBulkRows(rows, bulkFilterInput.value),
+                               bulkState.sortKey, bulkState.descending);
+
+    const headers = BULK_COLUMNS.map(col => {
+        const arrow = col.key !== bulkState.sortKey ? '' : bulkState.descending ? ' ▼' : ' ▲';
+        return `<th class="sortable" data-bulk-sort="${col.key}">${col.title}${arrow}</th>`;
+    }).join('');
+
+    const body = shown.length === 0
+        ? `<tr><td colspan="${BULK_COLUMNS.length}">No line matches the filter</td></tr>`
+        : shown.map(renderBulkRow).join('');
+
+    return `
+            <div class="pager-info">${shown.length} of ${rows.length} lines shown</div>
+            <table class="data-table">
+                <tr>${headers}</tr>${body}
+            </table>`;
+}
+
+/**
+ * Renders a calculateBulk() result.
+ * @param {object} r
+ */
+function displayBulkResults(r) {
+    resultDiv.innerHTML = `
+
+        <!-- SECTION 1 : Summary -->
+        <div class="result-section">
+            <div class="result-section-title">▶ BULK SUMMARY</div>
+            <table class="result-table">
+                <tr>
+                    <td class="label">Lines:</td>
+                    <td class="value">${r.rows.length}</td>
+                </tr>
+                <tr>
+                    <td class="label">Valid:</td>
+                    <td class="value highlight">${r.valid}</td>
+                </tr>
+                <tr>
+                    <td class="label">Invalid:</td>
+                    <td class="value ${r.invalid ? 'warning' : ''}">${r.invalid}</td>
+                </tr>
+            </table>
+        </div>
+
+        <!-- SECTION 2 : Results -->
+        <div class="result-section full-width">
+            <div class="result-section-title">▶ RESULTS <span style="color:#555;font-size:0.85em">click a heading to sort</span></div>
+            <div id="bulkTable">${renderBulkTable(r.rows)}</div>
+        </div>
+    `;
+    resultDiv.scrollTop = 0;
+}
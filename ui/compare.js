@@ -0,0 +1,163 @@
+// ============================================================================
+// COMPARE MODE
+// ----------------------------------------------------------------------------
+// Page code for the [ COMPARE ] tab. The comparison is in lib/compare.js.
+// ============================================================================
+
+const { compare } = IPCalc.compare;
+
+const compareAInput = document.getElementById('compareA');
+const compareBInput = document.getElementById('compareB');
+const compareBtn    = document.getElementById('compareBtn');
+
+// Plain-language summary of compareEntries().relationship
+const RELATIONSHIP_TEXT = {
+    'equal'        : 'A and B are the same network',
+    'a-contains-b' : 'B is inside A',
+    'b-contains-a' : 'A is inside B',
+    'adjacent'     : 'A and B are adjacent',
+    'disjoint'     : 'A and B do not overlap',
+};
+
+/**
+ * Called on button click — parses both entries, compares, renders.
+ */
+compareBtn.addEventListener('click', function () {
+    let result;
+    try {
+        result = compare(compareAInput.value, compareBInput.value);
+    } catch (err) {
+        if (!(err instanceof IPCalcError)) throw err;
+        showError(`⚠️ ERROR: ${err.message}`);
+        return;
+    }
+
+    displayComparison(result);
+});
+
+compareAInput.addEventListener('keypress', function (e) {
+    if (e.key === 'Enter') compareBtn.click();
+});
+
+compareBInput.addEventListener('keypress', function (e) {
+    if (e.key === 'Enter') compareBtn.click();
+});
+
+// ============================================================================
+// DISPLAY
+// ============================================================================
+
+/**
+ * YES / NO cell, YES highlighted.
+ * @param {boolean} flag
+ * @param {string}  [extra]  - text after YES
+ * @returns {string}
+ */
+function renderYesNo(flag, extra = '') {
+    return flag
+        ? `<td class="value highlight">YES${extra ? ` <span class="cyan">${extra}</span>` : ''}</td>`
+        : '<td class="value" style="color:#555">NO</td>';
+}
+
+/**
+ * Label for an entry: the address alone, or network/prefix.
+ * @param {object} entry  - parseEntry() result
+ * @returns {string}
+ */
+function describeEntry(entry) {
+    return entry.isAddress
+        ? intToIp(entry.ipInt)
+        : `${entry.network}/${entry.cidr} <span style="color:#555">→ ${entry.broadcast}</span>`;
+}
+
+/**
+ * Renders a compare() result.
+ * @param {object} r
+ */
+function displayComparison(r) {
+    const { a, b, cover } = r;
+    const mark = r.firstDiffBit === null ? undefined : r.firstDiffBit;
+
+    resultDiv.innerHTML = `
+
+        <!-- SECTION 1 : Entries -->
+        <div class="result-section">
+            <div class="result-section-title">▶ ENTRIES</div>
+            <table class="result-table">
+                <tr>
+                    <td class="label">A:</td>
+                    <td class="value highlight">${describeEntry(a)}</td>
+                </tr>
+                <tr>
+                    <td class="label">B:</td>
+                    <td class="value highlight">${describeEntry(b)}</td>
+                </tr>
+            </table>
+        </div>
+
+        <!-- SECTION 2 : Relationship -->
+        <div class="result-section">
+            <div class="result-section-title">▶ RELATIONSHIP</div>
+            <table class="result-table">
+                <tr>
+                    <td class="label">Result:</td>
+                    <td class="value orange">${RELATIONSHIP_TEXT[r.relationship]}</td>
+                </tr>
+                <tr>
+                    <td class="label">Equal:</td>
+                    ${renderYesNo(r.equal)}
+                </tr>
+                <tr>
+                    <td class="label">A contains B:</td>
+                    ${renderYesNo(r.aContainsB)}
+                </tr>
+                <tr>
+                    <td class="label">B contains A:</td>
+                    ${renderYesNo(r.bContainsA)}
+                </tr>
+                <tr>
+                    <td class="label">Overlap:</td>
+                    ${renderYesNo(r.overlap)}
+                </tr>
+                <tr>
+                    <td class="label">Adjacent:</td>
+                    ${renderYesNo(r.adjacent)}
+                </tr>
+                <tr>
+                    <td class="label">Mergeable:</td>
+                    ${renderYesNo(r.mergeable, r.merged ? `→ ${r.merged}` : '')}
+                </tr>
+                <tr>
+                    <td class="label">Common Prefix:</td>
+                    <td class="value cyan">/${r.commonPrefix}</td>
+                </tr>
+                <tr>
+                    <td class="label">Smallest Cover:</td>
+                    <td class="value">${cover.network}/${cover.cidr} <span style="color:#555">(${cover.size.toLocaleString()} addresses)</span></td>
+                </tr>
+            </table>
+        </div>
+
+        <!-- SECTION 3 : Binary View -->
+        <div class="result-section full-width">
+            <div class="result-section-title">▶ BINARY VIEW</div>
+            <div class="binary-legend">
+                <span class="legend-item"><span class="legend-dot" style="background:#ff4444"></span><span class="bit-network">Common</span></span>
+                <span class="legend-item"><span class="legend-dot" style="background:#ffaa00"></span><span class="bit-subnet">Own prefix</span></span>
+                <span class="legend-item"><span class="legend-dot" style="background:#00ff00"></span><span class="bit-host">Host</span></span>
+                <span class="legend-item"><span class="bit-mark">&nbsp;1&nbsp;</span><span style="color:#ffffff">First difference${mark === undefined ? ': none' : ` (bit ${mark})`}</span></span>
+            </div>
+            <br>
+            <div class="binary-row">
+                <span class="label">A&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;:</span>${renderBinaryAddress(intToBytes(a.networkInt), a.cidr, r.commonPrefix, mark)}
+            </div>
+            <div class="binary-row">
+                <span class="label">B&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;:</span>${renderBinaryAddress(intToBytes(b.networkInt), b.cidr, r.commonPrefix, mark)}
+            </div>
+            <div class="binary-row">
+                <span class="label">Cover&nbsp;:</span>${renderBinaryAddress(intToBytes(cover.networkInt), cover.cidr, r.commonPrefix)}
+            </div>
+        </div>
+    `;
+    resultDiv.scrollTop = 0;
+}
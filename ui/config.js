@@ -0,0 +1,143 @@
+// ============================================================================
+// DEVICE CONFIG
+// ----------------------------------------------------------------------------
+// Router, host and DHCP server snippets for the IPv4 result on screen, with
+// the gateway and the reserved addresses picked under the result. The
+// snippets are generated by lib/config.js.
+// ============================================================================
+
+const { generateConfigs } = IPCalc.config;
+
+// Options of the snippets on screen
+const configState = {
+    gateway  : 'first',
+    reserved : '0',
+    snippets : [],
+};
+
+resultDiv.addEventListener('click', function (e) {
+    const open    = e.target.closest('[data-config-open]');
+    const gateway = e.target.closest('[data-config-gateway]');
+    const copy    = e.target.closest('[data-config-copy]');
+    if (open)    showConfigs();
+    if (gateway) showConfigs({ gateway: gateway.dataset.configGateway });
+    if (copy)    copyConfig(copy, copy.dataset.configCopy);
+    if (e.target.closest('[data-config-apply]')) applyConfigReserved();
+    if (e.target.closest('[data-config-close]')) closeConfigs();
+});
+
+resultDiv.addEventListener('keypress', function (e) {
+    if (e.key === 'Enter' && e.target.closest('[data-config-reserved]')) applyConfigReserved();
+});
+
+// ============================================================================
+// ACTIONS
+// ============================================================================
+
+/**
+ * Regenerates the snippets with the reserved count typed in.
+ */
+function applyConfigReserved() {
+    const input = resultDiv.querySelector('[data-config-reserved]');
+    if (input) showConfigs({ reserved: input.value });
+}
+
+/**
+ * Copies one snippet to the clipboard.
+ * @param {HTMLElement} btn
+ * @param {string}      key  - CONFIG_SNIPPETS key
+ */
+function copyConfig(btn, key) {
+    const snippet = configState.snippets.find(s => s.key === key);
+    if (snippet) copyText(btn, snippet.text + '\n');
+}
+
+/**
+ * Puts the open button back in place of the snippets.
+ */
+function closeConfigs() {
+    const container = document.getElementById('configSnippets');
+    if (!container) return;
+    configState.snippets = [];
+    container.innerHTML = `
+                <div class="subnet-pager">
+                    <button class="pager-btn" data-config-open>GENERATE DEVICE CONFIG</button>
+                </div>`;
+}
+
+// ============================================================================
+// DISPLAY
+// ============================================================================
+
+/**
+ * Renders the snippets for the result on screen.
+ * A network too small for the options gets an error in place of the
+ * snippets, keeping the controls so the options can be changed.
+ * @param {{gateway?: 'first'|'last', reserved?: string}} [changes]
+ */
+function showConfigs(changes = {}) {
+    const c = subnetListState.calc;
+    const container = document.getElementById('configSnippets');
+    if (!c || !container) return;
+    Object.assign(configState, changes);
+
+    let body;
+    try {
+        const { addressing, snippets } = generateConfigs(c, configState);
+        configState.snippets = snippets;
+        body = renderConfigSnippets(addressing, snippets);
+    } catch (err) {
+        if (!(err instanceof IPCalcError)) throw err;
+        configState.snippets = [];
+        body = `<div class="error-msg">⚠️ ERROR: ${escapeHtml(err.message)}</div>`;
+    }
+
+    const gatewayButton = (value, text) =>
+        `<button class="pager-btn${configState.gateway === value ? ' selected' : ''}" data-config-gateway="${value}">${text}</button>`;
+
+    container.innerHTML = `
+            <div class="subnet-pager export-bar">
+                <span class="pager-info">GATEWAY</span>
+                ${gatewayButton('first', 'FIRST USABLE')}
+                ${gatewayButton('last', 'LAST USABLE')}
+            </div>
+            <div class="subnet-pager export-bar">
+                <span class="pager-info">RESERVE</span>
+                <input type="text" class="config-reserved" data-config-reserved value="${escapeHtml(configState.reserved)}" maxlength="8" autocomplete="off">
+                <span class="pager-info">addresses before the pool</span>
+                <button class="pager-btn" data-config-apply>APPLY</button>
+                <button class="pager-btn" data-config-close>CLOSE</button>
+            </div>
+            ${body}`;
+}
+
+/**
+ * Returns the addressing summary and one block per snippet.
+ * @param {object}   addressing  - planAddressing() result
+ * @param {object[]} snippets
+ * @returns {string}
+ */
+function renderConfigSnippets(addressing, snippets) {
+    return `
+            <table class="result-table">
+                <tr>
+                    <td class="label">Gateway:</td>
+                    <td class="value highlight">${addressing.gateway}</td>
+                </tr>
+                <tr>
+                    <td class="label">Static Host:</td>
+                    <td class="value">${addressing.host || '<span style="color:#555">none reserved: the host uses DHCP</span>'}</td>
+                </tr>
+                <tr>
+                    <td class="label">DHCP Pool:</td>
+                    <td class="value cyan">${addressing.poolStart} - ${addressing.poolEnd} <span style="color:#555">(${addressing.poolSize.toLocaleString()} addresses)</span></td>
+                </tr>
+            </table>${snippets.map(s => `
+            <div class="code-snippet">
+                <div class="subnet-pager export-bar">
+                    <span class="pager-info">${s.title.toUpperCase()}</span>
+                    <button class="pager-btn" data-config-copy="${s.key}">COPY</button>
+                </div>
+                <pre class="code-text">${escapeHtml(s.text)}</pre>
+            </div>`).join('')}`;
+}
@@ -0,0 +1,110 @@
+// ============================================================================
+// EXCLUDE MODE
+// ----------------------------------------------------------------------------
+// Page code for the [ EXCLUDE ] tab. The subtraction is in lib/exclude.js.
+// ============================================================================
+
+const { excludeNetworks } = IPCalc.exclude;
+
+const excludeBaseInput = document.getElementById('excludeBase');
+const excludeListInput = document.getElementById('excludeList');
+const excludeBtn       = document.getElementById('excludeBtn');
+
+// How each exclusion relates to the base network
+const EXCLUSION_STATUS_TEXT = {
+    inside  : 'removed',
+    overlap : 'clipped to the base',
+    outside : 'outside the base, ignored',
+};
+
+/**
+ * Called on button click — removes the listed networks from the base and
+ * lists the free blocks.
+ */
+excludeBtn.addEventListener('click', function () {
+    let result;
+    try {
+        result = excludeNetworks(excludeBaseInput.value, excludeListInput.value);
+    } catch (err) {
+        if (!(err instanceof IPCalcError)) throw err;
+        showError(`⚠️ ERROR: ${err.message}`);
+        return;
+    }
+
+    displayExclusion(result);
+});
+
+excludeBaseInput.addEventListener('keypress', function (e) {
+    if (e.key === 'Enter') excludeBtn.click();
+});
+
+// ============================================================================
+// DISPLAY
+// ============================================================================
+
+/**
+ * Renders an excludeNetworks() result.
+ * @param {object} r
+ */
+function displayExclusion(r) {
+    const exclusionRows = r.exclusions.map(e => `
+        <div class="subnet-list-row">
+            <span class="sn-num">L${e.line}</span>
+            <span>${e.network}/${e.cidr}</span>
+            <span style="color:${e.status === 'inside' ? '#ffaa00' : e.status === 'overlap' ? '#ffff00' : '#555'}">${EXCLUSION_STATUS_TEXT[e.status]}</span>
+        </div>`).join('');
+
+    const blockRows = r.blocks.length === 0
+        ? '<div class="subnet-list-row"><span></span><span>No free space left</span><span></span></div>'
+        : r.blocks.map((b, i) => `
+        <div class="subnet-list-row">
+            <span class="sn-num">#${i + 1}</span>
+            <span>${b.network}/${b.cidr}</span>
+            <span>→ ${b.broadcast} (${b.size.toLocaleString()})</span>
+        </div>`).join('');
+
+    resultDiv.innerHTML = `
+
+        <!-- SECTION 1 : Summary -->
+        <div class="result-section">
+            <div class="result-section-title">▶ EXCLUSION</div>
+            <table class="result-table">
+                <tr>
+                    <td class="label">Base:</td>
+                    <td class="value highlight">${r.base.network}/${r.base.cidr}</td>
+                </tr>
+                <tr>
+                    <td class="label">Addresses:</td>
+                    <td class="value">${r.base.size.toLocaleString()}</td>
+                </tr>
+                <tr>
+                    <td class="label">Excluded:</td>
+                    <td class="value orange">${r.excluded.toLocaleString()}</td>
+                </tr>
+                <tr>
+                    <td class="label">Free:</td>
+                    <td class="value highlight">${r.free.toLocaleString()}</td>
+                </tr>
+                <tr>
+                    <td class="label">Free Blocks:</td>
+                    <td class="value cyan">${r.blocks.length}</td>
+                </tr>
+            </table>
+        </div>
+
+        <!-- SECTION 2 : Exclusions -->
+        <div class="result-section">
+            <div class="result-section-title">▶ EXCLUDED</div>
+            <div class="subnet-list">${exclusionRows}
+            </div>
+        </div>
+
+        <!-- SECTION 3 : Free Blocks -->
+        <div class="result-section full-width">
+            <div class="result-section-title">▶ FREE BLOCKS <span style="color:#555;font-size:0.85em">what remains of ${r.base.network}/${r.base.cidr}</span></div>
+            <div class="subnet-list">${blockRows}
+            </div>
+        </div>
+    `;
+    resultDiv.scrollTop = 0;
+}
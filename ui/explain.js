@@ -0,0 +1,92 @@
+// ============================================================================
+// SHOW YOUR WORK
+// ----------------------------------------------------------------------------
+// Steps through the derivation of the IPv4 result on screen, one operation
+// at a time, with the bits involved highlighted. The steps are built by
+// lib/explain.js.
+// ============================================================================
+
+const { explainCalculation } = IPCalc.explain;
+
+// Steps of the result being explained and the one shown
+const explainState = {
+    calc  : null,
+    steps : [],
+    index : 0,
+};
+
+resultDiv.addEventListener('click', function (e) {
+    const btn = e.target.closest('[data-explain-step]');
+    if (btn) goToExplainStep(btn.dataset.explainStep);
+});
+
+/**
+ * Shows another step, or closes the walkthrough.
+ * @param {'first'|'prev'|'next'|'last'|'close'} where
+ */
+function goToExplainStep(where) {
+    const c = subnetListState.calc;
+    const container = document.getElementById('explainSteps');
+    if (!c || !container) return;
+
+    if (explainState.calc !== c) {
+        explainState.calc  = c;
+        explainState.steps = explainCalculation(c);
+        explainState.index = 0;
+    }
+
+    if (where === 'close') {
+        container.innerHTML = `
+                <div class="subnet-pager">
+                    <button class="pager-btn" data-explain-step="first">STEP THROUGH THE CALCULATION</button>
+                </div>`;
+        return;
+    }
+
+    const last  = explainState.steps.length - 1;
+    const index = where === 'first' ? 0
+                : where === 'prev'  ? explainState.index - 1
+                : where === 'next'  ? explainState.index + 1
+                : last;
+    explainState.index  = Math.min(Math.max(index, 0), last);
+    container.innerHTML = renderExplainStep(c, explainState.steps, explainState.index);
+}
+
+// ============================================================================
+// DISPLAY
+// ============================================================================
+
+/**
+ * Returns one step: formula, binary rows colored like the binary view with
+ * the bits it works on marked, the explanation, and the step pager.
+ * @param {object}   c      - calculate() result
+ * @param {object[]} steps  - explainCalculation() result
+ * @param {number}   index
+ * @returns {string}
+ */
+function renderExplainStep(c, steps, index) {
+    const step = steps[index];
+    const last = steps.length - 1;
+
+    const rows = step.rows.map(row => `
+            <div class="binary-row">
+                <span class="label">${row.label}</span><span class="explain-op">${row.op}</span>${renderBinaryAddress(row.bytes, c.cidr, c.parentCidr, row.mark)}
+                <span class="notation-value explain-dotted">${row.dotted}</span>
+            </div>`).join('');
+
+    return `
+            <div class="explain-title">STEP ${index + 1} / ${steps.length} : ${step.title}</div>
+            <div class="explain-formula">${step.formula}</div>
+            ${rows}
+            <ul class="explain-notes">${step.notes.map(note => `
+                <li>${note}</li>`).join('')}
+            </ul>
+            <div class="subnet-pager">
+                <button class="pager-btn" data-explain-step="first"${index === 0 ? ' disabled' : ''}>«</button>
+                <button class="pager-btn" data-explain-step="prev"${index === 0 ? ' disabled' : ''}>‹ BACK</button>
+                <span class="pager-info">STEP ${index + 1} / ${steps.length}</span>
+                <button class="pager-btn" data-explain-step="next"${index === last ? ' disabled' : ''}>NEXT ›</button>
+                <button class="pager-btn" data-explain-step="last"${index === last ? ' disabled' : ''}>»</button>
+                <button class="pager-btn" data-explain-step="close">CLOSE</button>
+            </div>`;
+}
@@ -0,0 +1,79 @@
+// ============================================================================
+// EXPORT
+// ----------------------------------------------------------------------------
+// Download / copy buttons under the calculator result. The formats are in
+// lib/export.js.
+// ============================================================================
+
+const { EXPORT_FORMATS, exportFileName } = IPCalc.export;
+
+resultDiv.addEventListener('click', function (e) {
+    const btn = e.target.closest('[data-export]');
+    if (btn) exportResult(btn, btn.dataset.export, btn.dataset.exportAction);
+});
+
+/**
+ * Exports the IPv4 result on screen.
+ * @param {HTMLElement} btn     - the clicked button, for feedback
+ * @param {string}      format  - EXPORT_FORMATS key
+ * @param {'download'|'copy'} action
+ */
+function exportResult(btn, format, action) {
+    const c = subnetListState.calc;
+    if (!c) return;
+    const { extension, mime, format: toText } = EXPORT_FORMATS[format];
+    const text = toText(c);
+
+    if (action === 'copy') {
+        copyText(btn, text);
+        return;
+    }
+
+    downloadText(text, exportFileName(c, extension), mime);
+}
+
+/**
+ * Saves text as a file through a temporary download link. Some browsers
+ * start the download after click() returns, so the URL is revoked later.
+ * @param {string} text
+ * @param {string} fileName
+ * @param {string} mime
+ */
+function downloadText(text, fileName, mime) {
+    const url  = URL.createObjectURL(new Blob([text], { type: mime }));
+    const link = document.createElement('a');
+    link.href     = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Copies text to the clipboard and reports the outcome on the button.
+ * The clipboard API is missing outside secure contexts (plain http).
+ * @param {HTMLElement} btn
+ * @param {string}      text
+ */
+function copyText(btn, text) {
+    if (!navigator.clipboard || !navigator.clipboard.writeText) {
+        flashButton(btn, 'FAILED');
+        return;
+    }
+    navigator.clipboard.writeText(text).then(
+        () => flashButton(btn, 'COPIED'),
+        () => flashButton(btn, 'FAILED'));
+}
+
+/**
+ * Shows a short message on a button, then restores its label. The label
+ * is saved on the button the first time, so a second click during the
+ * message does not make the message the label.
+ * @param {HTMLElement} btn
+ * @param {string}      message
+ */
+function flashButton(btn, message) {
+    if (btn.dataset.label === undefined) btn.dataset.label = btn.textContent;
+    clearTimeout(btn.flashTimer);
+    btn.textContent = message;
+    btn.flashTimer = setTimeout(() => { btn.textContent = btn.dataset.label; }, 1200);
+}
@@ -0,0 +1,281 @@
+// ============================================================================
+// SHAREABLE URLS & HISTORY
+// ----------------------------------------------------------------------------
+// Every calculation run from a mode panel is written to the URL hash
+// ("#mode=calc&run=calculateBtn&ipAddress=10.0.0.5&subnetMask=%2F24") and to
+// a history list in localStorage. Opening such a link, recalling a history
+// entry, or going back / forward fills the panel in and runs it again.
+// Loaded last so every mode's button handler is already wired.
+// ============================================================================
+
+const HISTORY_KEY      = 'ipcalc.history';
+const HISTORY_LIMIT    = 30;     // unpinned entries kept; pinned ones are never dropped
+const HISTORY_HASH_MAX = 2000;   // longer runs (large pastes) are not linked or kept
+
+const historyListDiv  = document.getElementById('historyList');
+const historyClearBtn = document.getElementById('historyClearBtn');
+
+// True while a stored calculation is being re-run, so it is not recorded again
+let restoringState = false;
+
+// ============================================================================
+// STATE <-> URL
+// ============================================================================
+
+/**
+ * Reads the inputs of the panel a run button belongs to.
+ * File inputs are skipped; checkboxes are stored as '1' when checked.
+ * @param {HTMLElement} btn  - the clicked .retro-button
+ * @returns {{mode: string, run: string, fields: Object<string, string>, summary: string}}
+ *          `summary` is the typed text on one line, for the history list
+ */
+function readPanelState(btn) {
+    const panel  = btn.closest('.mode-panel');
+    const fields = {};
+    const typed  = [];
+    panel.querySelectorAll('input[id], textarea[id], select[id]').forEach(el => {
+        if (el.type === 'file') return;
+        if (el.type === 'checkbox') {
+            if (el.checked) fields[el.id] = '1';
+        } else if (el.value !== '') {
+            fields[el.id] = el.value;
+            typed.push(el.value);
+        }
+    });
+
+    const summary = typed.join(' ').replace(/\s+/g, ' ').trim();
+    return {
+        mode    : panel.dataset.mode,
+        run     : btn.id,
+        fields,
+        summary : summary.length > 48 ? summary.slice(0, 47) + '…' : summary,
+    };
+}
+
+/**
+ * @param {{mode: string, run: string, fields: object}} state
+ * @returns {string}  "#mode=...&run=...&field=value..."
+ */
+function stateToHash(state) {
+    return '#' + new URLSearchParams({ mode: state.mode, run: state.run, ...state.fields }).toString();
+}
+
+/**
+ * @param {string} hash  - location.hash
+ * @returns {{mode: string, run: string, fields: object}|null}  null when the
+ *          hash holds no calculation
+ */
+function hashToState(hash) {
+    const params = new URLSearchParams(String(hash).replace(/^#/, ''));
+    const mode = params.get('mode');
+    const run  = params.get('run');
+    if (!mode || !run) return null;
+    params.delete('mode');
+    params.delete('run');
+    return { mode, run, fields: Object.fromEntries(params) };
+}
+
+/**
+ * Switches to the state's mode, fills its panel in and runs it.
+ * @param {{mode: string, run: string, fields: object}} state
+ * @returns {boolean}  false when the state names no known panel / button
+ */
+function applyState(state) {
+    const panel = Array.from(modePanels).find(p => p.dataset.mode === state.mode);
+    const btn   = document.getElementById(state.run);
+    if (!panel || !btn || !panel.contains(btn)) return false;
+
+    setMode(state.mode);
+    panel.querySelectorAll('input[id], textarea[id], select[id]').forEach(el => {
+        if (el.type === 'file') return;
+        if (el.type === 'checkbox') el.checked = state.fields[el.id] === '1';
+        else el.value = state.fields[el.id] || '';
+    });
+
+    restoringState = true;
+    try {
+        btn.click();
+    } finally {
+        restoringState = false;
+    }
+    return true;
+}
+
+// ============================================================================
+// HISTORY STORAGE
+// ============================================================================
+
+/**
+ * @returns {{hash: string, mode: string, summary: string, label: string,
+ *            pinned: boolean, time: number}[]}  pinned first, newest first;
+ *          stored entries of another shape are left out
+ */
+function loadHistory() {
+    let list;
+    try {
+        list = JSON.parse(localStorage.getItem(HISTORY_KEY) || '[]');
+    } catch (err) {
+        return [];   // storage disabled or corrupt
+    }
+    if (!Array.isArray(list)) return [];
+    return list.filter(isHistoryEntry).map(entry => ({
+        hash    : entry.hash,
+        mode    : entry.mode,
+        summary : typeof entry.summary === 'string' ? entry.summary : '',
+        label   : typeof entry.label === 'string' ? entry.label : '',
+        pinned  : entry.pinned === true,
+        time    : Number.isFinite(entry.time) ? entry.time : 0,
+    }));
+}
+
+/**
+ * Tells whether a stored value is a history entry that can be shown and
+ * recalled: an object with a hash and a mode.
+ * @param {*} entry
+ * @returns {boolean}
+ */
+function isHistoryEntry(entry) {
+    return entry !== null && typeof entry === 'object'
+        && typeof entry.hash === 'string' && entry.hash.length <= HISTORY_HASH_MAX
+        && typeof entry.mode === 'string';
+}
+
+/**
+ * Sorts, trims to HISTORY_LIMIT unpinned entries and stores the list.
+ * @param {object[]} list
+ */
+function saveHistory(list) {
+    list.sort((a, b) => (b.pinned - a.pinned) || (b.time - a.time));
+    let unpinned = 0;
+    const kept = list.filter(entry => entry.pinned || ++unpinned <= HISTORY_LIMIT);
+    try {
+        localStorage.setItem(HISTORY_KEY, JSON.stringify(kept));
+    } catch (err) {
+        // storage disabled or full: history just isn't kept
+    }
+}
+
+/**
+ * Adds a calculation to the history; running one again moves it to the
+ * top and keeps its label and pin.
+ * @param {{mode: string, run: string, fields: object, summary: string}} state
+ *        readPanelState() result
+ */
+function addHistoryEntry(state) {
+    const hash = stateToHash(state);
+    const list = loadHistory();
+    const old  = list.find(entry => entry.hash === hash);
+    const rest = list.filter(entry => entry !== old);
+
+    rest.push({
+        hash,
+        mode    : state.mode,
+        summary : state.summary,
+        label   : old ? old.label : '',
+        pinned  : old ? old.pinned : false,
+        time    : Date.now(),
+    });
+    saveHistory(rest);
+    renderHistory();
+}
+
+// ============================================================================
+// DISPLAY
+// ============================================================================
+
+/**
+ * Redraws the history panel.
+ */
+function renderHistory() {
+    const list = loadHistory();
+    if (list.length === 0) {
+        historyListDiv.innerHTML = '<div class="history-empty">No calculations yet</div>';
+        return;
+    }
+    historyListDiv.innerHTML = list.map((entry, i) => `
+        <div class="history-row${entry.pinned ? ' pinned' : ''}">
+            <button class="history-recall" data-history-recall="${i}" title="${escapeHtml(entry.summary)}">
+                <span class="history-mode">${escapeHtml(entry.mode.toUpperCase())}</span>
+                ${escapeHtml(entry.label || entry.summary)}
+            </button>
+            <button class="pager-btn" data-history-pin="${i}" title="Pin">${entry.pinned ? '★' : '☆'}</button>
+            <button class="pager-btn" data-history-label="${i}" title="Label">LABEL</button>
+        </div>`).join('');
+}
+
+// ============================================================================
+// EVENT LISTENERS
+// ============================================================================
+
+/**
+ * Records every successful run of a mode panel's button. Runs after the
+ * button's own handler, so an error message in the result panel means the
+ * input was rejected. The history and IPAM buttons change stored data
+ * instead of calculating, so replaying them makes no sense. A run longer
+ * than HISTORY_HASH_MAX, such as a large paste, would make an unusable
+ * link and fill the storage: it only clears the hash of the previous run.
+ */
+document.addEventListener('click', function (e) {
+    const btn = e.target.closest('.mode-panel .retro-button');
+    if (!btn || restoringState || ['history', 'ipam'].includes(btn.closest('.mode-panel').dataset.mode)) return;
+    if (resultDiv.querySelector('.error-msg')) return;
+
+    const state = readPanelState(btn);
+    const hash  = stateToHash(state);
+    if (hash.length > HISTORY_HASH_MAX) {
+        if (location.hash) history.pushState(null, '', location.pathname + location.search);
+        return;
+    }
+    if (hash !== location.hash) history.pushState(null, '', hash);
+    addHistoryEntry(state);
+});
+
+// Back / forward, and hash links followed inside the page
+window.addEventListener('popstate', function () {
+    const state = hashToState(location.hash);
+    if (state) applyState(state);
+});
+
+historyListDiv.addEventListener('click', function (e) {
+    const list   = loadHistory();
+    const recall = e.target.closest('[data-history-recall]');
+    const pin    = e.target.closest('[data-history-pin]');
+    const label  = e.target.closest('[data-history-label]');
+
+    if (recall) {
+        const entry = list[recall.dataset.historyRecall];
+        // Assigning the hash adds a history step and fires popstate
+        if (location.hash === entry.hash) applyState(hashToState(entry.hash));
+        else location.hash = entry.hash;
+    } else if (pin) {
+        const entry = list[pin.dataset.historyPin];
+        entry.pinned = !entry.pinned;
+        saveHistory(list);
+        renderHistory();
+    } else if (label) {
+        const entry = list[label.dataset.historyLabel];
+        const text  = prompt('Label for this calculation:', entry.label);
+        if (text === null) return;
+        entry.label = text.trim();
+        saveHistory(list);
+        renderHistory();
+    }
+});
+
+/**
+ * Clears the unpinned entries; pinned entries stay, as the button says.
+ */
+historyClearBtn.addEventListener('click', function () {
+    saveHistory(loadHistory().filter(entry => entry.pinned));
+    renderHistory();
+});
+
+// ============================================================================
+// INIT
+// ============================================================================
+
+renderHistory();
+
+// A shared link: restore its calculation
+const initialState = hashToState(location.hash);
+if (initialState) applyState(initialState);
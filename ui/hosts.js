@@ -0,0 +1,228 @@
+// ============================================================================
+// HOST ENUMERATOR
+// ----------------------------------------------------------------------------
+// Host list, host number lookup and random picks under SUBNET INFO for the
+// IPv4 result on screen. The enumeration is in lib/hosts.js.
+// ============================================================================
+
+const { HOST_PAGE_SIZE, hostBounds, lookupHost, listHosts, hostsToText, pickRandomHosts } = IPCalc.hosts;
+
+// Enumerator page, typed fields and the last lookup / pick, kept while open
+const hostsState = {
+    page    : 0,
+    lookup  : '',
+    count   : '5',
+    exclude : '',
+    found   : null,
+    picks   : [],
+    error   : null,
+};
+
+resultDiv.addEventListener('click', function (e) {
+    const page   = e.target.closest('[data-hosts-page]');
+    const output = e.target.closest('[data-hosts-export]');
+    if (page)   goToHostsPage(page.dataset.hostsPage);
+    if (output) exportHosts(output, output.dataset.hostsExport);
+    if (e.target.closest('[data-hosts-open]'))   openHosts();
+    if (e.target.closest('[data-hosts-lookup]')) findHost();
+    if (e.target.closest('[data-hosts-pick]'))   pickHosts();
+    if (e.target.closest('[data-hosts-close]'))  closeHosts();
+});
+
+resultDiv.addEventListener('keypress', function (e) {
+    const field = e.target.closest('[data-hosts-field]');
+    if (e.key !== 'Enter' || !field) return;
+    if (field.dataset.hostsField === 'lookup') findHost();
+    else pickHosts();
+});
+
+// ============================================================================
+// ACTIONS
+// ============================================================================
+
+/**
+ * Opens the enumerator on the page holding the entered address.
+ */
+function openHosts() {
+    const c = subnetListState.calc;
+    if (!c || hostBounds(c).count === 0) return;
+    const { first, last } = hostBounds(c);
+    const index = Math.min(Math.max(c.hostNumber, first), last);
+    Object.assign(hostsState, { found: null, picks: [], error: null });
+    hostsState.page = Math.floor((index - first) / HOST_PAGE_SIZE);
+    showHosts();
+}
+
+/**
+ * Reads the typed fields into hostsState.
+ */
+function readHostsFields() {
+    resultDiv.querySelectorAll('[data-hosts-field]').forEach(input => {
+        hostsState[input.dataset.hostsField] = input.value;
+    });
+}
+
+/**
+ * Looks up the typed host number or address and pages to it.
+ */
+function findHost() {
+    const c = subnetListState.calc;
+    readHostsFields();
+    hostsState.error = null;
+    try {
+        hostsState.found = lookupHost(c, hostsState.lookup);
+        hostsState.page  = Math.floor((hostsState.found.index - hostBounds(c).first) / HOST_PAGE_SIZE);
+    } catch (err) {
+        if (!(err instanceof IPCalcError)) throw err;
+        hostsState.found = null;
+        hostsState.error = err.message;
+    }
+    showHosts();
+}
+
+/**
+ * Picks the typed number of random hosts outside the exclusions.
+ */
+function pickHosts() {
+    readHostsFields();
+    hostsState.error = null;
+    try {
+        hostsState.picks = pickRandomHosts(subnetListState.calc, hostsState.count, { exclude: hostsState.exclude }).hosts;
+    } catch (err) {
+        if (!(err instanceof IPCalcError)) throw err;
+        hostsState.picks = [];
+        hostsState.error = err.message;
+    }
+    showHosts();
+}
+
+/**
+ * Moves the host list to another page.
+ * @param {'first'|'prev'|'next'|'last'} where
+ */
+function goToHostsPage(where) {
+    const last = Math.ceil(hostBounds(subnetListState.calc).count / HOST_PAGE_SIZE) - 1;
+    const page = where === 'first' ? 0
+               : where === 'prev'  ? hostsState.page - 1
+               : where === 'next'  ? hostsState.page + 1
+               : last;
+    readHostsFields();
+    hostsState.page = Math.min(Math.max(page, 0), last);
+    showHosts();
+}
+
+/**
+ * Downloads or copies every host address, or copies the random picks.
+ * Networks past the export limit get the error in the enumerator.
+ * @param {HTMLElement} btn
+ * @param {'download'|'copy'|'picks'} action
+ */
+function exportHosts(btn, action) {
+    const c = subnetListState.calc;
+    if (action === 'picks') {
+        copyText(btn, hostsState.picks.map(h => h.address).join('\n') + '\n');
+        return;
+    }
+
+    let text;
+    try {
+        text = hostsToText(c);
+    } catch (err) {
+        if (!(err instanceof IPCalcError)) throw err;
+        readHostsFields();
+        hostsState.error = err.message;
+        showHosts();
+        return;
+    }
+    if (action === 'copy') copyText(btn, text);
+    else downloadText(text, `ipcalc-${c.networkAddress}-${c.cidr}-hosts.txt`, 'text/plain');
+}
+
+/**
+ * Puts the open button back in place of the enumerator.
+ */
+function closeHosts() {
+    const container = document.getElementById('hostEnumerator');
+    if (!container) return;
+    container.innerHTML = `
+                <div class="subnet-pager">
+                    <button class="pager-btn" data-hosts-open>LIST HOSTS</button>
+                </div>`;
+}
+
+// ============================================================================
+// DISPLAY
+// ============================================================================
+
+/**
+ * Renders the enumerator for the result on screen: one page of hosts, the
+ * lookup and pick controls, the picks and the export buttons.
+ */
+function showHosts() {
+    const c = subnetListState.calc;
+    const container = document.getElementById('hostEnumerator');
+    if (!c || !container) return;
+
+    const { first, count } = hostBounds(c);
+    const pageCount = Math.ceil(count / HOST_PAGE_SIZE);
+    const page      = hostsState.page;
+    const marked    = hostsState.found ? hostsState.found.index : c.hostNumber;
+
+    const hostRows = listHosts(c, page * HOST_PAGE_SIZE, HOST_PAGE_SIZE).map(h => `
+                <div class="subnet-list-row${h.index === marked ? ' current' : ''}">
+                    <span class="sn-num">#${h.index.toLocaleString()}</span>
+                    <span>${h.address}</span>
+                </div>`).join('');
+
+    const pager = pageCount <= 1 ? '' : `
+            <div class="subnet-pager">
+                <button class="pager-btn" data-hosts-page="first"${page === 0 ? ' disabled' : ''}>«</button>
+                <button class="pager-btn" data-hosts-page="prev"${page === 0 ? ' disabled' : ''}>‹</button>
+                <span class="pager-info">PAGE ${(page + 1).toLocaleString()} / ${pageCount.toLocaleString()}</span>
+                <button class="pager-btn" data-hosts-page="next"${page === pageCount - 1 ? ' disabled' : ''}>›</button>
+                <button class="pager-btn" data-hosts-page="last"${page === pageCount - 1 ? ' disabled' : ''}>»</button>
+            </div>`;
+
+    const found = !hostsState.found ? '' : `
+            <table class="result-table">
+                <tr>
+                    <td class="label">Host #${hostsState.found.index.toLocaleString()}:</td>
+                    <td class="value highlight">${hostsState.found.address}</td>
+                </tr>
+            </table>`;
+
+    const picks = hostsState.picks.length === 0 ? '' : `
+            <div class="subnet-pager export-bar">
+                <span class="pager-info">${hostsState.picks.length} RANDOM</span>
+                <button class="pager-btn" data-hosts-export="picks">COPY</button>
+            </div>
+            <div class="subnet-list">${hostsState.picks.map(h => `
+                <div class="subnet-list-row">
+                    <span class="sn-num">#${h.index.toLocaleString()}</span>
+                    <span>${h.address}</span>
+                </div>`).join('')}
+            </div>`;
+
+    container.innerHTML = `
+            <div class="pager-info">${count.toLocaleString()} host${count === 1 ? '' : 's'}, numbers ${first} to ${(first + count - 1).toLocaleString()}</div>
+            <div class="subnet-list">${hostRows}
+            </div>${pager}
+            <div class="subnet-pager export-bar">
+                <span class="pager-info">FIND</span>
+                <input type="text" class="hosts-input" data-hosts-field="lookup" value="${escapeHtml(hostsState.lookup)}" placeholder="host # or address" maxlength="40" autocomplete="off">
+                <button class="pager-btn" data-hosts-lookup>GO</button>
+            </div>
+            <div class="subnet-pager export-bar">
+                <span class="pager-info">PICK</span>
+                <input type="text" class="hosts-count" data-hosts-field="count" value="${escapeHtml(hostsState.count)}" maxlength="4" autocomplete="off">
+                <input type="text" class="hosts-input" data-hosts-field="exclude" value="${escapeHtml(hostsState.exclude)}" placeholder="except 10.0.0.0/28, 10.0.0.99" maxlength="500" autocomplete="off">
+                <button class="pager-btn" data-hosts-pick>RANDOM</button>
+            </div>
+            <div class="subnet-pager export-bar">
+                <span class="pager-info">ALL HOSTS</span>
+                <button class="pager-btn" data-hosts-export="download">TXT</button>
+                <button class="pager-btn" data-hosts-export="copy">COPY</button>
+                <button class="pager-btn" data-hosts-close>CLOSE</button>
+            </div>${hostsState.error ? `
+            <div class="error-msg">⚠️ ERROR: ${escapeHtml(hostsState.error)}</div>` : ''}${found}${picks}`;
+}
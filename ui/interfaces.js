@@ -0,0 +1,117 @@
+// ============================================================================
+// IMPORT MODE
+// ----------------------------------------------------------------------------
+// Page code for the [ IMPORT ] tab. The parsers are in lib/interfaces.js.
+// ============================================================================
+
+const { importInterfaces, INTERFACE_FORMATS } = IPCalc.interfaces;
+
+const importTextInput   = document.getElementById('importText');
+const importFormatInput = document.getElementById('importFormat');
+const importBtn         = document.getElementById('importBtn');
+
+/**
+ * Called on button click — parses the pasted output, renders the table.
+ * Interfaces that fail to calculate are flagged in the table.
+ */
+importBtn.addEventListener('click', function () {
+    let result;
+    try {
+        result = importInterfaces(importTextInput.value, importFormatInput.value);
+    } catch (err) {
+        if (!(err instanceof IPCalcError)) throw err;
+        showError(`⚠️ ERROR: ${err.message}`);
+        return;
+    }
+
+    displayImportResults(result);
+});
+
+// ============================================================================
+// DISPLAY
+// ============================================================================
+
+/**
+ * Returns one table row: the interface's network, or why it has none.
+ * @param {object} row  - importInterfaces() row
+ * @returns {string}
+ */
+function renderImportRow(row) {
+    const mask    = !row.mask ? '' : row.mask.startsWith('/') ? row.mask : ` ${row.mask}`;
+    const address = escapeHtml(row.ip + mask);
+    if (!row.calc) {
+        return `
+                <tr class="invalid-row">
+                    <td>${row.line}</td>
+                    <td>${escapeHtml(row.name)}</td>
+                    <td>${address}</td>
+                    <td colspan="5">✖ ${escapeHtml(row.error)}</td>
+                </tr>`;
+    }
+    const c = row.calc;
+    const overlaps = row.overlaps.length === 0 ? '-' : row.overlaps
+        .map(o => `${o.kind === 'same' ? 'same subnet as' : 'overlaps'} ${escapeHtml(o.name)} (${o.ip})`)
+        .join('<br>');
+    return `
+                <tr>
+                    <td>${row.line}</td>
+                    <td>${escapeHtml(row.name)}</td>
+                    <td>${address}</td>
+                    <td class="highlight">${c.networkAddress}/${c.cidr}</td>
+                    <td>${c.firstUsable} - ${c.lastUsable}</td>
+                    <td class="orange">${c.availableHosts.toLocaleString()}</td>
+                    <td>${c.ipType}</td>
+                    <td class="${row.overlaps.length ? 'orange' : ''}">${overlaps}</td>
+                </tr>`;
+}
+
+/**
+ * Renders an importInterfaces() result.
+ * @param {object} r
+ */
+function displayImportResults(r) {
+    const failed = r.rows.filter(row => !row.calc).length;
+    resultDiv.innerHTML = `
+
+        <!-- SECTION 1 : Summary -->
+        <div class="result-section">
+            <div class="result-section-title">▶ IMPORT SUMMARY</div>
+            <table class="result-table">
+                <tr>
+                    <td class="label">Format:</td>
+                    <td class="value cyan">${INTERFACE_FORMATS[r.format].title}</td>
+                </tr>
+                <tr>
+                    <td class="label">Addresses:</td>
+                    <td class="value highlight">${r.rows.length}</td>
+                </tr>
+                <tr>
+                    <td class="label">Overlapping:</td>
+                    <td class="value ${r.overlapping ? 'warning' : ''}">${r.overlapping}</td>
+                </tr>${failed ? `
+                <tr>
+                    <td class="label">No Network:</td>
+                    <td class="value warning">${failed}</td>
+                </tr>` : ''}
+            </table>
+        </div>
+
+        <!-- SECTION 2 : Interfaces -->
+        <div class="result-section full-width">
+            <div class="result-section-title">▶ INTERFACES</div>
+            <table class="data-table">
+                <tr>
+                    <th>Line</th>
+                    <th>Interface</th>
+                    <th>Address</th>
+                    <th>Network</th>
+                    <th>Usable Range</th>
+                    <th>Hosts</th>
+                    <th>Type</th>
+                    <th>Shares Subnet</th>
+                </tr>${r.rows.map(renderImportRow).join('')}
+            </table>
+        </div>
+    `;
+    resultDiv.scrollTop = 0;
+}
@@ -0,0 +1,346 @@
+// ============================================================================
+// IPAM MODE
+// ----------------------------------------------------------------------------
+// Page code for the [ IPAM ] tab: the site's blocks, subnets and hosts, kept
+// in localStorage and shown with their utilization. Any subnet opens in the
+// full calculator result. The workspace logic is in lib/ipam.js.
+// ============================================================================
+
+const {
+    findEntry,
+    createWorkspace,
+    addBlock,
+    addSubnet,
+    addHost,
+    removeEntry,
+    describeWorkspace,
+    exportWorkspace,
+    importWorkspace,
+} = IPCalc.ipam;
+
+const IPAM_KEY = 'ipcalc.ipam';
+
+const ipamKindInput        = document.getElementById('ipamKind');
+const ipamAddressInput     = document.getElementById('ipamAddress');
+const ipamMaskInput        = document.getElementById('ipamMask');
+const ipamNameInput        = document.getElementById('ipamName');
+const ipamVlanInput        = document.getElementById('ipamVlan');
+const ipamDescriptionInput = document.getElementById('ipamDescription');
+const ipamFileInput        = document.getElementById('ipamFile');
+const ipamAddBtn           = document.getElementById('ipamAddBtn');
+
+// Workspace on screen, the subnets whose host lists are open, and a stored
+// workspace that could not be loaded: {text, error}, kept until replaced
+const ipamState = {
+    workspace  : null,
+    expanded   : new Set(),
+    unreadable : null,
+};
+
+/**
+ * Called on button click — adds the typed entry and redraws the workspace.
+ * The entry fields are cleared for the next one; kind and mask stay.
+ */
+ipamAddBtn.addEventListener('click', function () {
+    const workspace = ipamWorkspace();
+    const fields = {
+        network     : ipamAddressInput.value,
+        address     : ipamAddressInput.value,
+        mask        : ipamMaskInput.value,
+        name        : ipamNameInput.value,
+        vlan        : ipamVlanInput.value,
+        description : ipamDescriptionInput.value,
+    };
+    try {
+        if (ipamKindInput.value === 'block')  addBlock(workspace, fields);
+        if (ipamKindInput.value === 'subnet') addSubnet(workspace, fields);
+        if (ipamKindInput.value === 'host')   addHost(workspace, fields);
+    } catch (err) {
+        if (!(err instanceof IPCalcError)) throw err;
+        showError(`⚠️ ERROR: ${err.message}`);
+        return;
+    }
+
+    saveIpamWorkspace();
+    [ipamAddressInput, ipamNameInput, ipamVlanInput, ipamDescriptionInput].forEach(input => { input.value = ''; });
+    displayIpam();
+});
+
+/**
+ * Replaces the workspace with an uploaded JSON export. A file with a bad
+ * entry is rejected whole and the workspace is kept; a file that cannot be
+ * read gets its own message.
+ */
+ipamFileInput.addEventListener('change', function () {
+    const file = ipamFileInput.files[0];
+    if (!file) return;
+    ipamFileInput.value = '';
+    file.text().then(text => {
+        try {
+            ipamState.workspace = importWorkspace(text);
+        } catch (err) {
+            if (!(err instanceof IPCalcError)) throw err;
+            showError(`⚠️ ERROR: ${err.message}`);
+            return;
+        }
+        ipamState.expanded.clear();
+        saveIpamWorkspace();
+        displayIpam();
+    }, () => showError(`⚠️ ERROR: Could not read ${file.name}!`));
+});
+
+[ipamAddressInput, ipamMaskInput, ipamNameInput, ipamVlanInput, ipamDescriptionInput].forEach(input => {
+    input.addEventListener('keypress', function (e) {
+        if (e.key === 'Enter') ipamAddBtn.click();
+    });
+});
+
+// Opening the tab shows the workspace
+document.querySelector('.mode-tab[data-mode="ipam"]').addEventListener('click', displayIpam);
+
+resultDiv.addEventListener('click', function (e) {
+    const open   = e.target.closest('[data-ipam-open]');
+    const hosts  = e.target.closest('[data-ipam-hosts]');
+    const remove = e.target.closest('[data-ipam-remove]');
+    const output = e.target.closest('[data-ipam-export]');
+    if (open)   openIpamSubnet(open.dataset.ipamOpen);
+    if (hosts)  toggleIpamHosts(hosts.dataset.ipamHosts);
+    if (remove) removeIpamEntry(remove.dataset.ipamRemove);
+    if (output) exportIpamAs(output, output.dataset.ipamExport);
+});
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * The workspace, read from localStorage on first use. A stored workspace
+ * that no longer validates (or comes from a newer version) is not half
+ * loaded: the tab starts empty and keeps the stored text in
+ * ipamState.unreadable so it can be downloaded before it is replaced.
+ * @returns {object}
+ */
+function ipamWorkspace() {
+    if (ipamState.workspace) return ipamState.workspace;
+
+    let text = null;
+    try {
+        text = localStorage.getItem(IPAM_KEY);
+    } catch (err) {
+        // storage disabled: the workspace lasts until the page closes
+    }
+    try {
+        ipamState.workspace = text ? importWorkspace(text) : createWorkspace();
+    } catch (err) {
+        if (!(err instanceof IPCalcError)) throw err;
+        ipamState.unreadable = { text, error: err.message };
+        ipamState.workspace  = createWorkspace();
+    }
+    return ipamState.workspace;
+}
+
+/**
+ * Stores the workspace on screen. A stored workspace that could not be
+ * loaded is only overwritten once the user agrees; until then the changes
+ * last until the page closes.
+ */
+function saveIpamWorkspace() {
+    if (ipamState.unreadable) {
+        if (!confirm('The stored IPAM workspace could not be loaded. Replace it with this one?')) return;
+        ipamState.unreadable = null;
+    }
+    try {
+        localStorage.setItem(IPAM_KEY, JSON.stringify(ipamState.workspace));
+    } catch (err) {
+        // storage disabled or full: the workspace lasts until the page closes
+    }
+}
+
+// ============================================================================
+// ACTIONS
+// ============================================================================
+
+/**
+ * Shows a subnet in the full result panel, its subnet list counted inside
+ * the parent block.
+ * @param {string} key  - subnet key
+ */
+function openIpamSubnet(key) {
+    const found = findEntry(ipamWorkspace(), key);
+    if (!found || !found.subnet) return;
+    const c = calculate(found.subnet.network, `/${found.subnet.cidr}`, `/${found.block.cidr}`);
+    displayResultsOnScreen(c.ipAddress, c.subnetMask, c);
+}
+
+/**
+ * Opens or closes the host list of a subnet.
+ * @param {string} key  - subnet key
+ */
+function toggleIpamHosts(key) {
+    if (!ipamState.expanded.delete(key)) ipamState.expanded.add(key);
+    displayIpam();
+}
+
+/**
+ * Removes a block, subnet or host. Removing a block or subnet that still
+ * holds entries asks first.
+ * @param {string} key  - entry key, or a host address
+ */
+function removeIpamEntry(key) {
+    const workspace = ipamWorkspace();
+    const found = findEntry(workspace, key);
+    const inside = !found ? 0 : found.subnet ? found.subnet.hosts.length : found.block.subnets.length;
+    if (inside && !confirm(`Remove ${key} and the ${inside} ${found.subnet ? 'host' : 'subnet'}${inside === 1 ? '' : 's'} in it?`)) return;
+
+    removeEntry(workspace, key);
+    ipamState.expanded.delete(key);
+    saveIpamWorkspace();
+    displayIpam();
+}
+
+/**
+ * Copies or downloads the workspace as JSON, or downloads the stored
+ * workspace that could not be loaded, as it was stored.
+ * @param {HTMLElement} btn
+ * @param {'copy'|'download'|'stored'} how
+ */
+function exportIpamAs(btn, how) {
+    if (how === 'stored') {
+        downloadText(ipamState.unreadable.text, 'ipcalc-ipam-stored.json', 'application/json');
+        return;
+    }
+    const text = exportWorkspace(ipamWorkspace());
+    if (how === 'copy') {
+        copyText(btn, text);
+        return;
+    }
+    downloadText(text, 'ipcalc-ipam.json', 'application/json');
+}
+
+// ============================================================================
+// DISPLAY
+// ============================================================================
+
+/**
+ * Returns a subnet's table row, followed by its hosts when open.
+ * @param {object} s  - describeWorkspace() subnet
+ * @returns {string}
+ */
+function renderIpamSubnet(s) {
+    const open  = ipamState.expanded.has(s.key);
+    const hosts = !open ? '' : s.hosts.length === 0 ? `
+                <tr>
+                    <td></td>
+                    <td colspan="5">No hosts assigned</td>
+                </tr>` : s.hosts.map(h => `
+                <tr>
+                    <td></td>
+                    <td class="cyan">${h.address}</td>
+                    <td>${escapeHtml(h.name)}</td>
+                    <td colspan="2">${escapeHtml(h.description)}</td>
+                    <td><button class="pager-btn" data-ipam-remove="${h.address}" title="Remove">✖</button></td>
+                </tr>`).join('');
+
+    return `
+                <tr>
+                    <td class="highlight">${s.key}</td>
+                    <td>${s.vlan === null ? '-' : s.vlan}</td>
+                    <td>${escapeHtml(s.name)}</td>
+                    <td>${escapeHtml(s.description)}</td>
+                    <td class="${s.percent >= 90 ? 'orange' : ''}">${s.assigned} / ${s.usable.toLocaleString()} <span style="color:#555">(${s.percent}%)</span></td>
+                    <td>
+                        <button class="pager-btn" data-ipam-open="${s.key}">OPEN</button>
+                        <button class="pager-btn${open ? ' selected' : ''}" data-ipam-hosts="${s.key}">HOSTS</button>
+                        <button class="pager-btn" data-ipam-remove="${s.key}" title="Remove">✖</button>
+                    </td>
+                </tr>${hosts}`;
+}
+
+/**
+ * Returns the section of one block: utilization, layout bar and subnets.
+ * @param {object} b  - describeWorkspace() block
+ * @param {number} n  - section number
+ * @returns {string}
+ */
+function renderIpamBlock(b, n) {
+    const bar = b.layout.map(part => {
+        const label = part.subnet ? part.subnet.name || `/${part.subnet.cidr}` : '';
+        const title = part.subnet ? `${part.subnet.key} ${part.subnet.name}` : `${part.size.toLocaleString()} free addresses`;
+        return `<div class="plan-block ${part.subnet ? 'used' : 'free'}" style="flex-grow:${part.size / b.size}" title="${escapeHtml(title)}">${escapeHtml(label)}</div>`;
+    }).join('');
+
+    const table = b.subnets.length === 0
+        ? '<div class="pager-info">No subnets yet: add one inside this block</div>'
+        : `
+            <table class="data-table">
+                <tr>
+                    <th>Subnet</th>
+                    <th>VLAN</th>
+                    <th>Name</th>
+                    <th>Description</th>
+                    <th>Hosts</th>
+                    <th></th>
+                </tr>${b.subnets.map(renderIpamSubnet).join('')}
+            </table>`;
+
+    return `
+        <!-- SECTION ${n} : Block ${b.key} -->
+        <div class="result-section full-width">
+            <div class="result-section-title">▶ ${escapeHtml(b.name.toUpperCase())} <span style="color:#555;font-size:0.85em">${b.key}${b.description ? ' ' + escapeHtml(b.description) : ''}</span></div>
+            <table class="result-table">
+                <tr>
+                    <td class="label">Allocated:</td>
+                    <td class="value ${b.percent >= 90 ? 'warning' : 'orange'}">${b.allocated.toLocaleString()} of ${b.size.toLocaleString()} addresses <span style="color:#555">(${b.percent}%)</span></td>
+                </tr>
+            </table>
+            <div class="plan-bar">${bar}</div>${table}
+            <div class="subnet-pager">
+                <button class="pager-btn" data-ipam-remove="${b.key}">REMOVE BLOCK</button>
+            </div>
+        </div>`;
+}
+
+/**
+ * Renders the workspace: totals, export buttons and one section per block.
+ */
+function displayIpam() {
+    const w = describeWorkspace(ipamWorkspace());
+    const unreadable = !ipamState.unreadable ? '' : `
+            <div class="error-msg">⚠️ The stored workspace could not be loaded: ${escapeHtml(ipamState.unreadable.error)} It is kept until you save over it.</div>
+            <div class="subnet-pager export-bar">
+                <span class="pager-info">STORED</span>
+                <button class="pager-btn" data-ipam-export="stored">DOWNLOAD</button>
+            </div>`;
+
+    resultDiv.innerHTML = `
+
+        <!-- SECTION 1 : Workspace -->
+        <div class="result-section">
+            <div class="result-section-title">▶ IPAM WORKSPACE</div>
+            <table class="result-table">
+                <tr>
+                    <td class="label">Blocks:</td>
+                    <td class="value highlight">${w.blocks.length}</td>
+                </tr>
+                <tr>
+                    <td class="label">Subnets:</td>
+                    <td class="value cyan">${w.subnets}</td>
+                </tr>
+                <tr>
+                    <td class="label">Hosts:</td>
+                    <td class="value orange">${w.hosts}</td>
+                </tr>
+            </table>
+            <div class="subnet-pager export-bar">
+                <span class="pager-info">JSON</span>
+                <button class="pager-btn" data-ipam-export="download">DOWNLOAD</button>
+                <button class="pager-btn" data-ipam-export="copy">COPY</button>
+            </div>${unreadable}
+        </div>
+        ${w.blocks.length === 0 ? `
+        <div class="result-section full-width">
+            <div class="pager-info">No blocks yet: add a parent block, then its subnets and hosts</div>
+        </div>` : w.blocks.map((b, i) => renderIpamBlock(b, i + 2)).join('')}
+    `;
+    resultDiv.scrollTop = 0;
+}
@@ -0,0 +1,192 @@
+// ============================================================================
+// IPv6 RESULTS
+// ----------------------------------------------------------------------------
+// Result panel used by the calculator when the IP field holds an IPv6
+// address. Classful fields (class, default mask, wildcard) have no meaning
+// in IPv6 and are not shown.
+// ============================================================================
+
+const { toHextets, listIPv6Subnets } = IPCalc.ipv6;
+
+// ============================================================================
+// NIBBLE VIEW HELPERS
+// ============================================================================
+
+/**
+ * Returns colored HTML for the 32 hex digits of an address. A digit whose
+ * bits straddle the prefix boundary gets the subnet color.
+ * @param {bigint} int
+ * @param {number} prefix
+ * @returns {string}  HTML string
+ */
+function renderHexNibbles(int, prefix) {
+    return toHextets(int).map((group, g) => {
+        const digits = group.toString(16).padStart(4, '0');
+        let html = '';
+        for (let d = 0; d < 4; d++) {
+            const start = (g * 4 + d) * 4;
+            const cls = start + 4 <= prefix ? 'bit-network'
+                      : start >= prefix     ? 'bit-host'
+                      :                       'bit-subnet';
+            html += `<span class="${cls}">${digits[d]}</span>`;
+        }
+        return `<span class="binary-block">${html}</span>`;
+    }).join('<span class="bit-sep">:</span>');
+}
+
+/**
+ * Returns colored HTML for the 16 bits of one hextet.
+ * @param {number} group       - hextet value
+ * @param {number} groupIndex  - 0-7
+ * @param {number} prefix
+ * @returns {string}  HTML string
+ */
+function renderHextetBits(group, groupIndex, prefix) {
+    let html = '';
+    for (let bit = 15; bit >= 0; bit--) {
+        const pos = groupIndex * 16 + (15 - bit);
+        html += `<span class="bit-${getBitPart(pos, prefix, prefix)}">${(group >> bit) & 1}</span>`;
+        if (bit === 8) html += ' ';
+    }
+    return `<span class="binary-block">${html}</span>`;
+}
+
+// ============================================================================
+// DISPLAY FUNCTIONS
+// ============================================================================
+
+/**
+ * Logs IPv6 results to the browser console.
+ * @param {object} c  - calculateIPv6() result
+ */
+function displayIPv6ResultsInConsole(c) {
+    console.log('=== IPv6 CALCULATOR RESULTS ===');
+    console.log('IP Address:       ', c.compressed);
+    console.log('Expanded:         ', c.expanded);
+    console.log('Prefix:           ', `/${c.prefix}`);
+    console.log('IP Type:          ', c.ipType);
+    console.log('Network:          ', `${c.network}/${c.prefix}`);
+    console.log('First Address:    ', c.firstAddress);
+    console.log('Last Address:     ', c.lastAddress);
+    console.log('Addresses:        ', c.addressCount.toString());
+}
+
+/**
+ * Renders the IPv6 result panel.
+ * @param {object} c  - calculateIPv6() result
+ */
+function displayIPv6ResultsOnScreen(c) {
+    const ipTypeBadgeColor = c.ipType === 'Global unicast'     ? '#ffffff'
+                           : c.ipType === 'Unique local (ULA)' ? '#00ff00'
+                           : c.ipType === 'Loopback'           ? '#00ffff'
+                           : c.ipType === 'Multicast'          ? '#ffaa00'
+                           : '#aaaaaa';
+
+    const hextetRows = toHextets(c.addressInt).map((group, i) => `
+            <div class="binary-row">
+                <span class="label">${group.toString(16).padStart(4, '0')}&nbsp;:</span>${renderHextetBits(group, i, c.prefix)}
+            </div>`).join('');
+
+    const subnetRows = listIPv6Subnets(c.networkInt, c.prefix, c.parentPrefix).map(row => `
+        <div class="subnet-list-row${row.number === c.subnetNumber ? ' current' : ''}">
+            <span class="sn-num">#${row.number}</span>
+            <span>${row.network}/${c.prefix}</span>
+            <span>→ ${row.last}</span>
+        </div>`).join('');
+
+    resultDiv.innerHTML = `
+
+        <!-- SECTION 1 : Address Info -->
+        <div class="result-section">
+            <div class="result-section-title">▶ ADDRESS INFO <span style="color:#555;font-size:0.85em">IPv6</span></div>
+            <table class="result-table">
+                <tr>
+                    <td class="label">IP Address:</td>
+                    <td class="value highlight">${c.compressed}</td>
+                </tr>
+                <tr>
+                    <td class="label">Expanded:</td>
+                    <td class="value cyan">${c.expanded}</td>
+                </tr>
+                <tr>
+                    <td class="label">Prefix:</td>
+                    <td class="value">/${c.prefix}</td>
+                </tr>
+                <tr>
+                    <td class="label">IP Type:</td>
+                    <td class="value">
+                        <span style="color:${ipTypeBadgeColor};text-shadow:0 0 4px ${ipTypeBadgeColor}">${c.ipType}</span>
+                    </td>
+                </tr>
+            </table>
+        </div>
+
+        <!-- SECTION 2 : Network Range -->
+        <div class="result-section">
+            <div class="result-section-title">▶ NETWORK RANGE</div>
+            <table class="result-table">
+                <tr>
+                    <td class="label">Network:</td>
+                    <td class="value highlight">${c.network}/${c.prefix}</td>
+                </tr>
+                <tr>
+                    <td class="label">First Address:</td>
+                    <td class="value">${c.firstAddress}</td>
+                </tr>
+                <tr>
+                    <td class="label">Last Address:</td>
+                    <td class="value">${c.lastAddress}</td>
+                </tr>
+                <tr>
+                    <td class="label">Addresses:</td>
+                    <td class="value orange">${c.addressCount.toLocaleString()} <span style="color:#555">(2^${128 - c.prefix})</span></td>
+                </tr>
+            </table>
+        </div>
+
+        <!-- SECTION 3 : Subnet Info -->
+        <div class="result-section">
+            <div class="result-section-title">▶ SUBNET INFO</div>
+            <table class="result-table">
+                <tr>
+                    <td class="label">Interface ID:</td>
+                    <td class="value cyan">${c.interfaceId}</td>
+                </tr>
+                <tr>
+                    <td class="label">Subnet Number:</td>
+                    <td class="value cyan">${c.subnetNumber} <span style="color:#555">in /${c.parentPrefix}</span></td>
+                </tr>
+                <tr>
+                    <td class="label">Total Subnets:</td>
+                    <td class="value orange">${c.totalSubnets}</td>
+                </tr>
+            </table>
+        </div>
+
+        <!-- SECTION 4 : Nibble View -->
+        <div class="result-section full-width">
+            <div class="result-section-title">▶ NIBBLE VIEW</div>
+            <div class="binary-legend">
+                <span class="legend-item"><span class="legend-dot" style="background:#ff4444"></span><span class="bit-network">Prefix</span></span>
+                <span class="legend-item"><span class="legend-dot" style="background:#ffaa00"></span><span class="bit-subnet">Boundary</span></span>
+                <span class="legend-item"><span class="legend-dot" style="background:#00ff00"></span><span class="bit-host">Interface</span></span>
+            </div>
+            <br>
+            <div class="binary-row">
+                <span class="label">IP&nbsp;&nbsp;&nbsp;&nbsp;:</span>${renderHexNibbles(c.addressInt, c.prefix)}
+            </div>
+            <div class="binary-row">
+                <span class="label">Net&nbsp;&nbsp;&nbsp;:</span>${renderHexNibbles(c.networkInt, c.prefix)}
+            </div>
+            <br>${hextetRows}
+        </div>
+
+        <!-- SECTION 5 : Subnet List -->
+        <div class="result-section full-width">
+            <div class="result-section-title">▶ SUBNET LIST <span style="color:#555;font-size:0.85em">/${c.prefix} subnets of ${c.parentNetwork}/${c.parentPrefix}</span></div>
+            <div class="subnet-list">${subnetRows}
+            </div>
+        </div>
+    `;
+    resultDiv.scrollTop = 0;
+}
@@ -0,0 +1,99 @@
+// ============================================================================
+// MULTICAST
+// ----------------------------------------------------------------------------
+// Sections shown in place of the range, subnet and subnet list sections when
+// the calculated address is a multicast group. The analysis is in
+// lib/multicast.js.
+// ============================================================================
+
+const { analyzeMulticast } = IPCalc.multicast;
+
+/**
+ * Returns the MULTICAST GROUP and MAC MAPPING sections of a class D result,
+ * shown in place of NETWORK RANGE and SUBNET INFO.
+ * @param {object} c  - calculate() result
+ * @returns {string}
+ */
+function renderMulticastSections(c) {
+    const m     = analyzeMulticast(c.ipBytes);
+    const block = m.block
+        ? `${m.block.name} <span style="color:#555">${m.block.start} - ${m.block.end}</span>
+           <a class="rfc-link" href="${rfcUrl(m.block.rfc)}" target="_blank" rel="noopener">${m.block.rfc}</a>`
+        : '<span style="color:#555">reserved, not assigned by IANA</span>';
+
+    return `
+        <!-- SECTION 2 : Multicast Group -->
+        <div class="result-section">
+            <div class="result-section-title">▶ MULTICAST GROUP</div>
+            <table class="result-table">
+                <tr>
+                    <td class="label">Group:</td>
+                    <td class="value highlight">${m.address}${m.group ? ` <span style="color:#555">${m.group}</span>` : ''}</td>
+                </tr>
+                <tr>
+                    <td class="label">IANA Block:</td>
+                    <td class="value">${block}</td>
+                </tr>
+                <tr>
+                    <td class="label">Scope:</td>
+                    <td class="value cyan">${m.block ? m.block.scope : '-'}</td>
+                </tr>${c.ipBytes[0] === 239 ? `
+                <tr>
+                    <td class="label">Admin Scope:</td>
+                    <td class="value orange">${m.adminScope ? `${m.adminScope.name} <span style="color:#555">${m.adminScope.start} - ${m.adminScope.end}</span>` : 'unassigned part of 239/8'}</td>
+                </tr>` : ''}${m.glop ? `
+                <tr>
+                    <td class="label">GLOP AS:</td>
+                    <td class="value orange">AS${m.glop.as} <span style="color:#555">owns</span> ${m.glop.block}</td>
+                </tr>` : ''}
+            </table>
+        </div>
+
+        <!-- SECTION 3 : MAC Mapping -->
+        <div class="result-section">
+            <div class="result-section-title">▶ MAC MAPPING</div>
+            <table class="result-table">
+                <tr>
+                    <td class="label">Ethernet MAC:</td>
+                    <td class="value highlight">${m.mac}</td>
+                </tr>
+                <tr>
+                    <td class="label">Mapping:</td>
+                    <td class="value">01:00:5e <span style="color:#555">+ low 23 bits of the group</span></td>
+                </tr>
+                <tr>
+                    <td class="label">Same MAC:</td>
+                    <td class="value warning">${m.aliases.length} <span style="color:#555">other groups, below</span></td>
+                </tr>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Returns the list of the other groups sharing the MAC of a class D result,
+ * shown in place of the subnet list.
+ * @param {object} c  - calculate() result
+ * @returns {string}
+ */
+function renderMulticastAliases(c) {
+    const m = analyzeMulticast(c.ipBytes);
+    const aliasRows = m.aliases.map((group, i) => {
+        const alias = analyzeMulticast(group.split('.').map(Number));
+        return `
+                <div class="subnet-list-row">
+                    <span class="sn-num">#${i + 1}</span>
+                    <span>${group}</span>
+                    <span style="color:#555">${alias.block ? alias.block.name : 'reserved'}</span>
+                </div>`;
+    }).join('');
+
+    return `
+        <!-- SECTION 6 : Groups Sharing the MAC -->
+        <div class="result-section full-width">
+            <div class="result-section-title">▶ GROUPS SHARING ${m.mac} <span style="color:#555;font-size:0.85em">a switch or NIC filtering on the MAC cannot tell these apart</span></div>
+            <div class="subnet-list">${aliasRows}
+            </div>
+        </div>
+    `;
+}
@@ -0,0 +1,205 @@
+// ============================================================================
+// ADDRESS PLANNER
+// ----------------------------------------------------------------------------
+// Opened from the subnet list of a result: the calculated network as a tree
+// of blocks that can be split in half, merged back, labeled and marked used
+// or free, shown as a tree and as a bar. The tree is in lib/plan.js.
+// ============================================================================
+
+const {
+    createPlan,
+    findNode,
+    splitNode,
+    mergeNode,
+    updateNode,
+    describeNode,
+    walkPlan,
+    planLeaves,
+    summarizePlan,
+    exportPlan,
+} = IPCalc.plan;
+
+// Plan on screen and the result it was opened from
+const planState = {
+    root : null,
+    calc : null,
+};
+
+resultDiv.addEventListener('click', function (e) {
+    if (e.target.closest('[data-plan-open]')) {
+        openPlan(subnetListState.calc);
+        return;
+    }
+    if (!planState.root) return;
+
+    const action = e.target.closest('[data-plan-action]');
+    const output = e.target.closest('[data-plan-export]');
+    if (action) changePlan(action.dataset.planAction, action.dataset.planNode);
+    if (output) exportPlanAs(output, output.dataset.planExport);
+    if (e.target.closest('[data-plan-back]')) {
+        const c = planState.calc;
+        displayResultsOnScreen(c.ipAddress, c.subnetMask, c);
+    }
+});
+
+// ============================================================================
+// ACTIONS
+// ============================================================================
+
+/**
+ * Starts a plan holding the network of a result.
+ * @param {object} c  - calculate() result
+ */
+function openPlan(c) {
+    if (!c) return;
+    planState.calc = c;
+    planState.root = createPlan(c.networkBytes, c.cidr);
+    displayPlan();
+    resultDiv.scrollTop = 0;
+}
+
+/**
+ * Applies a tree button and redraws the plan.
+ * @param {'split'|'merge'|'label'|'used'} action
+ * @param {string} key  - node key
+ */
+function changePlan(action, key) {
+    const root = planState.root;
+    const node = findNode(root, key);
+    if (!node) return;
+
+    if (action === 'split') splitNode(root, key);
+    if (action === 'merge') mergeNode(root, key);
+    if (action === 'used')  updateNode(root, key, { used: !node.used });
+    if (action === 'label') {
+        const text = prompt(`Label for ${key}:`, node.label);
+        if (text === null) return;
+        updateNode(root, key, { label: text });
+    }
+    displayPlan();
+}
+
+/**
+ * Copies or downloads the plan as a CIDR list.
+ * @param {HTMLElement} btn
+ * @param {'copy'|'download'} how
+ */
+function exportPlanAs(btn, how) {
+    const text = exportPlan(planState.root);
+    if (how === 'copy') {
+        copyText(btn, text);
+        return;
+    }
+    downloadText(text, `ipcalc-plan-${planState.root.key.replace('/', '-')}.txt`, 'text/plain');
+}
+
+// ============================================================================
+// DISPLAY
+// ============================================================================
+
+/**
+ * Returns one tree row: the block, its numbers and its buttons.
+ * @param {object} node
+ * @param {number} depth
+ * @returns {string}
+ */
+function renderPlanNode(node, depth) {
+    const d       = describeNode(node);
+    const isLeaf  = !node.children;
+    const buttons = [
+        isLeaf && node.cidr < 32 ? `<button class="pager-btn" data-plan-action="split" data-plan-node="${node.key}">SPLIT</button>` : '',
+        isLeaf ? '' : `<button class="pager-btn" data-plan-action="merge" data-plan-node="${node.key}">MERGE</button>`,
+        isLeaf ? `<button class="pager-btn" data-plan-action="used" data-plan-node="${node.key}">${node.used ? 'USED' : 'FREE'}</button>` : '',
+        `<button class="pager-btn" data-plan-action="label" data-plan-node="${node.key}">LABEL</button>`,
+    ].join('');
+
+    return `
+            <div class="plan-row${isLeaf ? (node.used ? ' used' : ' free') : ' split'}" style="padding-left:${depth * 18}px">
+                <span class="plan-cidr">${node.key}</span>
+                <span class="plan-range">${d.network} - ${d.broadcast}</span>
+                <span class="plan-size">${d.size.toLocaleString()} addr · ${d.availableHosts.toLocaleString()} hosts</span>
+                <span class="plan-label">${escapeHtml(node.label)}</span>
+                <span class="plan-actions">${buttons}</span>
+            </div>`;
+}
+
+/**
+ * Returns the bar: the leaves side by side, widths by size.
+ * @param {object} root
+ * @returns {string}
+ */
+function renderPlanBar(root) {
+    const total = Math.pow(2, 32 - root.cidr);
+    return planLeaves(root).map(node => {
+        const d     = describeNode(node);
+        const title = `${node.key} ${d.network} - ${d.broadcast}${node.label ? ' ' + node.label : ''} (${node.used ? 'used' : 'free'})`;
+        return `<div class="plan-block ${node.used ? 'used' : 'free'}" style="flex-grow:${d.size / total}" title="${escapeHtml(title)}">` +
+               `${escapeHtml(node.label || '/' + node.cidr)}</div>`;
+    }).join('');
+}
+
+/**
+ * Renders the plan: summary, bar, tree and export buttons.
+ */
+function displayPlan() {
+    const root    = planState.root;
+    const summary = summarizePlan(root);
+
+    resultDiv.innerHTML = `
+
+        <!-- SECTION 1 : Plan Summary -->
+        <div class="result-section">
+            <div class="result-section-title">▶ ADDRESS PLAN</div>
+            <table class="result-table">
+                <tr>
+                    <td class="label">Network:</td>
+                    <td class="value highlight">${root.key}</td>
+                </tr>
+                <tr>
+                    <td class="label">Blocks:</td>
+                    <td class="value">${summary.blocks}</td>
+                </tr>
+                <tr>
+                    <td class="label">Used:</td>
+                    <td class="value orange">${summary.used.toLocaleString()} <span style="color:#555">addresses</span></td>
+                </tr>
+                <tr>
+                    <td class="label">Free:</td>
+                    <td class="value cyan">${summary.free.toLocaleString()} <span style="color:#555">addresses</span></td>
+                </tr>
+            </table>
+            <div class="subnet-pager export-bar">
+                <button class="pager-btn" data-plan-back>‹ BACK TO RESULT</button>
+            </div>
+        </div>
+
+        <!-- SECTION 2 : Bar -->
+        <div class="result-section full-width">
+            <div class="result-section-title">▶ LAYOUT</div>
+            <div class="plan-bar">${renderPlanBar(root)}</div>
+        </div>
+
+        <!-- SECTION 3 : Tree -->
+        <div class="result-section full-width">
+            <div class="result-section-title">▶ TREE <span style="color:#555;font-size:0.85em">split a block in half, merge halves back</span></div>
+            <div class="plan-tree">${walkPlan(root).map(entry => renderPlanNode(entry.node, entry.depth)).join('')}
+            </div>
+        </div>
+
+        <!-- SECTION 4 : Export -->
+        <div class="result-section full-width">
+            <div class="result-section-title">▶ CIDR LIST</div>
+            <div class="subnet-list">${planLeaves(root).map(node => `
+                <div class="subnet-list-row">
+                    <span class="sn-num">${node.used ? 'USED' : 'FREE'}</span>
+                    <span>${node.key}</span>
+                    <span>${escapeHtml(node.label)}</span>
+                </div>`).join('')}
+            </div>
+            <div class="subnet-pager export-bar">
+                <button class="pager-btn" data-plan-export="copy">COPY</button>
+                <button class="pager-btn" data-plan-export="download">DOWNLOAD</button>
+            </div>
+        </div>
+    `;
+}
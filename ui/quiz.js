@@ -0,0 +1,328 @@
+// ============================================================================
+// QUIZ MODE
+// ----------------------------------------------------------------------------
+// Page code for the [ QUIZ ] tab: asks the questions of a problem set one at
+// a time, grades them, and keeps a score, streaks and per-topic results in
+// localStorage. Problems and grading are in lib/quiz.js.
+// ============================================================================
+
+const { QUIZ_FIELDS, generateQuiz, describeProblem, gradeProblem } = IPCalc.quiz;
+
+const QUIZ_STATS_KEY = 'ipcalc.quiz';
+
+const quizLevelInput = document.getElementById('quizLevel');
+const quizSeedInput  = document.getElementById('quizSeed');
+const quizCountInput = document.getElementById('quizCount');
+const quizBtn        = document.getElementById('quizBtn');
+
+// Problem set being answered
+const quizState = {
+    quiz    : null,
+    index   : 0,
+    graded  : null,   // gradeProblem() result once the current problem is checked
+    correct : 0,      // answers right in this set so far
+    total   : 0,
+};
+
+/**
+ * Called on button click — generates the set and shows its first problem.
+ * A blank seed gets a random one, written back so the set can be shared.
+ */
+quizBtn.addEventListener('click', function () {
+    if (quizSeedInput.value.trim() === '') {
+        quizSeedInput.value = Math.random().toString(36).slice(2, 8).toUpperCase();
+    }
+    let quiz;
+    try {
+        quiz = generateQuiz(quizSeedInput.value.trim(), quizLevelInput.value, quizCountInput.value.trim() || '5');
+    } catch (err) {
+        if (!(err instanceof IPCalcError)) throw err;
+        showError(`⚠️ ERROR: ${err.message}`);
+        return;
+    }
+
+    Object.assign(quizState, { quiz, index: 0, graded: null, correct: 0, total: 0 });
+    displayQuiz();
+});
+
+[quizSeedInput, quizCountInput].forEach(input => {
+    input.addEventListener('keypress', function (e) {
+        if (e.key === 'Enter') quizBtn.click();
+    });
+});
+
+resultDiv.addEventListener('click', function (e) {
+    const btn = e.target.closest('[data-quiz]');
+    if (!btn || !quizState.quiz) return;
+    if (btn.dataset.quiz === 'check')       checkQuizAnswers();
+    if (btn.dataset.quiz === 'next')        nextQuizProblem();
+    if (btn.dataset.quiz === 'reset-stats') resetQuizStats();
+});
+
+resultDiv.addEventListener('keypress', function (e) {
+    if (e.key === 'Enter' && e.target.closest('[data-quiz-field]')) checkQuizAnswers();
+});
+
+// ============================================================================
+// ANSWERING
+// ============================================================================
+
+/**
+ * Grades the typed answers of the current problem and records them.
+ */
+function checkQuizAnswers() {
+    if (quizState.graded) return;
+    const answers = {};
+    resultDiv.querySelectorAll('[data-quiz-field]').forEach(input => {
+        answers[input.dataset.quizField] = input.value;
+    });
+
+    const graded = gradeProblem(quizState.quiz.problems[quizState.index], answers);
+    quizState.graded   = graded;
+    quizState.correct += graded.correct;
+    quizState.total   += graded.total;
+    recordQuizResult(graded);
+    displayQuiz();
+}
+
+/**
+ * Moves to the next problem, or past the last one to the final score.
+ */
+function nextQuizProblem() {
+    if (!quizState.graded) return;
+    quizState.index++;
+    quizState.graded = null;
+    displayQuiz();
+}
+
+// ============================================================================
+// STATS STORAGE
+// ============================================================================
+
+/**
+ * @returns {{answered: number, correct: number, streak: number, bestStreak: number,
+ *            topics: Object<string, {right: number, wrong: number}>}}
+ *          `streak` counts problems answered fully right in a row. Stored
+ *          values of another shape count from zero.
+ */
+function loadQuizStats() {
+    let stored;
+    try {
+        stored = JSON.parse(localStorage.getItem(QUIZ_STATS_KEY) || '{}');
+    } catch (err) {
+        stored = {};   // storage disabled or corrupt
+    }
+    if (!isQuizObject(stored)) stored = {};
+
+    const count = value => (Number.isInteger(value) && value >= 0 ? value : 0);
+    const topics = {};
+    if (isQuizObject(stored.topics)) {
+        for (const [key, topic] of Object.entries(stored.topics)) {
+            if (isQuizObject(topic)) topics[key] = { right: count(topic.right), wrong: count(topic.wrong) };
+        }
+    }
+    return {
+        answered   : count(stored.answered),
+        correct    : count(stored.correct),
+        streak     : count(stored.streak),
+        bestStreak : count(stored.bestStreak),
+        topics,
+    };
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean}  true for an object that is not null or an array
+ */
+function isQuizObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * @param {object} stats
+ */
+function saveQuizStats(stats) {
+    try {
+        localStorage.setItem(QUIZ_STATS_KEY, JSON.stringify(stats));
+    } catch (err) {
+        // storage disabled or full: stats just aren't kept
+    }
+}
+
+/**
+ * Adds a graded problem to the stored stats.
+ * @param {object} graded  - gradeProblem() result
+ */
+function recordQuizResult(graded) {
+    const stats = loadQuizStats();
+    stats.answered += graded.total;
+    stats.correct  += graded.correct;
+    stats.streak     = graded.correct === graded.total ? stats.streak + 1 : 0;
+    stats.bestStreak = Math.max(stats.bestStreak, stats.streak);
+    for (const r of graded.results) {
+        const topic = stats.topics[r.key] || { right: 0, wrong: 0 };
+        if (r.correct) topic.right++;
+        else topic.wrong++;
+        stats.topics[r.key] = topic;
+    }
+    saveQuizStats(stats);
+}
+
+/**
+ * Clears the stored score, streaks and topics.
+ */
+function resetQuizStats() {
+    saveQuizStats({ answered: 0, correct: 0, streak: 0, bestStreak: 0, topics: {} });
+    displayQuiz();
+}
+
+/**
+ * Topics answered wrong at least once, weakest first.
+ * @param {object} stats
+ * @returns {{key: string, label: string, percent: number}[]}
+ */
+function weakQuizTopics(stats) {
+    return Object.entries(stats.topics)
+        .filter(([key, t]) => t.wrong > 0 && QUIZ_FIELDS[key])
+        .map(([key, t]) => ({ key, label: QUIZ_FIELDS[key].label, percent: Math.round(100 * t.right / (t.right + t.wrong)) }))
+        .sort((a, b) => a.percent - b.percent)
+        .slice(0, 3);
+}
+
+// ============================================================================
+// DISPLAY
+// ============================================================================
+
+/**
+ * Returns the answer form of a problem, or its graded answers.
+ * @param {object} p       - problem
+ * @param {object} graded  - gradeProblem() result, or null
+ * @returns {string}
+ */
+function renderQuizAnswers(p, graded) {
+    if (!graded) {
+        return p.fields.map(key => `
+                <tr>
+                    <td class="label">${QUIZ_FIELDS[key].label}:</td>
+                    <td class="value"><input type="text" class="quiz-answer" data-quiz-field="${key}" maxlength="35" autocomplete="off"></td>
+                </tr>`).join('');
+    }
+    return graded.results.map(r => `
+                <tr>
+                    <td class="label">${r.label}:</td>
+                    <td class="value ${r.correct ? 'highlight' : 'warning'}">${r.correct ? '✔' : '✖'} ${escapeHtml(r.given || '(no answer)')}${r.correct ? '' : ` <span style="color:#555">→</span> <span style="color:#00ffff">${r.expected}</span>`}</td>
+                </tr>`).join('');
+}
+
+/**
+ * Binary view of a problem, shown when an answer was wrong.
+ * @param {object} c  - the problem's calc
+ * @returns {string}
+ */
+function renderQuizBinary(c) {
+    return `
+            <br>
+            <div class="binary-row">
+                <span class="label">IP&nbsp;&nbsp;&nbsp;&nbsp;:</span>${renderBinaryAddress(c.ipBytes, c.cidr, c.parentCidr)}
+            </div>
+            <div class="binary-row">
+                <span class="label">Mask&nbsp;&nbsp;:</span>${renderBinaryAddress(c.maskBytes, c.cidr, c.parentCidr)}
+            </div>
+            <div class="binary-row">
+                <span class="label">Net&nbsp;&nbsp;&nbsp;:</span>${renderBinaryAddress(c.networkBytes, c.cidr, c.parentCidr)}
+            </div>
+            <div class="binary-row">
+                <span class="label">Bcast&nbsp;:</span>${renderBinaryAddress(c.broadcastBytes, c.cidr, c.parentCidr)}
+            </div>`;
+}
+
+/**
+ * Returns the score section: this set, then the stored stats.
+ * @returns {string}
+ */
+function renderQuizScore() {
+    const stats = loadQuizStats();
+    const weak  = weakQuizTopics(stats);
+    const ratio = (right, total) => total === 0 ? '-' : `${right} / ${total} (${Math.round(100 * right / total)}%)`;
+
+    return `
+        <!-- SECTION 2 : Score -->
+        <div class="result-section">
+            <div class="result-section-title">▶ SCORE</div>
+            <table class="result-table">
+                <tr>
+                    <td class="label">This Set:</td>
+                    <td class="value highlight">${ratio(quizState.correct, quizState.total)}</td>
+                </tr>
+                <tr>
+                    <td class="label">All Time:</td>
+                    <td class="value">${ratio(stats.correct, stats.answered)}</td>
+                </tr>
+                <tr>
+                    <td class="label">Streak:</td>
+                    <td class="value orange">${stats.streak} <span style="color:#555">/ best</span> ${stats.bestStreak}</td>
+                </tr>
+                <tr>
+                    <td class="label">Weak Topics:</td>
+                    <td class="value ${weak.length ? 'warning' : ''}">${weak.length ? weak.map(t => `${t.label} ${t.percent}%`).join(', ') : 'none yet'}</td>
+                </tr>
+            </table>
+            <div class="subnet-pager export-bar">
+                <button class="pager-btn" data-quiz="reset-stats">RESET STATS</button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Renders the current problem, or the final score after the last one.
+ */
+function displayQuiz() {
+    const { quiz, index, graded } = quizState;
+    const setInfo = `<span style="color:#555;font-size:0.85em">${quiz.level} · seed ${escapeHtml(quiz.seed)}</span>`;
+
+    if (index >= quiz.problems.length) {
+        resultDiv.innerHTML = `
+
+        <!-- SECTION 1 : Done -->
+        <div class="result-section">
+            <div class="result-section-title">▶ QUIZ COMPLETE ${setInfo}</div>
+            <table class="result-table">
+                <tr>
+                    <td class="label">Questions:</td>
+                    <td class="value">${quiz.problems.length}</td>
+                </tr>
+                <tr>
+                    <td class="label">Answers Right:</td>
+                    <td class="value highlight">${quizState.correct} / ${quizState.total}</td>
+                </tr>
+            </table>
+        </div>
+        ${renderQuizScore()}`;
+        resultDiv.scrollTop = 0;
+        return;
+    }
+
+    const p      = quiz.problems[index];
+    const wrong  = graded && graded.correct < graded.total;
+    const isLast = index === quiz.problems.length - 1;
+    const action = graded
+        ? `<button class="pager-btn" data-quiz="next">${isLast ? 'FINISH ›' : 'NEXT ›'}</button>`
+        : '<button class="pager-btn" data-quiz="check">CHECK</button>';
+
+    resultDiv.innerHTML = `
+
+        <!-- SECTION 1 : Question -->
+        <div class="result-section">
+            <div class="result-section-title">▶ QUESTION ${index + 1} / ${quiz.problems.length} ${setInfo}</div>
+            <div class="quiz-question">${describeProblem(p)}</div>
+            <table class="result-table">${renderQuizAnswers(p, graded)}
+            </table>${wrong ? renderQuizBinary(p.calc) : ''}
+            <div class="subnet-pager export-bar">${action}</div>
+        </div>
+        ${renderQuizScore()}`;
+    resultDiv.scrollTop = 0;
+
+    const first = resultDiv.querySelector('[data-quiz-field]');
+    if (first) first.focus();
+}
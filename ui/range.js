@@ -0,0 +1,147 @@
+// ============================================================================
+// RANGE MODE
+// ----------------------------------------------------------------------------
+// Page code for the [ RANGE ] tab. The conversions are in lib/range.js.
+// ============================================================================
+
+const { rangeToCidrList, cidrsToRanges } = IPCalc.range;
+
+const rangeStartInput    = document.getElementById('rangeStart');
+const rangeEndInput      = document.getElementById('rangeEnd');
+const rangeToCidrBtn     = document.getElementById('rangeToCidrBtn');
+const rangeCidrListInput = document.getElementById('rangeCidrList');
+const cidrToRangeBtn     = document.getElementById('cidrToRangeBtn');
+
+/**
+ * Range → CIDR: start and end address to the minimal block list.
+ */
+rangeToCidrBtn.addEventListener('click', function () {
+    let result;
+    try {
+        result = rangeToCidrList(rangeStartInput.value, rangeEndInput.value);
+    } catch (err) {
+        if (!(err instanceof IPCalcError)) throw err;
+        showError(`⚠️ ERROR: ${err.message}`);
+        return;
+    }
+
+    displayRangeBlocks(result);
+});
+
+/**
+ * CIDR → range: pasted networks to merged contiguous ranges.
+ */
+cidrToRangeBtn.addEventListener('click', function () {
+    let result;
+    try {
+        result = cidrsToRanges(rangeCidrListInput.value);
+    } catch (err) {
+        if (!(err instanceof IPCalcError)) throw err;
+        showError(`⚠️ ERROR: ${err.message}`);
+        return;
+    }
+
+    displayMergedRanges(result);
+});
+
+rangeStartInput.addEventListener('keypress', function (e) {
+    if (e.key === 'Enter') rangeToCidrBtn.click();
+});
+
+rangeEndInput.addEventListener('keypress', function (e) {
+    if (e.key === 'Enter') rangeToCidrBtn.click();
+});
+
+// ============================================================================
+// DISPLAY
+// ============================================================================
+
+/**
+ * Renders a rangeToCidrList() result.
+ * @param {object} r
+ */
+function displayRangeBlocks(r) {
+    const blockRows = r.blocks.map((b, i) => `
+        <div class="subnet-list-row">
+            <span class="sn-num">#${i + 1}</span>
+            <span>${b.network}/${b.cidr}</span>
+            <span>→ ${b.broadcast} (${b.size.toLocaleString()})</span>
+        </div>`).join('');
+
+    resultDiv.innerHTML = `
+
+        <!-- SECTION 1 : Range -->
+        <div class="result-section">
+            <div class="result-section-title">▶ RANGE</div>
+            <table class="result-table">
+                <tr>
+                    <td class="label">Start:</td>
+                    <td class="value highlight">${r.start}</td>
+                </tr>
+                <tr>
+                    <td class="label">End:</td>
+                    <td class="value highlight">${r.end}</td>
+                </tr>
+                <tr>
+                    <td class="label">Addresses:</td>
+                    <td class="value orange">${r.size.toLocaleString()}</td>
+                </tr>
+                <tr>
+                    <td class="label">CIDR Blocks:</td>
+                    <td class="value cyan">${r.blocks.length}</td>
+                </tr>
+            </table>
+        </div>
+
+        <!-- SECTION 2 : CIDR Blocks -->
+        <div class="result-section full-width">
+            <div class="result-section-title">▶ CIDR BLOCKS</div>
+            <div class="subnet-list">${blockRows}
+            </div>
+        </div>
+    `;
+    resultDiv.scrollTop = 0;
+}
+
+/**
+ * Renders a cidrsToRanges() result.
+ * @param {object} r
+ */
+function displayMergedRanges(r) {
+    const rangeRows = r.ranges.map((range, i) => `
+        <div class="subnet-list-row">
+            <span class="sn-num">#${i + 1}</span>
+            <span>${range.start} - ${range.end}</span>
+            <span>(${range.size.toLocaleString()})</span>
+        </div>`).join('');
+
+    resultDiv.innerHTML = `
+
+        <!-- SECTION 1 : Input -->
+        <div class="result-section">
+            <div class="result-section-title">▶ INPUT</div>
+            <table class="result-table">
+                <tr>
+                    <td class="label">Networks:</td>
+                    <td class="value">${r.inputs.length}</td>
+                </tr>
+                <tr>
+                    <td class="label">Addresses:</td>
+                    <td class="value orange">${r.size.toLocaleString()}</td>
+                </tr>
+                <tr>
+                    <td class="label">Ranges:</td>
+                    <td class="value cyan">${r.ranges.length}</td>
+                </tr>
+            </table>
+        </div>
+
+        <!-- SECTION 2 : Ranges -->
+        <div class="result-section full-width">
+            <div class="result-section-title">▶ CONTIGUOUS RANGES</div>
+            <div class="subnet-list">${rangeRows}
+            </div>
+        </div>
+    `;
+    resultDiv.scrollTop = 0;
+}
@@ -0,0 +1,148 @@
+// ============================================================================
+// REVERSE DNS
+// ----------------------------------------------------------------------------
+// in-addr.arpa zones, the PTR name and, past /24, the RFC 2317 delegation
+// records for the IPv4 result on screen. The records are built by
+// lib/rdns.js.
+// ============================================================================
+
+const { reverseDns } = IPCalc.rdns;
+
+// Name servers and PTR domain typed in, kept between results
+const rdnsState = {
+    nameservers : '',
+    domain      : '',
+    delegation  : null,
+};
+
+resultDiv.addEventListener('click', function (e) {
+    const copy = e.target.closest('[data-rdns-copy]');
+    if (copy && rdnsState.delegation) copyText(copy, rdnsState.delegation[copy.dataset.rdnsCopy] + '\n');
+    if (e.target.closest('[data-rdns-open]'))  showReverseDns();
+    if (e.target.closest('[data-rdns-apply]')) applyReverseDnsNames();
+    if (e.target.closest('[data-rdns-close]')) closeReverseDns();
+});
+
+resultDiv.addEventListener('keypress', function (e) {
+    if (e.key === 'Enter' && e.target.closest('[data-rdns-field]')) applyReverseDnsNames();
+});
+
+// ============================================================================
+// ACTIONS
+// ============================================================================
+
+/**
+ * Regenerates the records with the name servers and domain typed in.
+ */
+function applyReverseDnsNames() {
+    const changes = {};
+    resultDiv.querySelectorAll('[data-rdns-field]').forEach(input => {
+        changes[input.dataset.rdnsField] = input.value;
+    });
+    showReverseDns(changes);
+}
+
+/**
+ * Puts the open button back in place of the zones.
+ */
+function closeReverseDns() {
+    const container = document.getElementById('reverseDns');
+    if (!container) return;
+    rdnsState.delegation = null;
+    container.innerHTML = `
+                <div class="subnet-pager">
+                    <button class="pager-btn" data-rdns-open>SHOW REVERSE ZONES</button>
+                </div>`;
+}
+
+// ============================================================================
+// DISPLAY
+// ============================================================================
+
+/**
+ * Renders the reverse DNS view of the result on screen. Invalid names get
+ * an error in place of the records, keeping the inputs.
+ * @param {{nameservers?: string, domain?: string}} [changes]
+ */
+function showReverseDns(changes = {}) {
+    const c = subnetListState.calc;
+    const container = document.getElementById('reverseDns');
+    if (!c || !container) return;
+    Object.assign(rdnsState, changes);
+
+    let body;
+    try {
+        const r = reverseDns(c, rdnsState);
+        rdnsState.delegation = r.delegation;
+        body = renderReverseDns(c, r);
+    } catch (err) {
+        if (!(err instanceof IPCalcError)) throw err;
+        rdnsState.delegation = null;
+        body = `<div class="error-msg">⚠️ ERROR: ${escapeHtml(err.message)}</div>`;
+    }
+
+    container.innerHTML = `
+            <div class="subnet-pager export-bar">
+                <span class="pager-info">NAME SERVERS</span>
+                <input type="text" class="rdns-input" data-rdns-field="nameservers" value="${escapeHtml(rdnsState.nameservers)}" placeholder="ns1.example.com, ns2.example.com" maxlength="200" autocomplete="off">
+            </div>
+            <div class="subnet-pager export-bar">
+                <span class="pager-info">PTR DOMAIN</span>
+                <input type="text" class="rdns-input" data-rdns-field="domain" value="${escapeHtml(rdnsState.domain)}" placeholder="example.com" maxlength="200" autocomplete="off">
+                <button class="pager-btn" data-rdns-apply>APPLY</button>
+                <button class="pager-btn" data-rdns-close>CLOSE</button>
+            </div>
+            ${body}`;
+}
+
+/**
+ * Returns the PTR names, the zone list and the RFC 2317 records.
+ * @param {object} c  - calculate() result
+ * @param {object} r  - reverseDns() result
+ * @returns {string}
+ */
+function renderReverseDns(c, r) {
+    const zoneRows = r.zones.map((z, i) => `
+                <div class="subnet-list-row${r.ptrName.endsWith('.' + z.name) ? ' current' : ''}">
+                    <span class="sn-num">#${i + 1}</span>
+                    <span>${z.name}</span>
+                    <span>${z.network}</span>
+                </div>`).join('');
+
+    const d = r.delegation;
+    const delegation = !d ? '' : `
+            <div class="code-snippet">
+                <div class="subnet-pager export-bar">
+                    <span class="pager-info">PARENT ZONE</span>
+                    <button class="pager-btn" data-rdns-copy="parentRecords">COPY</button>
+                    <span class="pager-info">NS and CNAME records for ${d.parentZone}</span>
+                </div>
+                <pre class="code-text">${escapeHtml(d.parentRecords)}</pre>
+            </div>
+            <div class="code-snippet">
+                <div class="subnet-pager export-bar">
+                    <span class="pager-info">CHILD ZONE</span>
+                    <button class="pager-btn" data-rdns-copy="childZoneFile">COPY</button>
+                    <span class="pager-info">BIND zone file skeleton for ${escapeHtml(d.childZone)}</span>
+                </div>
+                <pre class="code-text">${escapeHtml(d.childZoneFile)}</pre>
+            </div>`;
+
+    return `
+            <table class="result-table">
+                <tr>
+                    <td class="label">PTR Name:</td>
+                    <td class="value highlight">${r.ptrName}</td>
+                </tr>${r.delegatedPtrName ? `
+                <tr>
+                    <td class="label">Delegated As:</td>
+                    <td class="value cyan">${escapeHtml(r.delegatedPtrName)}</td>
+                </tr>` : ''}
+                <tr>
+                    <td class="label">Reverse Zones:</td>
+                    <td class="value">${r.zones.length} <span style="color:#555">/${r.zoneCidr} zone${r.zones.length === 1 ? '' : 's'}${d ? `, /${c.cidr} needs RFC 2317 delegation` : ''}</span></td>
+                </tr>
+            </table>
+            <div class="subnet-list">${zoneRows}
+            </div>${delegation}`;
+}
@@ -0,0 +1,88 @@
+// ============================================================================
+// SOLVE MODE
+// ----------------------------------------------------------------------------
+// Page code for the [ SOLVE ] tab. The solver is in lib/solve.js; its result
+// is shown with the calculator's own result panel.
+// ============================================================================
+
+const { solve } = IPCalc.solve;
+
+const solveIpInput           = document.getElementById('solveIp');
+const solveHostsInput        = document.getElementById('solveHosts');
+const solveSubnetsInput      = document.getElementById('solveSubnets');
+const solveParentInput       = document.getElementById('solveParent');
+const solvePointToPointInput = document.getElementById('solvePointToPoint');
+const solveBtn               = document.getElementById('solveBtn');
+
+/**
+ * Called on button click — solves for the mask, then renders the normal
+ * result panel with the trade-off section on top.
+ */
+solveBtn.addEventListener('click', function () {
+    let result;
+    try {
+        result = solve(solveIpInput.value, {
+            hosts        : solveHostsInput.value,
+            subnets      : solveSubnetsInput.value,
+            parent       : solveParentInput.value,
+            pointToPoint : solvePointToPointInput.checked,
+        });
+    } catch (err) {
+        if (!(err instanceof IPCalcError)) throw err;
+        showError(`⚠️ ERROR: ${err.message}`);
+        return;
+    }
+
+    displayResultsInConsole(result.calc.ipAddress, result.calc.subnetMask, result.calc);
+    displayResultsOnScreen(result.calc.ipAddress, result.calc.subnetMask, result.calc);
+    resultDiv.insertAdjacentHTML('afterbegin', renderSolution(result));
+});
+
+[solveIpInput, solveHostsInput, solveSubnetsInput, solveParentInput].forEach(input => {
+    input.addEventListener('keypress', function (e) {
+        if (e.key === 'Enter') solveBtn.click();
+    });
+});
+
+// ============================================================================
+// DISPLAY
+// ============================================================================
+
+/**
+ * Returns the SOLUTION section: the explanation and the neighbouring
+ * prefixes, the chosen one highlighted.
+ * @param {object} r  - solve() result
+ * @returns {string}
+ */
+function renderSolution(r) {
+    const rows = r.neighbours.map(n => `
+                <tr>
+                    <td class="${n.chosen ? 'highlight' : ''}">${n.chosen ? '▶ ' : ''}/${n.cidr}</td>
+                    <td>${n.mask}</td>
+                    <td class="orange">${n.availableHosts.toLocaleString()}</td>
+                    <td class="cyan">${n.cidr >= r.parentCidr ? n.totalSubnets.toLocaleString() : '-'}</td>
+                    <td class="${n.fits ? '' : 'orange'}">${n.fits ? 'YES' : 'NO'}</td>
+                </tr>`).join('');
+
+    return `
+        <!-- SECTION 0 : Solution -->
+        <div class="result-section full-width">
+            <div class="result-section-title">▶ SOLUTION <span style="color:#555;font-size:0.85em">${r.requested.toLocaleString()} ${r.by.slice(0, -1)}${r.requested === 1 ? '' : 's'} → /${r.cidr}</span></div>
+            <table class="result-table">${r.notes.map(note => `
+                <tr>
+                    <td class="value">${note}</td>
+                </tr>`).join('')}
+            </table>
+            <br>
+            <table class="data-table">
+                <tr>
+                    <th>Prefix</th>
+                    <th>Mask</th>
+                    <th>Usable Hosts</th>
+                    <th>Subnets in /${r.parentCidr}</th>
+                    <th>Fits</th>
+                </tr>${rows}
+            </table>
+        </div>
+    `;
+}
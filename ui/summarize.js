@@ -0,0 +1,128 @@
+// ============================================================================
+// SUMMARIZE MODE
+// ----------------------------------------------------------------------------
+// Page code for the [ SUMMARIZE ] tab. The aggregation is in lib/summarize.js.
+// ============================================================================
+
+const { summarize } = IPCalc.summarize;
+
+const summarizeListInput     = document.getElementById('summarizeList');
+const summarizeSupernetInput = document.getElementById('summarizeSupernet');
+const summarizeBtn           = document.getElementById('summarizeBtn');
+
+/**
+ * Called on button click — validates every line, aggregates, renders.
+ */
+summarizeBtn.addEventListener('click', function () {
+    let result;
+    try {
+        result = summarize(summarizeListInput.value);
+    } catch (err) {
+        if (!(err instanceof IPCalcError)) throw err;
+        showError(`⚠️ ERROR: ${err.message}`);
+        return;
+    }
+
+    displaySummary(result, summarizeSupernetInput.checked);
+});
+
+// ============================================================================
+// DISPLAY
+// ============================================================================
+
+/**
+ * Renders a summarize() result in the result panel.
+ * @param {object}  result
+ * @param {boolean} showSupernet
+ */
+function displaySummary(result, showSupernet) {
+    const sup       = result.supernet;
+    const sharedLen = sup.cidr;   // bits every input has in common
+
+    const adjusted = result.inputs.filter(n => n.hostBitsSet);
+    const adjustedNote = adjusted.length === 0 ? '' : `
+                <tr>
+                    <td class="label">Host bits set:</td>
+                    <td class="value orange">${adjusted.map(n =>
+                        `${escapeHtml(n.ipAddress)}/${n.cidr} → ${intToIp(n.networkInt)}/${n.cidr}`).join('<br>')}</td>
+                </tr>`;
+
+    const aggregateRows = result.aggregates.map((a, i) => `
+        <div class="subnet-list-row">
+            <span class="sn-num">#${i + 1}</span>
+            <span>${a.network}/${a.cidr}</span>
+            <span>→ ${a.broadcast} (${a.size.toLocaleString()})</span>
+        </div>`).join('');
+
+    const binaryRows = result.aggregates.map(a => `
+            <div class="binary-row">
+                <span class="label wide">${a.network}/${a.cidr}</span>${renderBinaryAddress(intToBytes(a.networkInt), a.cidr, sharedLen)}
+            </div>`).join('');
+
+    const supernetSection = !showSupernet ? '' : `
+        <!-- SECTION 3 : Supernet -->
+        <div class="result-section">
+            <div class="result-section-title">▶ COVERING SUPERNET</div>
+            <table class="result-table">
+                <tr>
+                    <td class="label">Supernet:</td>
+                    <td class="value highlight">${sup.network}/${sup.cidr}</td>
+                </tr>
+                <tr>
+                    <td class="label">Broadcast:</td>
+                    <td class="value">${sup.broadcast}</td>
+                </tr>
+                <tr>
+                    <td class="label">Addresses:</td>
+                    <td class="value orange">${sup.size.toLocaleString()}</td>
+                </tr>
+                <tr>
+                    <td class="label">Extra Addresses:</td>
+                    <td class="value cyan">${sup.extraAddresses.toLocaleString()}</td>
+                </tr>
+            </table>
+        </div>`;
+
+    const supernetBinaryRow = !showSupernet ? '' : `
+            <div class="binary-row">
+                <span class="label wide">Supernet</span>${renderBinaryAddress(intToBytes(sup.networkInt), sup.cidr, sharedLen)}
+            </div>`;
+
+    resultDiv.innerHTML = `
+
+        <!-- SECTION 1 : Input -->
+        <div class="result-section">
+            <div class="result-section-title">▶ INPUT</div>
+            <table class="result-table">
+                <tr>
+                    <td class="label">Networks:</td>
+                    <td class="value">${result.inputs.length}</td>
+                </tr>
+                <tr>
+                    <td class="label">Addresses:</td>
+                    <td class="value orange">${sup.coveredAddresses.toLocaleString()}</td>
+                </tr>${adjustedNote}
+            </table>
+        </div>
+
+        <!-- SECTION 2 : Aggregates -->
+        <div class="result-section full-width">
+            <div class="result-section-title">▶ AGGREGATES <span style="color:#555;font-size:0.85em">${result.aggregates.length} route(s)</span></div>
+            <div class="subnet-list">${aggregateRows}
+            </div>
+        </div>
+        ${supernetSection}
+
+        <!-- SECTION 4 : Binary View -->
+        <div class="result-section full-width">
+            <div class="result-section-title">▶ BINARY VIEW</div>
+            <div class="binary-legend">
+                <span class="legend-item"><span class="legend-dot" style="background:#ff4444"></span><span class="bit-network">Shared prefix (/${sharedLen})</span></span>
+                <span class="legend-item"><span class="legend-dot" style="background:#ffaa00"></span><span class="bit-subnet">Own prefix</span></span>
+                <span class="legend-item"><span class="legend-dot" style="background:#00ff00"></span><span class="bit-host">Host</span></span>
+            </div>
+            <br>${binaryRows}${supernetBinaryRow}
+        </div>
+    `;
+    resultDiv.scrollTop = 0;
+}
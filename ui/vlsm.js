@@ -0,0 +1,115 @@
+// ============================================================================
+// VLSM MODE
+// ----------------------------------------------------------------------------
+// Page code for the [ VLSM ] tab. The planning itself is in lib/vlsm.js.
+// ============================================================================
+
+const { planVlsm, parseRequirements } = IPCalc.vlsm;
+
+const vlsmParentInput       = document.getElementById('vlsmParent');
+const vlsmRequirementsInput = document.getElementById('vlsmRequirements');
+const vlsmPointToPointInput = document.getElementById('vlsmPointToPoint');
+const vlsmBtn               = document.getElementById('vlsmBtn');
+
+/**
+ * Called on button click — parses the requirements, plans, renders the plan.
+ */
+vlsmBtn.addEventListener('click', function () {
+    let plan;
+    try {
+        const requirements = parseRequirements(vlsmRequirementsInput.value);
+        plan = planVlsm(vlsmParentInput.value, requirements, {
+            pointToPoint: vlsmPointToPointInput.checked,
+        });
+    } catch (err) {
+        if (!(err instanceof IPCalcError)) throw err;
+        showError(`⚠️ ERROR: ${err.message}`);
+        return;
+    }
+
+    displayVlsmPlan(plan);
+});
+
+vlsmParentInput.addEventListener('keypress', function (e) {
+    if (e.key === 'Enter') vlsmBtn.click();
+});
+
+// ============================================================================
+// DISPLAY
+// ============================================================================
+
+/**
+ * Renders a planVlsm() result in the result panel.
+ * @param {object} plan
+ */
+function displayVlsmPlan(plan) {
+    const p = plan.parent;
+
+    const allocationRows = plan.allocations.map(a => `
+        <tr>
+            <td>${escapeHtml(a.name)}</td>
+            <td class="orange">${a.hosts.toLocaleString()}</td>
+            <td class="highlight">${a.network}/${a.cidr}</td>
+            <td>${a.firstUsable} - ${a.lastUsable}</td>
+            <td>${a.broadcast}</td>
+            <td class="cyan">${a.wasted.toLocaleString()}</td>
+        </tr>`).join('');
+
+    const freeRows = plan.free.map((f, i) => `
+        <div class="subnet-list-row">
+            <span class="sn-num">#${i + 1}</span>
+            <span>${f.network}/${f.cidr}</span>
+            <span>→ ${f.broadcast} (${f.size.toLocaleString()})</span>
+        </div>`).join('');
+
+    resultDiv.innerHTML = `
+
+        <!-- SECTION 1 : Parent Network -->
+        <div class="result-section">
+            <div class="result-section-title">▶ PARENT NETWORK</div>
+            <table class="result-table">
+                <tr>
+                    <td class="label">Network:</td>
+                    <td class="value highlight">${p.network}/${p.cidr}</td>
+                </tr>
+                <tr>
+                    <td class="label">Broadcast:</td>
+                    <td class="value">${p.broadcast}</td>
+                </tr>
+                <tr>
+                    <td class="label">Addresses:</td>
+                    <td class="value orange">${p.size.toLocaleString()}</td>
+                </tr>
+                <tr>
+                    <td class="label">Allocated:</td>
+                    <td class="value cyan">${plan.usedAddresses.toLocaleString()}</td>
+                </tr>
+                <tr>
+                    <td class="label">Free:</td>
+                    <td class="value cyan">${plan.freeAddresses.toLocaleString()}</td>
+                </tr>
+            </table>
+        </div>
+
+        <!-- SECTION 2 : Allocations -->
+        <div class="result-section full-width">
+            <div class="result-section-title">▶ ALLOCATIONS <span style="color:#555;font-size:0.85em">largest first</span></div>
+            <table class="data-table">
+                <tr>
+                    <th>Name</th><th>Hosts</th><th>Network</th>
+                    <th>Usable Range</th><th>Broadcast</th><th>Wasted</th>
+                </tr>
+                ${allocationRows}
+            </table>
+        </div>
+
+        <!-- SECTION 3 : Free Space -->
+        <div class="result-section full-width">
+            <div class="result-section-title">▶ FREE SPACE</div>
+            <div class="subnet-list">
+                ${freeRows || '<div class="subnet-more">Parent network fully allocated</div>'}
+            </div>
+        </div>
+    `;
+    resultDiv.scrollTop = 0;
+}